@@ -0,0 +1,338 @@
+"use strict";
+
+const SeedRows = require('../seed/rows');
+
+/**
+ * Looks up the description of the action's table in schema.json
+ * @param {Object} action
+ * @param {ActionContext} context
+ * @returns {TableDescription}
+ */
+const getSchemaTable = function (action, context) {
+    const table = context.schema[action['table']];
+
+    if (!table) {
+        context.logger.log(
+            'Unknown table named `' + action['table'] + '`. Failing...');
+        throw 'unknown-table';
+    }
+
+    return table;
+};
+
+/**
+ * Returns a builder which targets the db schema of the action's table:
+ *   the action's `db_schema`, or else the table's `db_schema` in schema.json, or else the default one
+ * @param {Object} action
+ * @param {ActionContext} context
+ * @returns {Object} KnexSchemaBuilder
+ */
+const getTableBuilder = function (action, context) {
+    if (action['db_schema'] !== undefined)
+        return context.builder._forTable({ 'db_schema': action['db_schema'] });
+
+    return context.builder._forTable(context.schema[action['table']]);
+};
+
+/**
+ * Returns the full name of the action's table, qualified with its db schema
+ * @param {Object} action
+ * @param {ActionContext} context
+ * @returns {string}
+ */
+const getQualifiedTableName = function (action, context) {
+    return getTableBuilder(action, context)._qualifiedName(context.tablePrefix + action['table']);
+};
+
+/**
+ * Looks up the description of a view, trigger or routine in schema.json
+ * @param {ActionContext} context
+ * @param {string} section `views`, `triggers`, `procedures` or `functions`
+ * @param {string} name
+ * @returns {Promise<ViewDescription|TriggerDescription|RoutineDescription>}
+ */
+const getSchemaObject = async function (context, section, name) {
+    const item = (await context.builder._readSchemaObjects())[section][name];
+
+    if (!item) {
+        const kind = section.slice(0, -1);
+        context.logger.log(
+            'Unknown ' + kind + ' named `' + name + '`. Failing...');
+        throw 'unknown-' + kind;
+    }
+
+    return item;
+};
+
+/**
+ * Tells which kind of routine an action is for, by which of `procedure` or `function` it has
+ * @param {Object} action
+ * @returns {{type: 'procedure'|'function', name: string}}
+ */
+const getRoutineOf = function (action) {
+    return action['procedure'] !== undefined
+        ? { type: 'procedure', name: action['procedure'] }
+        : { type: 'function', name: action['function'] };
+};
+
+/**
+ * Adds or alters a column as it is described in schema.json, at its position in the table
+ * @param {Object} action
+ * @param {ActionContext} context
+ * @param {boolean} alter
+ * @returns {Promise<void>}
+ */
+const addOrAlterColumn = async function (action, context, alter) {
+    const { tablePrefix } = context;
+    const builder = getTableBuilder(action, context);
+
+    const columns = getSchemaTable(action, context)['columns'];
+    const column = columns.find(item => item['name'] === action['column']);
+    const prevColumn = columns[columns.indexOf(column) - 1];
+
+    if (!column) {
+        context.logger.log(
+            'Unknown column named `' + action['column'] + '`. Failing...');
+        throw 'unknown-column';
+    }
+
+    const createColumn = table => {
+        // The inline check and generated expression can't be altered, as the dialects don't support that in the column definition
+        const pendingCol = builder.createColumn(table,
+            alter ? Object.assign({}, column, { check: undefined, generated: undefined }) : column);
+        return alter ? pendingCol.alter() : pendingCol;
+    };
+
+    await builder._schema()
+        .table(tablePrefix + action['table'], table => {
+            let pendingCol = createColumn(table);
+            if (prevColumn)
+                pendingCol.after(prevColumn['name']);
+            else pendingCol.first();
+        })
+        .catch(err => {
+            if (err.code === 'ER_BAD_FIELD_ERROR') {
+                return builder._schema().table(tablePrefix + action['table'], table => {
+                    createColumn(table);
+                });
+            } else {
+                throw err;
+            }
+        });
+};
+
+/**
+ * Alters the action's table with a knex table builder callback
+ * @param {Object} action
+ * @param {ActionContext} context
+ * @param {function(table: Object)} alter
+ * @returns {Promise<void>}
+ */
+const alterTable = async function (action, context, alter) {
+    await getTableBuilder(action, context)._schema().table(context.tablePrefix + action['table'], alter);
+};
+
+/**
+ * Lists the columns which identify the rows of a row action:
+ *   the action's `key`, or the table's primary key in schema.json, or `id`
+ * @param {Object} action
+ * @param {ActionContext} context
+ * @returns {Array<string>}
+ */
+const getRowKey = function (action, context) {
+    if (action['key'])
+        return [].concat(action['key']);
+
+    const table = context.schema[action['table']];
+    if (table && table['primary_key'])
+        return [].concat(table['primary_key']);
+
+    return ['id'];
+};
+
+/**
+ * Loads the rows of a row action, which are given inline or as a path to a JSON/CSV file
+ * @param {Object} action
+ * @param {ActionContext} context
+ * @returns {Promise<Array<Object<string, *>>>}
+ */
+const loadActionRows = function (action, context) {
+    return SeedRows.loadRows(context.builder.schemaPath, action['rows']);
+};
+
+/**
+ * The built-in upgrade actions, by name
+ * @type {Object<string, ActionHandler>}
+ */
+const builtinActions = {
+    'execute': async (action, context) => {
+        let rawQuery = action['query'];
+        if (Array.isArray(rawQuery) && typeof (rawQuery[0]) === 'string') {
+            rawQuery = rawQuery.join('\n');
+        }
+
+        await context.db.raw(rawQuery.replace(/{table_prefix}/g, context.tablePrefix));
+    },
+
+    'createTable': async (action, context) => {
+        await getTableBuilder(action, context).createTable(action['table'], getSchemaTable(action, context));
+    },
+
+    'createTableIndexes': async (action, context) => {
+        await getTableBuilder(action, context).createTableIndexes(action['table'], getSchemaTable(action, context));
+    },
+
+    'createTableForeignKeys': async (action, context) => {
+        await getTableBuilder(action, context).createTableForeignKeys(action['table'],
+            context.builder._resolveForeignDbSchemas(getSchemaTable(action, context), context.schema));
+    },
+
+    'addColumn': (action, context) => addOrAlterColumn(action, context, false),
+
+    'alterColumn': (action, context) => addOrAlterColumn(action, context, true),
+
+    'renameColumn': (action, context) => alterTable(action, context, table => {
+        // noinspection JSUnresolvedFunction
+        table.renameColumn(action['from'], action['to']);
+    }),
+
+    'createIndex': async (action, context) => {
+        await getTableBuilder(action, context).createIndex(action['table'], action);
+    },
+
+    'createForeign': async (action, context) => {
+        const builder = getTableBuilder(action, context);
+        const foreignKey = context.builder._resolveForeignDbSchemas(
+            { 'db_schema': builder.dbSchema, 'foreign_keys': [action] }, context.schema)['foreign_keys'][0];
+
+        await builder.createForeign(action['table'], foreignKey);
+    },
+
+    'addCheck': async (action, context) => {
+        await getTableBuilder(action, context).addCheck(action['table'], action);
+    },
+
+    'dropCheck': async (action, context) => {
+        await getTableBuilder(action, context).dropCheck(action['table'], action['name']);
+    },
+
+    'dropColumn': (action, context) => alterTable(action, context, table => {
+        // noinspection JSUnresolvedFunction
+        table.dropColumn(action['column']);
+    }),
+
+    'dropTable': async (action, context) => {
+        // noinspection JSUnresolvedFunction
+        await getTableBuilder(action, context)._schema().dropTableIfExists(context.tablePrefix + action['table']);
+    },
+
+    'dropPrimary': (action, context) => alterTable(action, context, table => {
+        // noinspection JSUnresolvedFunction
+        table.dropPrimary();
+    }),
+
+    'dropIndex': (action, context) => alterTable(action, context, table => {
+        if (action['name']) {
+            // noinspection JSUnresolvedFunction
+            table.dropIndex(null, action['name']);
+        } else {
+            // noinspection JSUnresolvedFunction
+            table.dropIndex(action['column']);
+        }
+    }),
+
+    'dropForeign': (action, context) => alterTable(action, context, table => {
+        if (action['name']) {
+            // noinspection JSUnresolvedFunction
+            table.dropForeign(null, action['name']);
+        } else {
+            // noinspection JSUnresolvedFunction
+            table.dropForeign(action['column']);
+        }
+    }),
+
+    'dropUnique': (action, context) => alterTable(action, context, table => {
+        if (action['name']) {
+            // noinspection JSUnresolvedFunction
+            table.dropUnique(null, action['name']);
+        } else {
+            // noinspection JSUnresolvedFunction
+            table.dropUnique(action['column']);
+        }
+    }),
+
+    'addTimestamps': (action, context) => alterTable(action, context, table => {
+        // noinspection JSValidateTypes
+        table.timestamps();
+    }),
+
+    'dropTimestamps': (action, context) => alterTable(action, context, table => {
+        // noinspection JSUnresolvedFunction
+        table.dropTimestamps();
+    }),
+
+    'createView': async (action, context) => {
+        await context.builder.createView(action['view'], await getSchemaObject(context, 'views', action['view']));
+    },
+
+    'replaceView': async (action, context) => {
+        await context.builder.createView(action['view'], await getSchemaObject(context, 'views', action['view']), true);
+    },
+
+    'dropView': async (action, context) => {
+        await context.builder.dropView(action['view']);
+    },
+
+    'createTrigger': async (action, context) => {
+        const trigger = await getSchemaObject(context, 'triggers', action['trigger']);
+        await getTableBuilder({ table: trigger['table'] }, context).createTrigger(action['trigger'], trigger);
+    },
+
+    'dropTrigger': async (action, context) => {
+        let tableName = action['table'];
+
+        if (tableName === undefined && context.dialect === 'postgresql') {
+            tableName = (await getSchemaObject(context, 'triggers', action['trigger']))['table'];
+        }
+
+        await getTableBuilder(Object.assign({}, action, { table: tableName }), context).dropTrigger(action['trigger'], tableName);
+    },
+
+    'createRoutine': async (action, context) => {
+        const routine = getRoutineOf(action);
+        await context.builder.createRoutine(routine.type, routine.name,
+            await getSchemaObject(context, routine.type + 's', routine.name));
+    },
+
+    'dropRoutine': async (action, context) => {
+        const routine = getRoutineOf(action);
+        await context.builder.dropRoutine(routine.type, routine.name);
+    },
+
+    'insertRows': async (action, context) => {
+        await SeedRows.insertRows(context.db, getQualifiedTableName(action, context),
+            await loadActionRows(action, context));
+    },
+
+    'upsertRows': async (action, context) => {
+        await SeedRows.upsertRows(context.db, getQualifiedTableName(action, context),
+            await loadActionRows(action, context), getRowKey(action, context));
+    },
+
+    'deleteRows': async (action, context) => {
+        await SeedRows.deleteRows(context.db, getQualifiedTableName(action, context),
+            await loadActionRows(action, context), getRowKey(action, context));
+    },
+
+    'script': async (action, context) => {
+        if (context.db.dryRunStatements) {
+            // Scripts can read data and run anything, so they can't be previewed
+            context.db.dryRunStatements.push('-- ' + action['file'] + ' (script) is not included in the dry run');
+            return;
+        }
+
+        await context.builder._runScript(action['file'], context.originalVersion);
+    },
+};
+
+module.exports = builtinActions;
@@ -0,0 +1,115 @@
+"use strict";
+
+const builtinActions = require('./builtin');
+
+/**
+ * What an action handler gets to work with.
+ * `db` is the knex instance (or the transaction, or the dry-run stand-in), `schema` holds the tables of schema.json,
+ *   and `builder` is the KnexSchemaBuilder instance which runs the action (configured with the same `db`).
+ * @typedef {{db: Object, tablePrefix: string, schema: Object<string, TableDescription>, originalVersion: number, dialect: string, logger: {log: function(...*)}, builder: Object}} ActionContext
+ */
+
+/**
+ * A handler for an upgrade action. It receives the action object from the upgrade file (with all of its options).
+ * Failures are thrown (or rejected), and are ignored by the caller if the action has `ignore_errors`.
+ * @typedef {function(action: Object, context: ActionContext):Promise<void>} ActionHandler
+ */
+
+/**
+ * The registered handlers, by action name.
+ * `any` is the handler for all dialects, and `dialects` holds the overrides for specific dialects.
+ * @type {Map<string, {any: ActionHandler?, dialects: Object<string, ActionHandler>}>}
+ */
+const registry = new Map();
+
+/**
+ * Registers a handler for an upgrade action.
+ * Registering an existing name replaces its handler - this can be used to override the built-in actions.
+ * @param {string} name The value of `action` in the upgrade files
+ * @param {ActionHandler} handler
+ * @param {{dialect: string|Array<string>?}?} options - optional. With `dialect` (i.e. 'mysql', 'postgresql', 'sqlite3', 'mssql'),
+ *   the handler is used only on these dialects, and takes precedence over the handler for all dialects.
+ */
+const registerAction = function (name, handler, options) {
+    if (typeof name !== 'string' || !name)
+        throw new TypeError('The action name must be a non-empty string');
+
+    if (typeof handler !== 'function')
+        throw new TypeError('The handler of the action `' + name + '` must be a function');
+
+    options = options || {};
+
+    let entry = registry.get(name);
+    if (!entry) {
+        entry = { any: null, dialects: {} };
+        registry.set(name, entry);
+    }
+
+    if (options.dialect == null) {
+        entry.any = handler;
+    } else {
+        for (const dialect of [].concat(options.dialect)) {
+            entry.dialects[dialect] = handler;
+        }
+    }
+};
+
+/**
+ * Unregisters the handler of an upgrade action, which was registered with the same options.
+ * Unregistering the overrides of a built-in action for a dialect brings back the built-in handler on that dialect.
+ * @param {string} name The value of `action` in the upgrade files
+ * @param {{dialect: string|Array<string>?}?} options - optional. With `dialect`, only the overrides for these dialects
+ *   are unregistered, otherwise only the handler for all dialects.
+ */
+const unregisterAction = function (name, options) {
+    const entry = registry.get(name);
+    if (!entry)
+        return;
+
+    options = options || {};
+
+    if (options.dialect == null) {
+        entry.any = null;
+    } else {
+        for (const dialect of [].concat(options.dialect)) {
+            delete entry.dialects[dialect];
+        }
+    }
+
+    if (!entry.any && !Object.keys(entry.dialects).length) {
+        registry.delete(name);
+    }
+};
+
+/**
+ * Looks up the handler of an action for a dialect
+ * @param {string} name
+ * @param {string} dialect
+ * @returns {ActionHandler|null}
+ */
+const getActionHandler = function (name, dialect) {
+    const entry = registry.get(name);
+    if (!entry)
+        return null;
+
+    return entry.dialects[dialect] || entry.any || null;
+};
+
+/**
+ * Lists the names of the registered actions
+ * @returns {Array<string>}
+ */
+const listActions = function () {
+    return Array.from(registry.keys());
+};
+
+for (const name of Object.keys(builtinActions)) {
+    registerAction(name, builtinActions[name]);
+}
+
+module.exports = {
+    registerAction: registerAction,
+    unregisterAction: unregisterAction,
+    getActionHandler: getActionHandler,
+    listActions: listActions,
+};
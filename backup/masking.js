@@ -0,0 +1,183 @@
+"use strict";
+
+const Crypto = require('crypto');
+
+/**
+ * A masking rule for a column:
+ * `null` nulls the value out, `hash` replaces it with a hash of it, `email` and `name` with a fake email or name,
+ *   and `format` with random characters of the same kinds (letters by letters of the same case, digits by digits).
+ * `{value: *}` replaces it with a fixed value, and a function returns the value to replace it with.
+ * Except for fixed values and functions, null values are kept. The results depend only on the value (and the salt),
+ *   so equal values are masked equally, and unique and foreign key columns stay consistent.
+ * @typedef {'null'|'hash'|'email'|'name'|'format'|{value: *}|function(value: *, row: Object):*} MaskRule
+ */
+
+/**
+ * The rules which are given by name
+ * @const
+ */
+const RULE_NAMES = ['null', 'hash', 'email', 'name', 'format'];
+
+/** @const */
+const FIRST_NAMES = [
+    'James', 'Mary', 'Robert', 'Patricia', 'John', 'Jennifer', 'Michael', 'Linda',
+    'David', 'Elizabeth', 'William', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica',
+];
+
+/** @const */
+const LAST_NAMES = [
+    'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
+    'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas',
+];
+
+/**
+ * Hashes a value with a salt
+ * @param {*} value
+ * @param {string} salt
+ * @returns {Buffer}
+ */
+const digest = function (value, salt) {
+    return Crypto.createHash('sha256')
+        .update(salt + '\0' + (Buffer.isBuffer(value) ? value.toString('hex') : String(value)))
+        .digest();
+};
+
+/**
+ * Replaces the letters and digits of a value with random ones, keeping everything else
+ * @param {*} value
+ * @param {string} salt
+ * @returns {string}
+ */
+const keepFormat = function (value, salt) {
+    let hash = digest(value, salt), i = 0;
+
+    return String(value).replace(/[a-zA-Z0-9]/g, char => {
+        if (i === hash.length) {
+            hash = Crypto.createHash('sha256').update(hash).digest();
+            i = 0;
+        }
+
+        const random = hash[i++];
+
+        if (char >= '0' && char <= '9')
+            return String(random % 10);
+
+        const letter = String.fromCharCode(97 + random % 26);
+        return char >= 'a' && char <= 'z' ? letter : letter.toUpperCase();
+    });
+};
+
+/**
+ * Masks a single value
+ * @param {*} value
+ * @param {MaskRule} rule
+ * @param {Object} row The whole row, for function rules
+ * @param {string} [salt='']
+ * @returns {*}
+ */
+const maskValue = function (value, rule, row, salt) {
+    salt = salt || '';
+
+    if (typeof rule === 'function')
+        return rule(value, row);
+
+    if (rule && typeof rule === 'object')
+        return rule.value;
+
+    if (value === null || value === undefined)
+        return value;
+
+    switch (rule) {
+        case 'null':
+            return null;
+
+        case 'hash':
+            return digest(value, salt).toString('hex').substr(0, 32);
+
+        case 'email':
+            return 'user_' + digest(value, salt).toString('hex').substr(0, 12) + '@example.com';
+
+        case 'name': {
+            const hash = digest(value, salt);
+            return FIRST_NAMES[hash[0] % FIRST_NAMES.length] + ' ' + LAST_NAMES[hash[1] % LAST_NAMES.length];
+        }
+
+        case 'format': {
+            const masked = keepFormat(value, salt);
+            return typeof value === 'number' ? Number(masked) : masked;
+        }
+    }
+
+    throw new Error('Unknown mask rule: ' + rule);
+};
+
+/**
+ * Picks the rules of a table out of rules which are keyed by `table.column`
+ * @param {Object<string, MaskRule>|undefined} masks
+ * @param {string} tableName
+ * @returns {Array<{column: string, rule: MaskRule}>}
+ */
+const getTableMasks = function (masks, tableName) {
+    const prefix = tableName + '.';
+
+    return Object.keys(masks || {})
+        .filter(key => key.startsWith(prefix))
+        .map(key => {
+            const rule = masks[key];
+
+            if (typeof rule === 'string' && !RULE_NAMES.includes(rule)) {
+                throw new Error('Unknown mask rule for ' + key + ': ' + rule);
+            }
+
+            return { column: key.substr(prefix.length), rule: rule };
+        });
+};
+
+/**
+ * Masks the columns of a row
+ * @param {Object} row
+ * @param {Array<{column: string, rule: MaskRule}>} tableMasks As returned by getTableMasks
+ * @param {string} [salt='']
+ * @returns {Object} A masked copy of the row
+ */
+const maskRow = function (row, tableMasks, salt) {
+    if (!tableMasks.length)
+        return row;
+
+    const masked = Object.assign({}, row);
+
+    for (const mask of tableMasks) {
+        if (mask.column in masked) {
+            masked[mask.column] = maskValue(row[mask.column], mask.rule, row, salt);
+        }
+    }
+
+    return masked;
+};
+
+/**
+ * Collects the rules which are declared on columns in schema.json (`"pii": "email"`)
+ * @param {Object<string, TableDescription>} tables
+ * @param {string} [tablePrefix='']
+ * @returns {Object<string, MaskRule>} Rules keyed by `table.column`
+ */
+const getSchemaMasks = function (tables, tablePrefix) {
+    const masks = {};
+
+    for (const tableName of Object.keys(tables)) {
+        for (const column of tables[tableName]['columns'] || []) {
+            if (column['pii']) {
+                masks[(tablePrefix || '') + tableName + '.' + column['name']] = column['pii'];
+            }
+        }
+    }
+
+    return masks;
+};
+
+module.exports = {
+    maskValue: maskValue,
+    getTableMasks: getTableMasks,
+    maskRow: maskRow,
+    getSchemaMasks: getSchemaMasks,
+};
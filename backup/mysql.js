@@ -1,12 +1,40 @@
 "use strict";
 
+const { StringDecoder } = require('string_decoder');
+const { getTableMasks, maskRow } = require('./masking');
+const { write, reportProgress, writeBackup } = require('./output');
+
 /** @const */
 const NEW_LINE = '\r\n';
 
 /** @const */
 const DELIMITER = '$$';
 
-/** @typedef {{wrapInTransaction: Boolean?, routines: Boolean?, triggers: Boolean?, dropTable: Boolean?, tableStructure: Boolean?, tableData: Boolean?}} MysqlBackupOptions */
+/** @typedef {'insert'|'ignore'|'replace'|'update'} MysqlInsertMode */
+
+/**
+ * @typedef {BackupOutputOptions & {
+ *   wrapInTransaction: Boolean?, routines: Boolean?, triggers: Boolean?, dropTable: Boolean?, tableStructure: Boolean?, tableData: Boolean?,
+ *   includeTables: string[]?, excludeTables: string[]?, where: Object<string, string|Object|function>?,
+ *   limit: number?, batchSize: number?, insertMode: MysqlInsertMode?,
+ *   masks: Object<string, MaskRule>?, maskSalt: string?
+ * }} MysqlBackupOptions
+ * `includeTables` and `excludeTables` are glob patterns (`*` and `?`) of the tables to export the data of,
+ *   `where` maps table names to filters of their rows (raw SQL, or anything knex's `where` takes),
+ *   `limit` is the max number of rows to export per table, `batchSize` the number of rows per INSERT (default: 1).
+ * `masks` maps `table.column` to the masking rule of the column (see backup/masking.js),
+ *   and `maskSalt` is mixed into the hashes that the masked values are derived from.
+ */
+
+/**
+ * @typedef {{statements: number, bytes: number, errors: number, sql: string}} MysqlRestoreProgress
+ * `statements` counts the statements which were run so far (including the failed ones),
+ *   `bytes` counts the bytes which were read so far from the input stream.
+ */
+
+/** @typedef {{continueOnError: Boolean?, onProgress: (function(progress: MysqlRestoreProgress))?}} MysqlRestoreOptions */
+
+/** @typedef {{statements: number, bytes: number, errors: {sql: string, error: Error}[]}} MysqlRestoreResult */
 
 /**
  * @enum {string}
@@ -51,24 +79,255 @@ const wrapObjectName = function (name) {
     return '`' + name.replace(/`/g, '``') + '`';
 };
 
+/**
+ * Converts a glob pattern (`*` and `?` wildcards) to a regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const globToRegExp = function (pattern) {
+    return new RegExp('^' + pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.') + '$');
+};
+
+/**
+ * Reads a stream to its end, and handles each chunk before reading the next one
+ * @param {NodeJS.ReadableStream} inputStream
+ * @param {function(chunk: Buffer|string|Object):Promise} onChunk
+ * @returns {Promise}
+ */
+const readChunks = function (inputStream, onChunk) {
+    return new Promise((resolve, reject) => {
+        let failed = false;
+
+        const fail = err => {
+            if (failed)
+                return;
+
+            failed = true;
+            inputStream.removeListener('data', onData);
+
+            if (typeof inputStream.destroy === 'function') {
+                inputStream.destroy();
+            }
+
+            reject(err);
+        };
+
+        // The chunks are handled in order, and 'end' may come before the last one was handled
+        let handled = Promise.resolve();
+
+        const onData = chunk => {
+            inputStream.pause();
+
+            handled = handled
+                .then(() => onChunk(chunk))
+                .then(() => {
+                    if (!failed) {
+                        inputStream.resume();
+                    }
+                }, fail);
+        };
+
+        inputStream.on('data', onData);
+        inputStream.once('error', fail);
+        inputStream.once('end', () => handled.then(() => {
+            if (!failed) {
+                resolve();
+            }
+        }));
+    });
+};
+
+/**
+ * Splits a MySql script into statements, the way the `mysql` client does:
+ *   `DELIMITER` directives change the delimiter, and delimiters inside of quoted strings and comments are ignored.
+ * The script is fed in chunks, so it can be parsed while it is being read.
+ */
+class MysqlScriptParser {
+
+    constructor() {
+        this.delimiter = ';';
+
+        /** @type {string} Text which could not be parsed yet, as it depends on the next chunk */
+        this.buffer = '';
+
+        /** @type {string} */
+        this.statement = '';
+
+        /** @type {boolean} Whether the statement has anything but whitespace and comments */
+        this.started = false;
+
+        /** @type {string|null} The quote character of the string being read */
+        this.quote = null;
+
+        /** @type {'line'|'block'|null} The type of comment being read */
+        this.comment = null;
+
+        /** @type {boolean} Whether the comment being read is left out of the statement */
+        this.skipComment = false;
+    }
+
+    /**
+     * Parses the next chunk of the script
+     * @param {string} text
+     * @param {boolean} [end=false] Whether this is the last chunk
+     * @returns {string[]} The statements which were completed
+     */
+    write(text, end) {
+        const buffer = this.buffer + text;
+        const statements = [];
+        let i = 0;
+
+        // Tells if what is at the current position can't be known before the next chunk arrives
+        const needsMore = count => !end && i + count > buffer.length;
+
+        while (i < buffer.length) {
+            const char = buffer[i];
+            let length = 1;
+            let append = true;
+
+            if (this.comment === 'line') {
+                if (char === '\n') {
+                    this.comment = null;
+                }
+                append = !this.skipComment;
+            } else if (this.comment === 'block') {
+                if (char === '*') {
+                    if (needsMore(2)) break;
+
+                    if (buffer[i + 1] === '/') {
+                        this.comment = null;
+                        length = 2;
+                    }
+                }
+                append = !this.skipComment;
+            } else if (this.quote !== null) {
+                if (char === '\\' && this.quote !== '`') {
+                    if (needsMore(2)) break;
+
+                    length = 2;
+                } else if (char === this.quote) {
+                    if (needsMore(2)) break;
+
+                    if (buffer[i + 1] === this.quote) {
+                        length = 2;
+                    } else {
+                        this.quote = null;
+                    }
+                }
+            } else if (!this.started && /^delimiter\s/i.test(buffer.substr(i, 10))) {
+                let lineEnd = buffer.indexOf('\n', i);
+
+                if (lineEnd === -1) {
+                    if (!end) break;
+
+                    lineEnd = buffer.length;
+                }
+
+                const delimiter = buffer.substring(i + 10, lineEnd).trim().split(/\s+/)[0];
+
+                if (!delimiter) {
+                    throw new Error('DELIMITER must be followed by a delimiter');
+                }
+
+                this.delimiter = delimiter;
+                length = lineEnd + 1 - i;
+                append = false;
+            } else if (!this.started && needsMore(10) && 'delimiter'.startsWith(buffer.substr(i).toLowerCase())) {
+                break;
+            } else if (buffer.startsWith(this.delimiter, i)) {
+                if (this.started) {
+                    statements.push(this.statement.trim());
+                }
+
+                this.statement = '';
+                this.started = false;
+                length = this.delimiter.length;
+                append = false;
+            } else if (needsMore(this.delimiter.length) && this.delimiter.startsWith(buffer.substr(i))) {
+                break;
+            } else if (char === '\'' || char === '"' || char === '`') {
+                this.quote = char;
+            } else if (char === '#') {
+                this.comment = 'line';
+                this.skipComment = !this.started;
+                append = this.started;
+            } else if (char === '-' || char === '/') {
+                if (needsMore(3)) break;
+
+                if (char === '-' && buffer[i + 1] === '-' && (i + 2 === buffer.length || /\s/.test(buffer[i + 2]))) {
+                    this.comment = 'line';
+                    this.skipComment = !this.started;
+                } else if (char === '/' && buffer[i + 1] === '*') {
+                    this.comment = 'block';
+                    // Executable comments (`/*! ... */`) are kept, as the server runs them
+                    this.skipComment = !this.started && buffer[i + 2] !== '!';
+                    length = 2;
+                }
+
+                append = !this.comment || !this.skipComment;
+            }
+
+            if (append) {
+                const part = buffer.substr(i, length);
+
+                if (this.started) {
+                    this.statement += part;
+                } else if (/\S/.test(part)) {
+                    this.statement = part;
+                    this.started = true;
+                }
+            }
+
+            i += length;
+        }
+
+        this.buffer = buffer.substr(i);
+
+        // The last statement does not need a delimiter
+        if (end && this.started) {
+            statements.push(this.statement.trim());
+            this.statement = '';
+            this.started = false;
+        }
+
+        return statements;
+    }
+}
+
 class MysqlBackupController {
 
     /**
-     * Exports the db structure and data to the specified stream
+     * Exports the db structure and data to the specified stream, and resolves with a manifest of the backup
      * @param {knex} knex
      * @param {NodeJS.WritableStream} outputStream
      * @param {MysqlBackupOptions} options
-     * @returns {Promise}
+     * @returns {Promise<BackupManifest>}
      */
     static async generateBackup(knex, outputStream, options) {
+        return writeBackup(knex, outputStream, options, 'mysql',
+            outputStream => MysqlBackupController.writeScript(knex, outputStream, options));
+    }
 
-        outputStream.write('DELIMITER ' + DELIMITER + NEW_LINE);
-        outputStream.write('SET FOREIGN_KEY_CHECKS=0 ' + DELIMITER + NEW_LINE);
-        outputStream.write('SET SQL_MODE="NO_AUTO_VALUE_ON_ZERO" ' + DELIMITER + NEW_LINE);
-        outputStream.write('SET AUTOCOMMIT=0 ' + DELIMITER + NEW_LINE);
+    /**
+     * Writes the backup script, for generateBackup
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {MysqlBackupOptions} options
+     * @returns {Promise<Array<{name: string, rows: number}>>} The row counts of the tables whose data was exported
+     */
+    static async writeScript(knex, outputStream, options) {
+        let tables = [];
+
+        await write(outputStream, 'DELIMITER ' + DELIMITER + NEW_LINE);
+        await write(outputStream, 'SET FOREIGN_KEY_CHECKS=0 ' + DELIMITER + NEW_LINE);
+        await write(outputStream, 'SET SQL_MODE="NO_AUTO_VALUE_ON_ZERO" ' + DELIMITER + NEW_LINE);
+        await write(outputStream, 'SET AUTOCOMMIT=0 ' + DELIMITER + NEW_LINE);
 
         if (options.wrapInTransaction) {
-            outputStream.write('START TRANSACTION ' + DELIMITER + NEW_LINE);
+            await write(outputStream, 'START TRANSACTION ' + DELIMITER + NEW_LINE);
         }
 
         if (options.routines) {
@@ -78,15 +337,78 @@ class MysqlBackupController {
             await MysqlBackupController.exportTableStructure(knex, outputStream, options);
         }
         if (options.tableData) {
-            await MysqlBackupController.exportTableData(knex, outputStream, options);
+            tables = await MysqlBackupController.exportTableData(knex, outputStream, options);
         }
         if (options.triggers) {
             await MysqlBackupController.exportTriggers(knex, outputStream, options);
         }
-        outputStream.write('SET FOREIGN_KEY_CHECKS=1 ' + DELIMITER + NEW_LINE);
+        await write(outputStream, 'SET FOREIGN_KEY_CHECKS=1 ' + DELIMITER + NEW_LINE);
         if (options.wrapInTransaction) {
-            outputStream.write('COMMIT ' + DELIMITER + NEW_LINE);
+            await write(outputStream, 'COMMIT ' + DELIMITER + NEW_LINE);
+        }
+
+        return tables;
+    }
+
+    /**
+     * Runs a script which was created by generateBackup (or any script for the `mysql` client), statement by statement.
+     * The statements run on a single connection, as the script relies on session variables.
+     * Unless `continueOnError` is set, the first failing statement stops the restore, and its error is thrown.
+     * @param {knex} knex
+     * @param {NodeJS.ReadableStream} inputStream
+     * @param {MysqlRestoreOptions} [options]
+     * @returns {Promise<MysqlRestoreResult>}
+     */
+    static async restoreBackup(knex, inputStream, options) {
+        options = options || {};
+
+        const parser = new MysqlScriptParser();
+        const decoder = new StringDecoder('utf8');
+        const result = { statements: 0, bytes: 0, errors: [] };
+
+        const connection = await knex.client.acquireConnection();
+
+        const run = async statements => {
+            for (const sql of statements) {
+                try {
+                    await knex.raw(sql).connection(connection);
+                } catch (err) {
+                    if (!options.continueOnError)
+                        throw err;
+
+                    result.errors.push({ sql: sql, error: err });
+                }
+
+                result.statements++;
+
+                if (options.onProgress) {
+                    options.onProgress({
+                        statements: result.statements,
+                        bytes: result.bytes,
+                        errors: result.errors.length,
+                        sql: sql,
+                    });
+                }
+            }
+        };
+
+        try {
+            await readChunks(inputStream, chunk => {
+                if (typeof chunk === 'string') {
+                    result.bytes += Buffer.byteLength(chunk);
+                    return run(parser.write(chunk));
+                }
+
+                result.bytes += chunk.length;
+                return run(parser.write(decoder.write(chunk)));
+            });
+
+            await run(parser.write(decoder.end(), true));
+        } finally {
+            await knex.client.releaseConnection(connection);
         }
+
+        return result;
     }
 
     /**
@@ -146,7 +468,10 @@ class MysqlBackupController {
             create = create.replace(
                 /^(CREATE\s+(DEFINER\s*=\s*(`(?:[^`]|``)+`|[a-zA-Z0-9$_]+)(@(`(?:[^`]|``)+`|[a-zA-Z0-9$_.]+))?\s+)?TRIGGER\s+)/,
                 '$1IF NOT EXISTS ');
-            create = create.replace(/^(CREATE\s+VIEW)/, '$1 OR REPLACE');
+            if (objectType === DbObjectType.View) {
+                // SHOW CREATE VIEW puts the algorithm, the definer and the security between CREATE and VIEW
+                create = create.replace(/^CREATE\s+/, 'CREATE OR REPLACE ');
+            }
             create = create.replace(/^(CREATE\s+TABLE)/, '$1 IF NOT EXISTS');
         }
 
@@ -229,22 +554,23 @@ class MysqlBackupController {
     static async exportRoutines(knex, outputStream, options) {
         let procedures = await this.getObjectList(knex, DbObjectType.Procedure);
 
-        for (let procName of procedures) {
-            outputStream.write('DROP PROCEDURE IF EXISTS ' + wrapObjectName(procName) + ' ' + DELIMITER + NEW_LINE);
+        let functions = await MysqlBackupController.getObjectList(knex, DbObjectType.Function);
+        const total = procedures.length + functions.length;
+
+        for (const [i, procName] of procedures.entries()) {
+            await write(outputStream, 'DROP PROCEDURE IF EXISTS ' + wrapObjectName(procName) + ' ' + DELIMITER + NEW_LINE);
 
             let createSql = await MysqlBackupController.getObjectCreate(knex, DbObjectType.Procedure, procName, false);
-            outputStream.write(createSql + ' ' + DELIMITER + NEW_LINE);
+            await write(outputStream, createSql + ' ' + DELIMITER + NEW_LINE);
+            reportProgress(options, 'routines', procName, i + 1, total);
         }
 
-        let functions = await MysqlBackupController.getObjectList(knex, DbObjectType.Function);
-
-        for (let procName of functions) {
-            outputStream.write(
-                'DROP PROCEDURE IF EXISTS ' + wrapObjectName(
-                funcName) + ' ' + DELIMITER + NEW_LINE);
+        for (const [i, procName] of functions.entries()) {
+            await write(outputStream, 'DROP FUNCTION IF EXISTS ' + wrapObjectName(procName) + ' ' + DELIMITER + NEW_LINE);
 
-            let createSql = await MysqlBackupController.getObjectCreate(knex, DbObjectType.Function, funcName, false);
-            outputStream.write(createSql + ' ' + DELIMITER + NEW_LINE);
+            let createSql = await MysqlBackupController.getObjectCreate(knex, DbObjectType.Function, procName, false);
+            await write(outputStream, createSql + ' ' + DELIMITER + NEW_LINE);
+            reportProgress(options, 'routines', procName, procedures.length + i + 1, total);
         }
     }
 
@@ -256,33 +582,37 @@ class MysqlBackupController {
      * @returns {Promise}
      */
     static async exportTableStructure(knex, outputStream, options) {
-        let tables = await this.getObjectList(knex, DbObjectType.Table);
-        const views = [];
+        const tables = [], views = [];
 
-        for (let tableName of tables) {
-            let isView = await MysqlBackupController;
+        for (const name of await this.getObjectList(knex, DbObjectType.Table)) {
+            let isView = await MysqlBackupController.isView(knex, name);
 
             if (isView) {
-                views.push(tableName);
-                return;
+                views.push(name);
+            } else {
+                tables.push(name);
             }
+        }
 
+        for (const [i, tableName] of tables.entries()) {
             if (options.dropTable) {
-                outputStream.write('DROP TABLE IF EXISTS ' + wrapObjectName(
+                await write(outputStream, 'DROP TABLE IF EXISTS ' + wrapObjectName(
                     tableName) + ' ' + DELIMITER + NEW_LINE);
             }
 
             let createSql = await MysqlBackupController.getObjectCreate(knex, DbObjectType.Table, tableName, !options.dropTable);
-            outputStream.write(createSql + ' ' + DELIMITER + NEW_LINE);
+            await write(outputStream, createSql + ' ' + DELIMITER + NEW_LINE);
+            reportProgress(options, 'structure', tableName, i + 1, tables.length);
         }
 
-        for (let viewName of views) {
+        for (const [i, viewName] of views.entries()) {
             if (options.dropTable) {
-                outputStream.write('DROP VIEW IF EXISTS ' + wrapObjectName(viewName) + ' ' + DELIMITER + NEW_LINE);
+                await write(outputStream, 'DROP VIEW IF EXISTS ' + wrapObjectName(viewName) + ' ' + DELIMITER + NEW_LINE);
             }
 
             let createSql = await MysqlBackupController.getObjectCreate(knex, DbObjectType.View, viewName, !options.dropTable);
-            outputStream.write(createSql + ' ' + DELIMITER + NEW_LINE);
+            await write(outputStream, createSql + ' ' + DELIMITER + NEW_LINE);
+            reportProgress(options, 'views', viewName, i + 1, views.length);
         }
     }
 
@@ -291,40 +621,112 @@ class MysqlBackupController {
      * @param {knex} knex
      * @param {NodeJS.WritableStream} outputStream
      * @param {MysqlBackupOptions} options
-     * @returns {Promise}
+     * @returns {Promise<Array<{name: string, rows: number}>>} The row counts of the tables
      */
     static async exportTableData(knex, outputStream, options) {
-        let tables = await this.getObjectList(knex, DbObjectType.Table);
-        for (let tableName of tables) {
+        const batchSize = Math.max(1, options.batchSize || 1);
+        const counts = [];
+
+        let tables = (await this.getObjectList(knex, DbObjectType.Table))
+            .filter(tableName => MysqlBackupController.isTableDataIncluded(tableName, options));
+
+        for (const [i, tableName] of tables.entries()) {
             let isView = await MysqlBackupController.isView(knex, tableName);
 
             if (isView) continue;
 
-            let resolve = null, reject = null,
-                promise = new Promise((r, j) => {
-                    resolve = r;
-                    reject = j;
-                });
-
             // noinspection JSUnresolvedFunction
-            knex.select('*')
-                .from(tableName)
-                // Dataset may be very large, we want to stream it in and out
-                .stream(stream => {
-                    stream
-                        .on('data', row => {
-
-                            outputStream.write(knex.insert(row)
-                                .into(tableName)
-                                .toString() + ' ' + DELIMITER + NEW_LINE);
-
-                        })
-                        .on('end', () => resolve());
-                })
-                .catch(reject);
-
-            await promise;
+            let query = knex.select('*').from(tableName);
+
+            const where = options.where && options.where[tableName];
+            if (typeof where === 'string') {
+                query = query.whereRaw(where);
+            } else if (where) {
+                query = query.where(where);
+            }
+
+            if (options.limit > 0) {
+                query = query.limit(options.limit);
+            }
+
+            const tableMasks = getTableMasks(options.masks, tableName);
+            let batch = [], count = 0;
+
+            const flush = () => {
+                const sql = MysqlBackupController.getInsertSql(knex, tableName, batch, options.insertMode);
+                batch = [];
+
+                return write(outputStream, sql + ' ' + DELIMITER + NEW_LINE);
+            };
+
+            await new Promise((resolve, reject) => {
+                query
+                    // Dataset may be very large, we want to stream it in and out.
+                    // The rows wait in the stream while the output drains.
+                    .stream(stream => {
+                        readChunks(stream, row => {
+                            batch.push(maskRow(row, tableMasks, options.maskSalt));
+                            count++;
+
+                            return batch.length >= batchSize ? flush() : Promise.resolve();
+                        }).then(resolve, reject);
+                    })
+                    .catch(reject);
+            });
+
+            if (batch.length) {
+                await flush();
+            }
+
+            counts.push({ name: tableName, rows: count });
+            reportProgress(options, 'data', tableName, i + 1, tables.length, count);
         }
+
+        return counts;
+    }
+
+    /**
+     * Tells if the data of a table is exported, by the `includeTables` and `excludeTables` options
+     * @param {string} tableName
+     * @param {MysqlBackupOptions} options
+     * @returns {boolean}
+     */
+    static isTableDataIncluded(tableName, options) {
+        const matches = patterns => patterns.some(pattern => globToRegExp(pattern).test(tableName));
+
+        if (options.includeTables && !matches(options.includeTables))
+            return false;
+
+        return !(options.excludeTables && matches(options.excludeTables));
+    }
+
+    /**
+     * Returns an INSERT statement for rows of a table
+     * @param {knex} knex
+     * @param {string} tableName
+     * @param {Object[]} rows
+     * @param {MysqlInsertMode} [insertMode='insert']
+     * @returns {string}
+     */
+    static getInsertSql(knex, tableName, rows, insertMode) {
+        const sql = knex.insert(rows)
+            .into(tableName)
+            .toString();
+
+        switch (insertMode || 'insert') {
+            case 'insert':
+                return sql;
+            case 'ignore':
+                return sql.replace(/^insert /, 'insert ignore ');
+            case 'replace':
+                return sql.replace(/^insert /, 'replace ');
+            case 'update':
+                return sql + ' on duplicate key update ' + Object.keys(rows[0])
+                    .map(column => wrapObjectName(column) + ' = values(' + wrapObjectName(column) + ')')
+                    .join(', ');
+        }
+
+        throw new Error('Unknown insert mode: ' + insertMode);
     }
 
     /**
@@ -347,14 +749,15 @@ class MysqlBackupController {
             .where('TRIGGER_SCHEMA', knex.raw('DATABASE()'))
             .orderBy('ACTION_ORDER', 'asc');
 
-        for (const row of rows) {
-            outputStream.write(
+        for (const [i, row] of rows.entries()) {
+            await write(outputStream,
                 'CREATE TRIGGER ' + wrapObjectName(row['Trigger']) + ' ');
-            outputStream.write(
+            await write(outputStream,
                 row['Timing'] + ' ' + row['Event'] + ' ON ' + wrapObjectName(
                 row['Table']) + ' ');
-            outputStream.write('FOR EACH ' + row['Orientation'] + ' ');
-            outputStream.write(row['Statement'] + ' ' + DELIMITER + NEW_LINE);
+            await write(outputStream, 'FOR EACH ' + row['Orientation'] + ' ');
+            await write(outputStream, row['Statement'] + ' ' + DELIMITER + NEW_LINE);
+            reportProgress(options, 'triggers', row['Trigger'], i + 1, rows.length);
         }
     }
 }
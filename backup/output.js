@@ -0,0 +1,244 @@
+"use strict";
+
+const Crypto = require('crypto');
+const Zlib = require('zlib');
+const { Writable } = require('stream');
+
+/** @typedef {'gzip'|'brotli'} BackupCompression */
+
+/**
+ * Reported after each object is exported.
+ * `step` is one of `routines`, `structure`, `data`, `views` and `triggers`,
+ *   `index` counts the objects of the step which were exported so far (out of `total`),
+ *   and `rows` is the number of rows which were exported, for the `data` step.
+ * @typedef {{step: string, name: string, index: number, total: number, rows: number?}} BackupProgress
+ */
+
+/**
+ * Describes a backup.
+ * `schemaVersion` is the db version in schema_globals (null if there is none),
+ *   and `bytes` and `sha256` are of the output as it was written (after the compression).
+ * @typedef {{dialect: string, createdAt: string, schemaVersion: number|null, compression: BackupCompression|null, tables: Array<{name: string, rows: number}>, bytes: number, sha256: string}} BackupManifest
+ */
+
+/**
+ * Options that are common to all of the backup controllers.
+ * `schemaGlobalsTable` (default: `schema_globals`) and `versionKey` (default: `db_version`) locate the schema version.
+ * @typedef {{compression: BackupCompression?, onProgress: (function(progress: BackupProgress))?, schemaGlobalsTable: string?, versionKey: string?}} BackupOutputOptions
+ */
+
+/**
+ * Writes to the stream, and waits for it to drain when its buffer is full.
+ * Fails if the stream errors or closes before it drains.
+ * @param {NodeJS.WritableStream} outputStream
+ * @param {string|Buffer} text
+ * @returns {Promise}
+ */
+const write = function (outputStream, text) {
+    if (outputStream.write(text))
+        return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const settle = err => {
+            outputStream.removeListener('drain', onDrain);
+            outputStream.removeListener('error', settle);
+            outputStream.removeListener('close', onClose);
+
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        };
+
+        const onDrain = () => settle(null);
+        const onClose = () => settle(new Error('The output stream was closed before it drained'));
+
+        outputStream.once('drain', onDrain);
+        outputStream.once('error', settle);
+        outputStream.once('close', onClose);
+    });
+};
+
+/**
+ * Passes everything on to the destination, and keeps a SHA-256 and a byte count of it.
+ * Ending it does not end the destination.
+ */
+class ChecksumWritable extends Writable {
+
+    /**
+     * @param {NodeJS.WritableStream} destination
+     */
+    constructor(destination) {
+        super();
+
+        this.destination = destination;
+        this.hash = Crypto.createHash('sha256');
+        this.bytes = 0;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.hash.update(chunk);
+        this.bytes += chunk.length;
+
+        write(this.destination, chunk).then(() => callback(), callback);
+    }
+}
+
+/**
+ * The stream that a backup is written to: it compresses (optionally) and checksums the output,
+ *   on its way to the destination stream.
+ */
+class BackupOutput {
+
+    /**
+     * @param {NodeJS.WritableStream} destination
+     * @param {BackupCompression?} compression
+     */
+    constructor(destination, compression) {
+        this.checksum = new ChecksumWritable(destination);
+
+        switch (compression || null) {
+            case null:
+                this.compressor = null;
+                break;
+            case 'gzip':
+                this.compressor = Zlib.createGzip();
+                break;
+            case 'brotli':
+                if (typeof Zlib.createBrotliCompress !== 'function')
+                    throw new Error('Brotli compression requires Node.js 11.7 or later');
+
+                this.compressor = Zlib.createBrotliCompress();
+                break;
+            default:
+                throw new Error('Unknown compression: ' + compression);
+        }
+
+        if (this.compressor) {
+            this.compressor.pipe(this.checksum);
+        }
+
+        /** @type {NodeJS.WritableStream} The stream to write the backup to */
+        this.stream = this.compressor || this.checksum;
+    }
+
+    /**
+     * Flushes the output
+     * @returns {Promise<{bytes: number, sha256: string}>}
+     */
+    finish() {
+        return new Promise((resolve, reject) => {
+            if (this.compressor) {
+                this.compressor.once('error', reject);
+            }
+
+            this.checksum.once('error', reject);
+            this.checksum.once('finish', () => resolve({
+                bytes: this.checksum.bytes,
+                sha256: this.checksum.hash.digest('hex'),
+            }));
+
+            this.stream.end();
+        });
+    }
+
+    /**
+     * Releases the output, after a failure
+     */
+    destroy() {
+        if (this.compressor) {
+            this.compressor.destroy();
+        }
+
+        this.checksum.destroy();
+    }
+}
+
+/**
+ * Reads the schema version out of schema_globals
+ * @param {knex} knex
+ * @param {BackupOutputOptions} options
+ * @returns {Promise<number|null>}
+ */
+const getSchemaVersion = async function (knex, options) {
+    let row;
+
+    try {
+        // noinspection JSUnresolvedFunction
+        row = await knex.select('value')
+            .from(options.schemaGlobalsTable || 'schema_globals')
+            .where('key', options.versionKey || 'db_version')
+            .first();
+    } catch (ignored) {
+        // A db which is not managed by knex-schema-builder has no schema_globals
+        return null;
+    }
+
+    return row ? parseFloat(row['value']) : null;
+};
+
+/**
+ * Reports the progress to the `onProgress` option, if there is one
+ * @param {BackupOutputOptions} options
+ * @param {string} step
+ * @param {string} name
+ * @param {number} index
+ * @param {number} total
+ * @param {number} [rows]
+ */
+const reportProgress = function (options, step, name, index, total, rows) {
+    if (typeof options.onProgress !== 'function')
+        return;
+
+    const progress = { step: step, name: name, index: index, total: total };
+
+    if (rows !== undefined) {
+        progress.rows = rows;
+    }
+
+    options.onProgress(progress);
+};
+
+/**
+ * Runs a backup into a BackupOutput, and describes it
+ * @param {knex} knex
+ * @param {NodeJS.WritableStream} outputStream
+ * @param {BackupOutputOptions} options
+ * @param {string} dialect
+ * @param {function(outputStream: NodeJS.WritableStream):Promise<Array<{name: string, rows: number}>|undefined>} dump
+ *   Writes the backup, and returns the row counts of the tables whose data was exported
+ * @returns {Promise<BackupManifest>}
+ */
+const writeBackup = async function (knex, outputStream, options, dialect, dump) {
+    const output = new BackupOutput(outputStream, options.compression);
+    const schemaVersion = await getSchemaVersion(knex, options);
+    let tables;
+
+    try {
+        tables = await dump(output.stream);
+    } catch (err) {
+        output.destroy();
+        throw err;
+    }
+
+    const result = await output.finish();
+
+    return {
+        dialect: dialect,
+        createdAt: new Date().toISOString(),
+        schemaVersion: schemaVersion,
+        compression: options.compression || null,
+        tables: tables || [],
+        bytes: result.bytes,
+        sha256: result.sha256,
+    };
+};
+
+module.exports = {
+    write: write,
+    BackupOutput: BackupOutput,
+    getSchemaVersion: getSchemaVersion,
+    reportProgress: reportProgress,
+    writeBackup: writeBackup,
+};
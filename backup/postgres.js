@@ -0,0 +1,490 @@
+"use strict";
+
+const { write, reportProgress, writeBackup } = require('./output');
+
+/** @const */
+const NEW_LINE = '\n';
+
+/**
+ * How many rows are fetched at a time from the cursor of a table's data
+ * @const
+ */
+const FETCH_SIZE = 1000;
+
+/**
+ * `dataFormat` is `insert` (default) for INSERT statements, or `copy` for COPY ... FROM stdin blocks (which are faster to restore, with psql).
+ * `schema` is the schema to export (default: the current schema).
+ * @typedef {BackupOutputOptions & {wrapInTransaction: Boolean?, routines: Boolean?, triggers: Boolean?, dropTable: Boolean?, tableStructure: Boolean?, tableData: Boolean?, dataFormat: 'insert'|'copy'?, schema: String?}} PostgresBackupOptions
+ */
+
+/**
+ * Wraps an object name for Postgres
+ * @param {string} name
+ * @returns {string}
+ */
+const wrapObjectName = function (name) {
+    return '"' + name.replace(/"/g, '""') + '"';
+};
+
+/**
+ * Escapes a value for the text format of COPY
+ * @param {string|null} value
+ * @returns {string}
+ */
+const escapeCopyValue = function (value) {
+    if (value === null)
+        return '\\N';
+
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+};
+
+class PostgresBackupController {
+
+    /**
+     * Exports the db structure and data to the specified stream.
+     * The order is the one that restores without disabling anything: functions, sequences, tables, data,
+     *   sequence values, constraints and indexes, views and triggers.
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise<BackupManifest>}
+     */
+    static async generateBackup(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        // Resolve the current schema only once
+        options = Object.assign({}, options, { schema: schema });
+
+        return writeBackup(knex, outputStream, options, 'postgresql',
+            outputStream => PostgresBackupController.writeScript(knex, outputStream, options));
+    }
+
+    /**
+     * Writes the backup script, for generateBackup
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options The options, with the schema resolved
+     * @returns {Promise<Array<{name: string, rows: number}>>} The row counts of the tables whose data was exported
+     */
+    static async writeScript(knex, outputStream, options) {
+        const wrappedSchema = wrapObjectName(options.schema);
+        let tables = [];
+
+        await write(outputStream, 'SET client_encoding = \'UTF8\';' + NEW_LINE);
+        await write(outputStream, 'SET standard_conforming_strings = on;' + NEW_LINE);
+        await write(outputStream, 'SET check_function_bodies = false;' + NEW_LINE);
+
+        if (options.wrapInTransaction) {
+            await write(outputStream, 'BEGIN;' + NEW_LINE);
+        }
+
+        if (options.tableStructure) {
+            await write(outputStream, 'CREATE SCHEMA IF NOT EXISTS ' + wrappedSchema + ';' + NEW_LINE);
+        }
+
+        if (options.routines) {
+            await PostgresBackupController.exportRoutines(knex, outputStream, options);
+        }
+        if (options.tableStructure) {
+            if (options.dropTable) {
+                await PostgresBackupController.exportDropTables(knex, outputStream, options);
+            }
+            await PostgresBackupController.exportSequences(knex, outputStream, options);
+            await PostgresBackupController.exportTableStructure(knex, outputStream, options);
+        }
+        if (options.tableData) {
+            tables = await PostgresBackupController.exportTableData(knex, outputStream, options);
+            await PostgresBackupController.exportSequenceValues(knex, outputStream, options);
+        }
+        if (options.tableStructure) {
+            await PostgresBackupController.exportConstraints(knex, outputStream, options);
+            await PostgresBackupController.exportIndexes(knex, outputStream, options);
+            await PostgresBackupController.exportViews(knex, outputStream, options);
+        }
+        if (options.triggers) {
+            await PostgresBackupController.exportTriggers(knex, outputStream, options);
+        }
+
+        if (options.wrapInTransaction) {
+            await write(outputStream, 'COMMIT;' + NEW_LINE);
+        }
+
+        return tables;
+    }
+
+    /**
+     * Resolves the schema to export: the one in the options, or the current schema
+     * @param {knex} knex
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise<string>}
+     */
+    static async getSchemaName(knex, options) {
+        if (options.schema)
+            return options.schema;
+
+        let resp = await knex.raw('SELECT current_schema() AS name');
+        return resp.rows[0]['name'];
+    }
+
+    /**
+     * Qualifies an object name with the exported schema
+     * @param {string} schema
+     * @param {string} name
+     * @returns {string}
+     */
+    static qualify(schema, name) {
+        return wrapObjectName(schema) + '.' + wrapObjectName(name);
+    }
+
+    /**
+     * Lists the tables of the schema
+     * @param {knex} knex
+     * @param {string} schema
+     * @returns {Promise<string[]>}
+     */
+    static async getTableList(knex, schema) {
+        let resp = await knex.raw(
+            'SELECT c.relname AS name FROM pg_catalog.pg_class c' +
+            ' JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace' +
+            ' WHERE n.nspname = ? AND c.relkind IN (\'r\', \'p\')' +
+            ' ORDER BY c.relname', [schema]);
+
+        return resp.rows.map(row => row['name']);
+    }
+
+    /**
+     * Exports the functions and procedures
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportRoutines(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        // Functions which belong to extensions are created by the extension
+        let resp = await knex.raw(
+            'SELECT p.proname AS name, pg_catalog.pg_get_functiondef(p.oid) AS definition FROM pg_catalog.pg_proc p' +
+            ' JOIN pg_catalog.pg_namespace n ON n.oid = p.pronamespace' +
+            ' WHERE n.nspname = ? AND p.prokind IN (\'f\', \'p\')' +
+            ' AND NOT EXISTS (SELECT 1 FROM pg_catalog.pg_depend d WHERE d.objid = p.oid AND d.deptype = \'e\')' +
+            ' ORDER BY p.oid', [schema]);
+
+        for (const [i, row] of resp.rows.entries()) {
+            // pg_get_functiondef already says CREATE OR REPLACE
+            await write(outputStream, row['definition'].trim() + ';' + NEW_LINE);
+            reportProgress(options, 'routines', row['name'], i + 1, resp.rows.length);
+        }
+    }
+
+    /**
+     * Exports the DROP statements of the tables.
+     * These come before the sequences, as dropping a table also drops the sequences which are owned by its columns.
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportDropTables(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        for (let tableName of await PostgresBackupController.getTableList(knex, schema)) {
+            await write(outputStream,
+                'DROP TABLE IF EXISTS ' + PostgresBackupController.qualify(schema, tableName) + ' CASCADE;' + NEW_LINE);
+        }
+    }
+
+    /**
+     * Exports the sequences (without their current values, which come after the data)
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportSequences(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        let resp = await knex.raw(
+            'SELECT sequencename AS name, data_type, start_value, min_value, max_value, increment_by, cycle, cache_size' +
+            ' FROM pg_catalog.pg_sequences WHERE schemaname = ? ORDER BY sequencename', [schema]);
+
+        for (const row of resp.rows) {
+            const name = PostgresBackupController.qualify(schema, row['name']);
+
+            if (options.dropTable) {
+                await write(outputStream, 'DROP SEQUENCE IF EXISTS ' + name + ' CASCADE;' + NEW_LINE);
+            }
+
+            await write(outputStream,
+                'CREATE SEQUENCE ' + (options.dropTable ? '' : 'IF NOT EXISTS ') + name +
+                ' AS ' + row['data_type'] +
+                ' INCREMENT BY ' + row['increment_by'] +
+                ' MINVALUE ' + row['min_value'] +
+                ' MAXVALUE ' + row['max_value'] +
+                ' START WITH ' + row['start_value'] +
+                ' CACHE ' + row['cache_size'] +
+                (row['cycle'] ? ' CYCLE' : ' NO CYCLE') + ';' + NEW_LINE);
+        }
+    }
+
+    /**
+     * Exports the tables structure (columns, defaults and nullability), and the sequences which are owned by their columns.
+     * The constraints and indexes are exported separately, after the data.
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportTableStructure(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+        const tables = await PostgresBackupController.getTableList(knex, schema);
+
+        for (const [i, tableName] of tables.entries()) {
+            const name = PostgresBackupController.qualify(schema, tableName);
+
+            let resp = await knex.raw(
+                'SELECT a.attname AS name, pg_catalog.format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull AS not_null,' +
+                ' pg_catalog.pg_get_expr(d.adbin, d.adrelid) AS default_value' +
+                ' FROM pg_catalog.pg_attribute a' +
+                ' LEFT JOIN pg_catalog.pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum' +
+                ' WHERE a.attrelid = ?::regclass AND a.attnum > 0 AND NOT a.attisdropped' +
+                ' ORDER BY a.attnum', [name]);
+
+            const columns = resp.rows.map(column =>
+                '  ' + wrapObjectName(column['name']) + ' ' + column['type'] +
+                (column['default_value'] != null ? ' DEFAULT ' + column['default_value'] : '') +
+                (column['not_null'] ? ' NOT NULL' : ''));
+
+            await write(outputStream,
+                'CREATE TABLE ' + (options.dropTable ? '' : 'IF NOT EXISTS ') + name + ' (' + NEW_LINE +
+                columns.join(',' + NEW_LINE) + NEW_LINE + ');' + NEW_LINE);
+            reportProgress(options, 'structure', tableName, i + 1, tables.length);
+        }
+
+        let resp = await knex.raw(
+            'SELECT s.relname AS sequence, t.relname AS table, a.attname AS column FROM pg_catalog.pg_depend d' +
+            ' JOIN pg_catalog.pg_class s ON s.oid = d.objid' +
+            ' JOIN pg_catalog.pg_namespace n ON n.oid = s.relnamespace' +
+            ' JOIN pg_catalog.pg_class t ON t.oid = d.refobjid' +
+            ' JOIN pg_catalog.pg_attribute a ON a.attrelid = t.oid AND a.attnum = d.refobjsubid' +
+            ' WHERE n.nspname = ? AND s.relkind = \'S\' AND d.deptype = \'a\'', [schema]);
+
+        for (const row of resp.rows) {
+            await write(outputStream,
+                'ALTER SEQUENCE ' + PostgresBackupController.qualify(schema, row['sequence']) +
+                ' OWNED BY ' + PostgresBackupController.qualify(schema, row['table']) + '.' + wrapObjectName(row['column']) +
+                ';' + NEW_LINE);
+        }
+    }
+
+    /**
+     * Exports the table data, as INSERT statements or COPY blocks.
+     * All of the tables are read in a single read-only transaction, so they are consistent with each other,
+     *   through a cursor, so a large table is not loaded into memory at once.
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise<Array<{name: string, rows: number}>>} The row counts of the tables
+     */
+    static async exportTableData(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+        const tables = await PostgresBackupController.getTableList(knex, schema);
+        const copy = options.dataFormat === 'copy';
+        const counts = [];
+
+        await knex.transaction(async trx => {
+            await trx.raw('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+
+            for (const [i, tableName] of tables.entries()) {
+                let count = 0;
+                const name = PostgresBackupController.qualify(schema, tableName);
+
+                let resp = await trx.raw(
+                    'SELECT a.attname AS name FROM pg_catalog.pg_attribute a' +
+                    ' WHERE a.attrelid = ?::regclass AND a.attnum > 0 AND NOT a.attisdropped' +
+                    ' ORDER BY a.attnum', [name]);
+                const columns = resp.rows.map(row => row['name']);
+
+                // The values are read in their text representation, which restores into any column type
+                await trx.raw('DECLARE backup_cursor NO SCROLL CURSOR FOR SELECT ' +
+                    columns.map(column => wrapObjectName(column) + '::text AS ' + wrapObjectName(column)).join(', ') +
+                    ' FROM ' + name);
+
+                if (copy) {
+                    await write(outputStream, 'COPY ' + name + ' (' + columns.map(wrapObjectName).join(', ') + ') FROM stdin;' + NEW_LINE);
+                }
+
+                for (;;) {
+                    let rows = (await trx.raw('FETCH ' + FETCH_SIZE + ' FROM backup_cursor')).rows;
+                    count += rows.length;
+
+                    for (const row of rows) {
+                        if (copy) {
+                            await write(outputStream, columns.map(column => escapeCopyValue(row[column])).join('\t') + NEW_LINE);
+                        } else {
+                            await write(outputStream, trx(tableName)
+                                .withSchema(schema)
+                                .insert(row)
+                                .toString() + ';' + NEW_LINE);
+                        }
+                    }
+
+                    if (rows.length < FETCH_SIZE)
+                        break;
+                }
+
+                if (copy) {
+                    await write(outputStream, '\\.' + NEW_LINE);
+                }
+
+                await trx.raw('CLOSE backup_cursor');
+
+                counts.push({ name: tableName, rows: count });
+                reportProgress(options, 'data', tableName, i + 1, tables.length, count);
+            }
+        });
+
+        return counts;
+    }
+
+    /**
+     * Exports the current values of the sequences
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportSequenceValues(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        let resp = await knex.raw(
+            'SELECT sequencename AS name, start_value, last_value FROM pg_catalog.pg_sequences' +
+            ' WHERE schemaname = ? ORDER BY sequencename', [schema]);
+
+        for (const row of resp.rows) {
+            // A sequence which was never used has no last value, and its next value is its start value
+            const isCalled = row['last_value'] != null;
+
+            await write(outputStream,
+                'SELECT pg_catalog.setval(' + knex.raw('?', [PostgresBackupController.qualify(schema, row['name'])]).toString() +
+                ', ' + (isCalled ? row['last_value'] : row['start_value']) + ', ' + isCalled + ');' + NEW_LINE);
+        }
+    }
+
+    /**
+     * Exports the primary keys, unique, check, exclusion and foreign key constraints (foreign keys last)
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportConstraints(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        let resp = await knex.raw(
+            'SELECT c.conname AS name, t.relname AS table, pg_catalog.pg_get_constraintdef(c.oid, true) AS definition' +
+            ' FROM pg_catalog.pg_constraint c' +
+            ' JOIN pg_catalog.pg_class t ON t.oid = c.conrelid' +
+            ' JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace' +
+            ' WHERE n.nspname = ? AND c.contype IN (\'p\', \'u\', \'c\', \'x\', \'f\')' +
+            ' ORDER BY c.contype = \'f\', t.relname, c.conname', [schema]);
+
+        for (const row of resp.rows) {
+            await write(outputStream,
+                'ALTER TABLE ' + PostgresBackupController.qualify(schema, row['table']) +
+                ' ADD CONSTRAINT ' + wrapObjectName(row['name']) + ' ' + row['definition'] + ';' + NEW_LINE);
+        }
+    }
+
+    /**
+     * Exports the indexes which are not a part of a constraint
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportIndexes(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        let resp = await knex.raw(
+            'SELECT pg_catalog.pg_get_indexdef(i.oid) AS definition FROM pg_catalog.pg_index x' +
+            ' JOIN pg_catalog.pg_class i ON i.oid = x.indexrelid' +
+            ' JOIN pg_catalog.pg_class t ON t.oid = x.indrelid' +
+            ' JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace' +
+            ' WHERE n.nspname = ? AND t.relkind IN (\'r\', \'p\')' +
+            ' AND NOT EXISTS (SELECT 1 FROM pg_catalog.pg_constraint c WHERE c.conindid = i.oid)' +
+            ' ORDER BY t.relname, i.relname', [schema]);
+
+        for (const row of resp.rows) {
+            let createSql = row['definition'];
+
+            if (!options.dropTable) {
+                createSql = createSql.replace(/^(CREATE\s+(UNIQUE\s+)?INDEX)\s+/, '$1 IF NOT EXISTS ');
+            }
+
+            await write(outputStream, createSql + ';' + NEW_LINE);
+        }
+    }
+
+    /**
+     * Exports the views, in the order they were created in (so a view comes after the views it uses)
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportViews(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        let resp = await knex.raw(
+            'SELECT c.relname AS name, pg_catalog.pg_get_viewdef(c.oid, true) AS definition FROM pg_catalog.pg_class c' +
+            ' JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace' +
+            ' WHERE n.nspname = ? AND c.relkind = \'v\'' +
+            ' ORDER BY c.oid', [schema]);
+
+        for (const [i, row] of resp.rows.entries()) {
+            const name = PostgresBackupController.qualify(schema, row['name']);
+
+            if (options.dropTable) {
+                await write(outputStream, 'DROP VIEW IF EXISTS ' + name + ' CASCADE;' + NEW_LINE);
+            }
+
+            await write(outputStream,
+                'CREATE OR REPLACE VIEW ' + name + ' AS' + NEW_LINE + row['definition'].trim().replace(/;$/, '') + ';' + NEW_LINE);
+            reportProgress(options, 'views', row['name'], i + 1, resp.rows.length);
+        }
+    }
+
+    /**
+     * Exports the triggers
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {PostgresBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportTriggers(knex, outputStream, options) {
+        const schema = await PostgresBackupController.getSchemaName(knex, options);
+
+        let resp = await knex.raw(
+            'SELECT t.tgname AS name, c.relname AS table, pg_catalog.pg_get_triggerdef(t.oid, true) AS definition' +
+            ' FROM pg_catalog.pg_trigger t' +
+            ' JOIN pg_catalog.pg_class c ON c.oid = t.tgrelid' +
+            ' JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace' +
+            ' WHERE n.nspname = ? AND NOT t.tgisinternal' +
+            ' ORDER BY c.relname, t.tgname', [schema]);
+
+        for (const [i, row] of resp.rows.entries()) {
+            await write(outputStream,
+                'DROP TRIGGER IF EXISTS ' + wrapObjectName(row['name']) +
+                ' ON ' + PostgresBackupController.qualify(schema, row['table']) + ';' + NEW_LINE);
+            await write(outputStream, row['definition'] + ';' + NEW_LINE);
+            reportProgress(options, 'triggers', row['name'], i + 1, resp.rows.length);
+        }
+    }
+}
+
+module.exports = PostgresBackupController;
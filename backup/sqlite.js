@@ -0,0 +1,326 @@
+"use strict";
+
+const { write, reportProgress, writeBackup } = require('./output');
+
+/** @const */
+const NEW_LINE = '\n';
+
+/**
+ * How many rows are read at a time from a table.
+ * knex's Sqlite streams read the whole result into memory, so the data is read in pages instead.
+ * @const
+ */
+const PAGE_SIZE = 1000;
+
+/** @typedef {BackupOutputOptions & {triggers: Boolean?, dropTable: Boolean?, tableStructure: Boolean?, tableData: Boolean?}} SqliteBackupOptions */
+
+/**
+ * @typedef {{type: string, name: string, tbl_name: string, sql: string}} SqliteMasterRow
+ */
+
+/**
+ * Wraps an object name for Sqlite
+ * @param {string} name
+ * @returns {string}
+ */
+const wrapObjectName = function (name) {
+    return '"' + name.replace(/"/g, '""') + '"';
+};
+
+/**
+ * Adds IF NOT EXISTS to a CREATE statement from sqlite_master, if it does not have it yet
+ * @param {string} sql
+ * @returns {string}
+ */
+const addIfNotExists = function (sql) {
+    return sql.replace(/^(CREATE\s+(?:TEMP(?:ORARY)?\s+)?(?:UNIQUE\s+)?(?:TABLE|INDEX|VIEW|TRIGGER))\s+(?!IF\s+NOT\s+EXISTS\s)/i,
+        '$1 IF NOT EXISTS ');
+};
+
+/**
+ * Orders objects so that each one comes after the ones it depends on.
+ * Objects in a dependency cycle keep their original order.
+ * @param {string[]} names The object names, in their original order
+ * @param {function(name: string):string[]} getDependencies
+ * @returns {string[]}
+ */
+const sortByDependencies = function (names, getDependencies) {
+    const sorted = [];
+    const state = {};
+
+    const visit = name => {
+        if (state[name])
+            return;
+
+        state[name] = 'visiting';
+
+        for (const dependency of getDependencies(name)) {
+            if (dependency !== name && names.includes(dependency)) {
+                visit(dependency);
+            }
+        }
+
+        state[name] = 'done';
+        sorted.push(name);
+    };
+
+    for (const name of names) {
+        visit(name);
+    }
+
+    return sorted;
+};
+
+class SqliteBackupController {
+
+    /**
+     * Exports the db structure and data to the specified stream.
+     * The script disables the foreign keys while it runs (and restores the setting of the source db at the end),
+     *   and is wrapped in a transaction.
+     * Resolves with a manifest of the backup.
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {SqliteBackupOptions} options
+     * @returns {Promise<BackupManifest>}
+     */
+    static async generateBackup(knex, outputStream, options) {
+        return writeBackup(knex, outputStream, options, 'sqlite3',
+            outputStream => SqliteBackupController.writeScript(knex, outputStream, options));
+    }
+
+    /**
+     * Writes the backup script, for generateBackup
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {SqliteBackupOptions} options
+     * @returns {Promise<Array<{name: string, rows: number}>>} The row counts of the tables whose data was exported
+     */
+    static async writeScript(knex, outputStream, options) {
+        let tables = [];
+        const foreignKeys = await SqliteBackupController.getForeignKeysEnabled(knex);
+
+        // PRAGMA foreign_keys has no effect inside of a transaction, so it comes first
+        await write(outputStream, 'PRAGMA foreign_keys=OFF;' + NEW_LINE);
+        await write(outputStream, 'BEGIN TRANSACTION;' + NEW_LINE);
+
+        if (options.tableStructure) {
+            await SqliteBackupController.exportTableStructure(knex, outputStream, options);
+        }
+        if (options.tableData) {
+            tables = await SqliteBackupController.exportTableData(knex, outputStream, options);
+        }
+        if (options.tableStructure) {
+            await SqliteBackupController.exportIndexes(knex, outputStream, options);
+            await SqliteBackupController.exportViews(knex, outputStream, options);
+        }
+        if (options.triggers) {
+            await SqliteBackupController.exportTriggers(knex, outputStream, options);
+        }
+
+        await write(outputStream, 'COMMIT;' + NEW_LINE);
+
+        if (foreignKeys) {
+            await write(outputStream, 'PRAGMA foreign_keys=ON;' + NEW_LINE);
+        }
+
+        return tables;
+    }
+
+    /**
+     * Tells if foreign keys are enforced on the connection
+     * @param {knex} knex
+     * @returns {Promise<boolean>}
+     */
+    static async getForeignKeysEnabled(knex) {
+        let rows = await knex.raw('PRAGMA foreign_keys');
+        return rows.length > 0 && Number(rows[0]['foreign_keys']) === 1;
+    }
+
+    /**
+     * Lists the objects of a type from sqlite_master, in the order they were created in.
+     * Internal objects (i.e. `sqlite_sequence` and the automatic indexes, which have no SQL) are left out.
+     * @param {knex} knex
+     * @param {'table'|'index'|'view'|'trigger'} type
+     * @returns {Promise<SqliteMasterRow[]>}
+     */
+    static async getObjectList(knex, type) {
+        // noinspection JSUnresolvedFunction
+        return knex.select('type', 'name', 'tbl_name', 'sql')
+            .from('sqlite_master')
+            .where('type', type)
+            .whereNotNull('sql')
+            .whereRaw('substr(name, 1, 7) <> ?', ['sqlite_'])
+            .orderBy('rowid');
+    }
+
+    /**
+     * Lists the tables that a table refers to with foreign keys
+     * @param {knex} knex
+     * @param {string} tableName
+     * @returns {Promise<string[]>}
+     */
+    static async getReferencedTables(knex, tableName) {
+        let rows = await knex.raw('PRAGMA foreign_key_list(' + wrapObjectName(tableName) + ')');
+        return rows.map(row => row['table']);
+    }
+
+    /**
+     * Lists the tables, with the tables they refer to before them
+     * @param {knex} knex
+     * @returns {Promise<SqliteMasterRow[]>}
+     */
+    static async getSortedTables(knex) {
+        const tables = await SqliteBackupController.getObjectList(knex, 'table');
+        const dependencies = {};
+
+        for (const table of tables) {
+            dependencies[table.name] = await SqliteBackupController.getReferencedTables(knex, table.name);
+        }
+
+        const sorted = sortByDependencies(tables.map(table => table.name), name => dependencies[name]);
+        return sorted.map(name => tables.find(table => table.name === name));
+    }
+
+    /**
+     * Exports the tables structure
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {SqliteBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportTableStructure(knex, outputStream, options) {
+        const tables = await SqliteBackupController.getSortedTables(knex);
+
+        if (options.dropTable) {
+            // Views and triggers may refer to the tables
+            for (const view of await SqliteBackupController.getObjectList(knex, 'view')) {
+                await write(outputStream, 'DROP VIEW IF EXISTS ' + wrapObjectName(view.name) + ';' + NEW_LINE);
+            }
+
+            for (const table of tables.slice().reverse()) {
+                await write(outputStream, 'DROP TABLE IF EXISTS ' + wrapObjectName(table.name) + ';' + NEW_LINE);
+            }
+        }
+
+        for (const [i, table] of tables.entries()) {
+            await write(outputStream, (options.dropTable ? table.sql : addIfNotExists(table.sql)) + ';' + NEW_LINE);
+            reportProgress(options, 'structure', table.name, i + 1, tables.length);
+        }
+    }
+
+    /**
+     * Exports the table data, and the AUTOINCREMENT counters
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {SqliteBackupOptions} options
+     * @returns {Promise<Array<{name: string, rows: number}>>} The row counts of the tables
+     */
+    static async exportTableData(knex, outputStream, options) {
+        const tables = await SqliteBackupController.getSortedTables(knex);
+        const counts = [];
+
+        for (const [i, table] of tables.entries()) {
+            let count = 0;
+
+            for (let offset = 0; ; offset += PAGE_SIZE) {
+                // noinspection JSUnresolvedFunction
+                let rows = await knex.select('*')
+                    .from(table.name)
+                    .limit(PAGE_SIZE)
+                    .offset(offset);
+                count += rows.length;
+
+                for (const row of rows) {
+                    await write(outputStream, knex.insert(row)
+                        .into(table.name)
+                        .toString() + ';' + NEW_LINE);
+                }
+
+                if (rows.length < PAGE_SIZE)
+                    break;
+            }
+
+            counts.push({ name: table.name, rows: count });
+            reportProgress(options, 'data', table.name, i + 1, tables.length, count);
+        }
+
+        // sqlite_sequence only exists when a table has an AUTOINCREMENT column
+        let hasSequences = (await knex.select('name')
+            .from('sqlite_master')
+            .where('type', 'table')
+            .andWhere('name', 'sqlite_sequence')).length > 0;
+
+        if (hasSequences) {
+            for (const row of await knex.select('name', 'seq').from('sqlite_sequence')) {
+                await write(outputStream, knex.table('sqlite_sequence').where('name', row['name']).del().toString() + ';' + NEW_LINE);
+                await write(outputStream, knex.insert(row).into('sqlite_sequence').toString() + ';' + NEW_LINE);
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Exports the indexes
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {SqliteBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportIndexes(knex, outputStream, options) {
+        for (const index of await SqliteBackupController.getObjectList(knex, 'index')) {
+            if (options.dropTable) {
+                await write(outputStream, 'DROP INDEX IF EXISTS ' + wrapObjectName(index.name) + ';' + NEW_LINE);
+            }
+
+            await write(outputStream, (options.dropTable ? index.sql : addIfNotExists(index.sql)) + ';' + NEW_LINE);
+        }
+    }
+
+    /**
+     * Exports the views, with the views they use before them
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {SqliteBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportViews(knex, outputStream, options) {
+        const views = await SqliteBackupController.getObjectList(knex, 'view');
+        const names = views.map(view => view.name);
+
+        // A view's SQL mentions the views it uses by their names, possibly quoted
+        const getDependencies = name => {
+            const sql = views.find(view => view.name === name).sql;
+            return names.filter(other => new RegExp('(^|[^\\w$])["`\\[]?' +
+                other.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '["`\\]]?(?![\\w$])', 'i').test(sql));
+        };
+
+        for (const [i, name] of sortByDependencies(names, getDependencies).entries()) {
+            const view = views.find(item => item.name === name);
+            await write(outputStream, (options.dropTable ? view.sql : addIfNotExists(view.sql)) + ';' + NEW_LINE);
+            reportProgress(options, 'views', name, i + 1, views.length);
+        }
+    }
+
+    /**
+     * Exports the triggers
+     * @param {knex} knex
+     * @param {NodeJS.WritableStream} outputStream
+     * @param {SqliteBackupOptions} options
+     * @returns {Promise}
+     */
+    static async exportTriggers(knex, outputStream, options) {
+        const triggers = await SqliteBackupController.getObjectList(knex, 'trigger');
+
+        for (const [i, trigger] of triggers.entries()) {
+            if (options.dropTable) {
+                await write(outputStream, 'DROP TRIGGER IF EXISTS ' + wrapObjectName(trigger.name) + ';' + NEW_LINE);
+            }
+
+            await write(outputStream, (options.dropTable ? trigger.sql : addIfNotExists(trigger.sql)) + ';' + NEW_LINE);
+            reportProgress(options, 'triggers', trigger.name, i + 1, triggers.length);
+        }
+    }
+}
+
+module.exports = SqliteBackupController;
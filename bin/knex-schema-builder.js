@@ -0,0 +1,589 @@
+#!/usr/bin/env node
+"use strict";
+
+const Path = require('path');
+const Fs = require('fs');
+const ChildProcess = require('child_process');
+const stripJsonComments = require('strip-json-comments');
+const KnexSchemaBuilder = require('../index.js');
+
+/** @const */
+const EXIT_OK = 0;
+
+/** @const */
+const EXIT_FAILURE = 1;
+
+/** @const */
+const EXIT_USAGE = 2;
+
+/**
+ * Returned by `status` when an install or an upgrade is pending
+ * @const
+ */
+const EXIT_PENDING = 3;
+
+/**
+ * Flags which do not take a value
+ * @const
+ */
+const BOOLEAN_FLAGS = [
+    'dry-run', 'help', 'ignore-exists', 'create-db-schemas', 'transactional',
+    'routines', 'triggers', 'drop-table', 'wrap-in-transaction', 'no-structure', 'no-data', 'copy',
+    'continue-on-error', 'mask', 'progress',
+];
+
+/**
+ * Parses the command line arguments into positional arguments and flags
+ * @param {string[]} argv
+ * @returns {{_: string[], [flag: string]: *}}
+ */
+const parseArgs = function (argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+
+        let name = arg.substr(2), value;
+        const eq = name.indexOf('=');
+
+        if (eq !== -1) {
+            value = name.substr(eq + 1);
+            name = name.substr(0, eq);
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            value = true;
+        } else {
+            value = argv[++i];
+        }
+
+        args[name] = value;
+    }
+
+    return args;
+};
+
+/**
+ * Parses a whole number argument
+ * @param {*} value
+ * @param {string} name
+ * @returns {number}
+ */
+const parseWholeNumberArg = function (value, name) {
+    const version = Number(value);
+
+    if (value === undefined || value === true || !Number.isInteger(version)) {
+        throw new UsageError(name + ' must be a whole number');
+    }
+
+    return version;
+};
+
+/**
+ * Thrown for invalid command line usage
+ */
+class UsageError extends Error {
+}
+
+/**
+ * Guesses the knex client from a connection string
+ * @param {string} connection
+ * @returns {string}
+ */
+const clientFromConnectionString = function (connection) {
+    const match = connection.match(/^([a-z0-9+]+):\/\//i);
+    const protocol = match ? match[1].toLowerCase() : null;
+
+    switch (protocol) {
+        case 'postgres':
+        case 'postgresql':
+            return 'pg';
+        case 'mysql':
+            return 'mysql';
+        case 'mysql2':
+            return 'mysql2';
+        case 'mssql':
+        case 'sqlserver':
+            return 'mssql';
+        case null:
+            return 'sqlite3';
+    }
+
+    throw new UsageError('Can not detect the client for `' + connection + '`, please specify --client');
+};
+
+/**
+ * Creates the knex instance, from --connection or from a knexfile
+ * @param {Object} args
+ * @returns {Object} knex instance
+ */
+const createDb = function (args) {
+    const knex = require('knex');
+    let config;
+
+    if (args['connection']) {
+        const client = args['client'] || clientFromConnectionString(args['connection']);
+        config = {
+            client: client,
+            connection: client === 'sqlite3' || client === 'sqlite'
+                ? { filename: args['connection'] }
+                : args['connection'],
+            useNullAsDefault: true,
+        };
+    } else {
+        const knexfile = Path.resolve(args['knexfile'] || 'knexfile.js');
+        if (!Fs.existsSync(knexfile)) {
+            throw new UsageError('Either --connection or a knexfile (' + knexfile + ') is required');
+        }
+
+        config = require(knexfile);
+
+        if (config && config.default && !config.client) {
+            config = config.default;
+        }
+
+        if (config && !config.client) {
+            const env = args['env'] || process.env.NODE_ENV || 'development';
+            config = config[env];
+
+            if (!config) {
+                throw new UsageError('The knexfile has no configuration for the `' + env + '` environment');
+            }
+        }
+    }
+
+    return knex(config);
+};
+
+/**
+ * Creates a builder for --schema-path, --table-prefix and --db-schema
+ * @param {Object} args
+ * @param {Object?} db knex instance
+ * @returns {KnexSchemaBuilder}
+ */
+const createBuilder = function (args, db) {
+    return new KnexSchemaBuilder({
+        db: db,
+        schemaPath: Path.resolve(args['schema-path'] || '.'),
+        tablePrefix: args['table-prefix'],
+        dbSchema: args['db-schema'],
+    });
+};
+
+/**
+ * Wraps a command that needs a db connection, and makes sure the connection is closed afterwards
+ * @param {function(builder: KnexSchemaBuilder, args: Object):Promise<number>} run
+ * @returns {function(args: Object, db: Object?):Promise<number>}
+ *   When given a knex instance, the command runs on it (and leaves it open) instead of connecting by the arguments
+ */
+const withDb = function (run) {
+    return async (args, db) => {
+        if (db)
+            return run(createBuilder(args, db), args);
+
+        db = createDb(args);
+
+        try {
+            return await run(createBuilder(args, db), args);
+        } finally {
+            await db.destroy();
+        }
+    };
+};
+
+/**
+ * Reads the previous schema.json from a git revision
+ * @param {string} schemaPath
+ * @param {string} revision
+ * @returns {Object}
+ */
+const readSchemaFromGit = function (schemaPath, revision) {
+    const json = ChildProcess.execFileSync('git', ['show', revision + ':./schema.json'], {
+        cwd: schemaPath,
+        encoding: 'utf8',
+    });
+
+    return JSON.parse(stripJsonComments(json));
+};
+
+/**
+ * Opens the output stream for --output, or returns stdout
+ * @param {Object} args
+ * @returns {NodeJS.WritableStream}
+ */
+const openOutput = function (args) {
+    return args['output'] ? Fs.createWriteStream(Path.resolve(args['output'])) : process.stdout;
+};
+
+/**
+ * Closes an output stream which was opened by openOutput
+ * @param {NodeJS.WritableStream} stream
+ * @returns {Promise}
+ */
+const closeOutput = function (stream) {
+    if (stream === process.stdout)
+        return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+    });
+};
+
+const COMMANDS = {
+    'status': {
+        usage: 'status',
+        description: 'Shows the current and the latest db versions. Exits with ' + EXIT_PENDING +
+            ' if an install or an upgrade is pending',
+
+        run: withDb(async (builder, args) => {
+            const currentVersion = await builder.getCurrentDbVersion();
+            const latestVersion = await builder.getLatestDbVersion();
+
+            console.log('Current version: ' + (currentVersion == null ? '(not installed)' : currentVersion));
+            console.log('Latest version: ' + latestVersion);
+
+            if (currentVersion == null) {
+                console.log('Install is needed');
+                return EXIT_PENDING;
+            }
+
+            if (currentVersion < latestVersion) {
+                console.log('Upgrade is needed');
+                return EXIT_PENDING;
+            }
+
+            console.log('Up to date');
+            return EXIT_OK;
+        }),
+    },
+
+    'install': {
+        usage: 'install [--ignore-exists] [--create-db-schemas]',
+        description: 'Installs a fresh db from schema.json',
+
+        run: withDb(async (builder, args) => {
+            const version = await builder.install({
+                ignoreExistsError: !!args['ignore-exists'],
+                createDbSchemas: !!args['create-db-schemas'],
+            });
+
+            console.log('Installed version ' + version);
+            return EXIT_OK;
+        }),
+    },
+
+    'upgrade': {
+        usage: 'upgrade [--to <version>] [--transactional] [--backup-dir <dir>]',
+        description: 'Upgrades the db to the latest version, or up to a specific version',
+
+        run: withDb(async (builder, args) => {
+            const version = await builder.upgrade({
+                targetVersion: args['to'] !== undefined ? parseWholeNumberArg(args['to'], '--to') : undefined,
+                transactional: !!args['transactional'],
+                backupDirectory: args['backup-dir'],
+            });
+
+            console.log('Upgraded to version ' + version);
+            return EXIT_OK;
+        }),
+    },
+
+    'set-version': {
+        usage: 'set-version <version>',
+        description: 'Sets the db version in schema_globals, without running anything',
+
+        run: withDb(async (builder, args) => {
+            const version = parseWholeNumberArg(args._[1], 'version');
+
+            await builder.setCurrentDbVersion(version);
+
+            console.log('Version set to ' + version);
+            return EXIT_OK;
+        }),
+    },
+
+    'history': {
+        usage: 'history',
+        description: 'Lists the install and upgrade steps which were run on the db, ' +
+            'and warns about applied upgrade files which were changed since',
+
+        run: withDb(async builder => {
+            const history = await builder.getMigrationHistory();
+
+            for (const record of history) {
+                const duration = record.startedAt && record.finishedAt
+                    ? (record.finishedAt.getTime() - record.startedAt.getTime()) + 'ms'
+                    : '?';
+
+                console.log([
+                    record.version,
+                    record.type,
+                    record.status,
+                    record.startedAt ? record.startedAt.toISOString() : '?',
+                    duration,
+                    record.host,
+                    record.actionCount + ' action(s)',
+                    record.file,
+                ].join('  ') + (record.error ? '  ' + record.error : ''));
+            }
+
+            if (!history.length) {
+                console.log('No migrations were recorded');
+            }
+
+            await builder.verifyMigrationChecksums();
+
+            return EXIT_OK;
+        }),
+    },
+
+    'force-unlock': {
+        usage: 'force-unlock',
+        description: 'Removes a migration lock which was left behind by a crashed process',
+
+        run: withDb(async builder => {
+            const removed = await builder.forceUnlock();
+
+            console.log(removed ? 'The migration lock was removed' : 'There was no migration lock to remove');
+            return EXIT_OK;
+        }),
+    },
+
+    'dry-run': {
+        usage: 'dry-run [--to <version>] [--output <file>]',
+        description: 'Prints the SQL that install (on an empty db) or upgrade would execute',
+
+        run: withDb(async (builder, args) => {
+            const outputStream = openOutput(args);
+
+            try {
+                const isInstalled = await builder.peekCurrentDbVersion() != null;
+
+                if (isInstalled) {
+                    await builder.upgrade({
+                        dryRun: true,
+                        outputStream: outputStream,
+                        targetVersion: args['to'] !== undefined ? parseWholeNumberArg(args['to'], '--to') : undefined,
+                    });
+                } else {
+                    await builder.install({
+                        dryRun: true,
+                        outputStream: outputStream,
+                    });
+                }
+            } finally {
+                await closeOutput(outputStream);
+            }
+
+            return EXIT_OK;
+        }),
+    },
+
+    'backup': {
+        usage: 'backup [--output <file>] [--no-structure] [--no-data] [--routines] [--triggers] [--drop-table] [--wrap-in-transaction] [--copy]' +
+            ' [--include-tables <patterns>] [--exclude-tables <patterns>] [--limit <rows>] [--batch-size <rows>] [--insert-mode <mode>]' +
+            ' [--mask [--mask-salt <salt>]] [--compress gzip|brotli] [--manifest <file>] [--progress]',
+        description: 'Dumps a MySql, Postgres or Sqlite db (structure and data by default)',
+
+        run: withDb(async (builder, args) => {
+            const controllers = {
+                'mysql': builder.mysqlBackup,
+                'postgresql': builder.postgresBackup,
+                'sqlite3': builder.sqliteBackup,
+            };
+            const controller = controllers[builder.db.client.dialect];
+
+            if (!controller) {
+                throw new UsageError('backup is only supported on MySql, Postgres and Sqlite');
+            }
+
+            if (args['insert-mode'] !== undefined && !['insert', 'ignore', 'replace', 'update'].includes(args['insert-mode'])) {
+                throw new UsageError('--insert-mode must be one of insert, ignore, replace or update');
+            }
+
+            if (args['mask'] && controller !== builder.mysqlBackup) {
+                throw new UsageError('--mask is only supported on MySql');
+            }
+
+            if (args['compress'] !== undefined && !['gzip', 'brotli'].includes(args['compress'])) {
+                throw new UsageError('--compress must be gzip or brotli');
+            }
+
+            const masks = args['mask'] ? await builder.getMasks() : undefined;
+            const outputStream = openOutput(args);
+            let manifest;
+
+            try {
+                manifest = await controller.generateBackup(builder.db, outputStream, {
+                    tableStructure: !args['no-structure'],
+                    tableData: !args['no-data'],
+                    routines: !!args['routines'],
+                    triggers: !!args['triggers'],
+                    dropTable: !!args['drop-table'],
+                    wrapInTransaction: !!args['wrap-in-transaction'],
+                    dataFormat: args['copy'] ? 'copy' : 'insert',
+                    includeTables: args['include-tables'] ? String(args['include-tables']).split(',') : undefined,
+                    excludeTables: args['exclude-tables'] ? String(args['exclude-tables']).split(',') : undefined,
+                    limit: args['limit'] !== undefined ? parseWholeNumberArg(args['limit'], '--limit') : undefined,
+                    batchSize: args['batch-size'] !== undefined ? parseWholeNumberArg(args['batch-size'], '--batch-size') : undefined,
+                    insertMode: args['insert-mode'],
+                    masks: masks,
+                    maskSalt: args['mask-salt'],
+                    schema: builder.dbSchema || undefined,
+                    compression: args['compress'],
+                    schemaGlobalsTable: (builder.dbSchema ? builder.dbSchema + '.' : '') + 'schema_globals',
+                    versionKey: builder.tablePrefix + 'db_version',
+                    onProgress: args['progress'] ? progress => console.error(
+                        progress.step + ' ' + progress.index + '/' + progress.total + ': ' + progress.name +
+                        (progress.rows !== undefined ? ' (' + progress.rows + ' rows)' : '')) : undefined,
+                });
+            } finally {
+                await closeOutput(outputStream);
+            }
+
+            if (args['manifest']) {
+                Fs.writeFileSync(Path.resolve(args['manifest']), JSON.stringify(manifest, null, 2) + '\n');
+            }
+
+            return EXIT_OK;
+        }),
+    },
+
+    'restore': {
+        usage: 'restore [--input <file>] [--continue-on-error]',
+        description: 'Runs a MySql backup script (from stdin by default), statement by statement',
+
+        run: withDb(async (builder, args) => {
+            if (builder.db.client.dialect !== 'mysql') {
+                throw new UsageError('restore is only supported on MySql');
+            }
+
+            const inputStream = args['input'] ? Fs.createReadStream(Path.resolve(args['input'])) : process.stdin;
+
+            const result = await builder.mysqlBackup.restoreBackup(builder.db, inputStream, {
+                continueOnError: !!args['continue-on-error'],
+            });
+
+            for (const error of result.errors) {
+                console.error(error.error.message + ' in: ' + error.sql.substr(0, 200));
+            }
+
+            console.log(result.statements + ' statement(s) run, ' + result.errors.length + ' failed');
+
+            return result.errors.length ? EXIT_FAILURE : EXIT_OK;
+        }),
+    },
+
+    'validate': {
+        usage: 'validate',
+        description: 'Validates schema.json, version.json and the upgrade/downgrade files, and lists the problems',
+
+        run: async args => {
+            const problems = await createBuilder(args).validate();
+
+            for (const problem of problems) {
+                console.log(problem.file + ': ' + problem.path + ' ' + problem.message);
+            }
+
+            if (problems.length) {
+                console.log(problems.length + ' problem(s) found');
+                return EXIT_FAILURE;
+            }
+
+            console.log('The schema files are valid');
+            return EXIT_OK;
+        },
+    },
+
+    'generate-upgrade': {
+        usage: 'generate-upgrade --schema-path <dir> (--from <schema.json> | --from-git <revision>) [--dry-run]',
+        description: 'Generates the next upgrade.####.json from the changes in schema.json, and bumps version.json',
+
+        /**
+         * @param {Object} args
+         * @returns {Promise<number>} exit code
+         */
+        run: async args => {
+            if (!args['from'] && !args['from-git']) {
+                throw new UsageError('Either --from or --from-git is required');
+            }
+
+            const builder = createBuilder(args);
+            const previousSchema = args['from-git']
+                ? readSchemaFromGit(builder.schemaPath, args['from-git'])
+                : Path.resolve(args['from']);
+
+            const upgrade = await builder.generateUpgrade(previousSchema, {
+                dryRun: !!args['dry-run'],
+            });
+
+            if (args['dry-run']) {
+                process.stdout.write(require('../generate/upgrade').formatUpgradeActions(upgrade.actions));
+            } else {
+                console.log('Written ' + upgrade.actions.length + ' actions to ' + upgrade.file +
+                    ', version is now ' + upgrade.version);
+            }
+
+            return EXIT_OK;
+        },
+    },
+};
+
+const printUsage = function () {
+    console.log('Usage: knex-schema-builder <command> [options]');
+    console.log('');
+    console.log('Commands:');
+
+    for (const name of Object.keys(COMMANDS)) {
+        console.log('  ' + COMMANDS[name].usage);
+        console.log('      ' + COMMANDS[name].description);
+    }
+
+    console.log('');
+    console.log('Options:');
+    console.log('  --schema-path <dir>      Path to where the schema files reside (default: current directory)');
+    console.log('  --table-prefix <prefix>  A prefix for table names');
+    console.log('  --db-schema <name>       The db schema (namespace) for the tables and schema_globals');
+    console.log('  --knexfile <file>        The knexfile to connect with (default: ./knexfile.js)');
+    console.log('  --env <name>             The knexfile environment (default: NODE_ENV or development)');
+    console.log('  --connection <string>    A connection string (or a Sqlite file), instead of a knexfile');
+    console.log('  --client <client>        The knex client for --connection, if it can not be detected');
+};
+
+/**
+ * Runs a command line
+ * @param {string[]} argv The arguments, without the node and the script paths
+ * @param {Object?} db A knex instance to run the command on, instead of connecting by the arguments
+ * @returns {Promise<number>} exit code
+ */
+const main = async function (argv, db) {
+    try {
+        const args = parseArgs(argv);
+        const command = COMMANDS[args._[0]];
+
+        if (!command || args['help']) {
+            printUsage();
+            return command || args['help'] ? EXIT_OK : EXIT_USAGE;
+        }
+
+        return await command.run(args, db);
+    } catch (err) {
+        console.error(err instanceof Error ? err.message : err);
+        return err instanceof UsageError ? EXIT_USAGE : EXIT_FAILURE;
+    }
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    parseArgs: parseArgs,
+    main: main,
+};
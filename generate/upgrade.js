@@ -0,0 +1,301 @@
+"use strict";
+
+const { normalizeColumnType, declaredIndexes, isSameForeignKey, toArray } = require('../introspect/diff');
+
+/**
+ * Column properties which are handled by actions other than `alterColumn`
+ * @const
+ */
+const NON_ALTER_PROPERTIES = ['name', 'unique', 'primary_key', 'pii'];
+
+/**
+ * Index options which are carried as they are into `createIndex` (partial, expression and typed indexes)
+ * @const
+ */
+const INDEX_OPTIONS = ['expressions', 'where', 'method', 'type', 'lengths', 'storage_parameters'];
+
+/**
+ * Tells if two column descriptions differ in a way that requires an `alterColumn`
+ * @param {TableColumnDescription} a
+ * @param {TableColumnDescription} b
+ * @returns {boolean}
+ */
+const isColumnChanged = function (a, b) {
+    if (normalizeColumnType(null, a) !== normalizeColumnType(null, b))
+        return true;
+
+    const keys = new Set(Object.keys(a).concat(Object.keys(b)));
+
+    for (const key of keys) {
+        // The type and length are compared by the normalized type
+        if (NON_ALTER_PROPERTIES.includes(key) || key === 'type' || key === 'length')
+            continue;
+
+        if (JSON.stringify(a[key]) !== JSON.stringify(b[key]))
+            return true;
+    }
+
+    return false;
+};
+
+/**
+ * Lists the indexes of a table, keyed by their effective name
+ * @param {string} tableName
+ * @param {TableDescription} table
+ * @returns {Array<{key: string, name: string?, columns: Array<string>, unique: boolean, columnLevel: boolean, options: Object}>}
+ */
+const listIndexes = function (tableName, table) {
+    const explicitNames = (table['indexes'] || []).map(index => index['name']).filter(Boolean);
+    const uniqueColumns = (table['columns'] || []).filter(c => c['unique']).map(c => c['name']);
+    const columnLevelCount = declaredIndexes(tableName, table).length - (table['indexes'] || []).length;
+
+    return declaredIndexes(tableName, table).map((index, i) => {
+        const options = {};
+        const description = i >= columnLevelCount ? table['indexes'][i - columnLevelCount] : {};
+
+        for (const option of INDEX_OPTIONS) {
+            if (description[option] !== undefined) {
+                options[option] = description[option];
+            }
+        }
+
+        return {
+            key: index['name'],
+            name: explicitNames.includes(index['name']) ? index['name'] : null,
+            columns: index['columns'],
+            unique: index['unique'],
+            columnLevel: !explicitNames.includes(index['name']) && index['unique'] &&
+                index['columns'].length === 1 && uniqueColumns.includes(index['columns'][0]),
+            options: options,
+        };
+    });
+};
+
+/**
+ * Tells if an index differs from another one with the same key
+ * @param {{columns: Array<string>, unique: boolean, options: Object}} a
+ * @param {{columns: Array<string>, unique: boolean, options: Object}} b
+ * @returns {boolean}
+ */
+const isIndexChanged = function (a, b) {
+    return a['columns'].join(',') !== b['columns'].join(',') || a['unique'] !== b['unique'] ||
+        JSON.stringify(a['options']) !== JSON.stringify(b['options']);
+};
+
+/**
+ * Creates the action which drops an index
+ * @param {string} tableName
+ * @param {{name: string?, columns: Array<string>, unique: boolean}} index
+ * @returns {Object}
+ */
+const dropIndexAction = function (tableName, index) {
+    const action = { action: index['unique'] ? 'dropUnique' : 'dropIndex', table: tableName };
+
+    if (index['name']) {
+        action['name'] = index['name'];
+    } else {
+        action['column'] = index['columns'].length === 1 ? index['columns'][0] : index['columns'];
+    }
+
+    return action;
+};
+
+/**
+ * Creates the action which creates an index
+ * @param {string} tableName
+ * @param {{name: string?, columns: Array<string>, unique: boolean, options: Object}} index
+ * @returns {Object}
+ */
+const createIndexAction = function (tableName, index) {
+    const action = { action: 'createIndex', table: tableName };
+
+    if (index['name']) {
+        action['name'] = index['name'];
+    }
+
+    if (index['columns'].length) {
+        action['columns'] = index['columns'].length === 1 ? index['columns'][0] : index['columns'];
+    }
+
+    if (index['unique']) {
+        action['unique'] = true;
+    }
+
+    return Object.assign(action, index['options']);
+};
+
+/**
+ * Creates the action which drops a foreign key
+ * @param {string} tableName
+ * @param {TableForeignKeyDescription} foreignKey
+ * @returns {Object}
+ */
+const dropForeignAction = function (tableName, foreignKey) {
+    const action = { action: 'dropForeign', table: tableName };
+
+    if (foreignKey['name']) {
+        action['name'] = foreignKey['name'];
+    } else {
+        action['column'] = foreignKey['columns'];
+    }
+
+    return action;
+};
+
+/**
+ * Compares two versions of the schema tables, and proposes the upgrade actions for going from the previous to the next.
+ * The actions are ordered so that foreign keys, indexes and checks are dropped before the columns/tables they depend on,
+ *   and tables are created before their indexes and foreign keys.
+ * Renames can not be detected, and show as a drop and a create.
+ * @param {Object<string, TableDescription>} previousTables
+ * @param {Object<string, TableDescription>} nextTables
+ * @param {{log: function(...*)}} [logger=console] Receives the notes about changes which need a manual action
+ * @returns {Array<Object>}
+ */
+const generateUpgradeActions = function (previousTables, nextTables, logger) {
+    logger = logger || console;
+
+    const dropForeigns = [], dropIndexes = [], dropChecks = [], createTables = [], addColumns = [], alterColumns = [],
+        dropColumns = [], timestamps = [], dropTables = [], createIndexes = [], addChecks = [], createForeigns = [];
+
+    for (const tableName of Object.keys(nextTables)) {
+        const next = nextTables[tableName];
+        const previous = previousTables[tableName];
+
+        if (!previous) {
+            createTables.push({ action: 'createTable', table: tableName });
+
+            if ((next['indexes'] || []).length) {
+                createIndexes.push({ action: 'createTableIndexes', table: tableName });
+            }
+
+            if ((next['foreign_keys'] || []).length) {
+                createForeigns.push({ action: 'createTableForeignKeys', table: tableName });
+            }
+            continue;
+        }
+
+        const previousColumns = previous['columns'] || [];
+        const nextColumns = next['columns'] || [];
+        const addedColumns = [];
+
+        for (const column of nextColumns) {
+            const previousColumn = previousColumns.find(c => c['name'] === column['name']);
+
+            if (!previousColumn) {
+                addColumns.push({ action: 'addColumn', table: tableName, column: column['name'] });
+                addedColumns.push(column['name']);
+            } else if (isColumnChanged(previousColumn, column)) {
+                alterColumns.push({ action: 'alterColumn', table: tableName, column: column['name'] });
+            }
+        }
+
+        for (const column of previousColumns) {
+            if (!nextColumns.some(c => c['name'] === column['name'])) {
+                dropColumns.push({ action: 'dropColumn', table: tableName, column: column['name'] });
+            }
+        }
+
+        if (!previous['timestamps'] && next['timestamps']) {
+            timestamps.push({ action: 'addTimestamps', table: tableName });
+        } else if (previous['timestamps'] && !next['timestamps']) {
+            timestamps.push({ action: 'dropTimestamps', table: tableName });
+        }
+
+        if (toArray(previous['primary_key']).join(',') !== toArray(next['primary_key']).join(',')) {
+            logger.log('The primary key of `' + tableName + '` has changed. ' +
+                'There is no action for creating a primary key, please add an `execute` action manually.');
+        }
+
+        const previousIndexes = listIndexes(tableName, previous);
+        const nextIndexes = listIndexes(tableName, next);
+
+        for (const index of previousIndexes) {
+            const nextIndex = nextIndexes.find(i => i['key'] === index['key']);
+
+            if (!nextIndex || isIndexChanged(nextIndex, index)) {
+                dropIndexes.push(dropIndexAction(tableName, index));
+            }
+        }
+
+        for (const index of nextIndexes) {
+            const previousIndex = previousIndexes.find(i => i['key'] === index['key']);
+
+            // A unique column that is added, creates its own unique index
+            if (index['columnLevel'] && addedColumns.includes(index['columns'][0]))
+                continue;
+
+            if (!previousIndex || isIndexChanged(previousIndex, index)) {
+                createIndexes.push(createIndexAction(tableName, index));
+            }
+        }
+
+        const previousChecks = previous['checks'] || [];
+        const nextChecks = next['checks'] || [];
+
+        for (const check of previousChecks) {
+            const nextCheck = nextChecks.find(c => c['name'] === check['name']);
+
+            if (!nextCheck || nextCheck['expression'] !== check['expression']) {
+                dropChecks.push({ action: 'dropCheck', table: tableName, name: check['name'] });
+            }
+        }
+
+        for (const check of nextChecks) {
+            const previousCheck = previousChecks.find(c => c['name'] === check['name']);
+
+            if (!previousCheck || previousCheck['expression'] !== check['expression']) {
+                addChecks.push({ action: 'addCheck', table: tableName, name: check['name'], expression: check['expression'] });
+            }
+        }
+
+        const previousForeignKeys = previous['foreign_keys'] || [];
+        const nextForeignKeys = next['foreign_keys'] || [];
+
+        for (const foreignKey of previousForeignKeys) {
+            const nextForeignKey = nextForeignKeys.find(f => isSameForeignKey(f, foreignKey));
+
+            if (!nextForeignKey || JSON.stringify(nextForeignKey) !== JSON.stringify(foreignKey)) {
+                dropForeigns.push(dropForeignAction(tableName, foreignKey));
+            }
+        }
+
+        for (const foreignKey of nextForeignKeys) {
+            const previousForeignKey = previousForeignKeys.find(f => isSameForeignKey(f, foreignKey));
+
+            if (!previousForeignKey || JSON.stringify(previousForeignKey) !== JSON.stringify(foreignKey)) {
+                createForeigns.push(Object.assign({ action: 'createForeign', table: tableName }, foreignKey));
+            }
+        }
+    }
+
+    for (const tableName of Object.keys(previousTables)) {
+        if (!nextTables[tableName]) {
+            dropTables.push({ action: 'dropTable', table: tableName });
+        }
+    }
+
+    return [].concat(dropForeigns, dropIndexes, dropChecks, createTables, addColumns, alterColumns, timestamps,
+        dropColumns, dropTables, createIndexes, addChecks, createForeigns);
+};
+
+/**
+ * Formats upgrade actions as JSON, with one action per line
+ * @param {Array<Object>} actions
+ * @returns {string}
+ */
+const formatUpgradeActions = function (actions) {
+    if (!actions.length)
+        return '[]\n';
+
+    const lines = actions.map(action => '  { ' + Object.keys(action)
+        .map(key => JSON.stringify(key) + ': ' + JSON.stringify(action[key]))
+        .join(', ') + ' }');
+
+    return '[\n' + lines.join(',\n') + '\n]\n';
+};
+
+module.exports = {
+    generateUpgradeActions: generateUpgradeActions,
+    formatUpgradeActions: formatUpgradeActions,
+};
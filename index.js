@@ -2,11 +2,11 @@
 
 const Path = require('path');
 const Fs = require('fs');
+const Os = require('os');
+const Crypto = require('crypto');
 const stripJsonComments = require('strip-json-comments');
 const promisify = require('util').promisify;
 
-let _tablePrefix = '';
-
 // A little helper that goes with me everywhere
 
 /**
@@ -48,32 +48,356 @@ const readJsonFile = (path, stripComments, callback) => {
  */
 const readJsonFilePromisified = promisify(readJsonFile);
 
+/**
+ * @param {String} path
+ * @returns {Promise<Boolean>}
+ */
+const fileExists = path => promisify(Fs.access)(path).then(() => true, () => false);
+
+/**
+ * Calculates the SHA-256 of a file's content
+ * @param {String} path
+ * @returns {Promise<String>} hex digest
+ */
+const fileChecksum = async path => {
+    const content = await promisify(Fs.readFile)(path);
+    return Crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Creates a directory, along with its missing parents (`Fs.mkdir` has no `recursive` option before Node.js 10.12)
+ * @param {String} path
+ * @returns {Promise<void>}
+ */
+const makeDirectory = async path => {
+    try {
+        await promisify(Fs.mkdir)(path);
+    } catch (err) {
+        if (err.code === 'ENOENT' && Path.dirname(path) !== path) {
+            await makeDirectory(Path.dirname(path));
+            return makeDirectory(path);
+        }
+
+        if (err.code !== 'EEXIST')
+            throw err;
+    }
+};
+
 /**
  * Description of a table column
- * @typedef {{name: String, type: String, length: Number?, text_type: String?, precision: Number?, scale: Number?, default: *?, raw_default: *?, unique: Boolean?, primary_key: Boolean?, nullable: Boolean?, enum_values: Array<String>?, collate: String?}} TableColumnDescription
+ * @typedef {{name: String, type: String, length: Number?, text_type: String?, precision: Number?, scale: Number?, default: *?, raw_default: *?, unique: Boolean?, primary_key: Boolean?, nullable: Boolean?, enum_values: Array<String>?, collate: String?, check: String?, generated: {expression: String, stored: Boolean?}?, comment: String?, pii: String?}} TableColumnDescription
  */
 
 /**
  * Description of a table index
- * @typedef {{name: String?, columns: <Array<String>|String>}} TableIndexDescription
+ * @typedef {{name: String?, columns: <Array<String>|String>, unique: Boolean?, expressions: <Array<String>|String>?, where: String?, method: String?, type: String?, lengths: Object<String, Number>?, storage_parameters: Object<String, *>?}} TableIndexDescription
  */
 
 /**
  * Description of a table foreign key
- * @typedef {{columns: <Array<String>|String>, foreign_table: String, foreign_columns: <Array<String>|String>, on_delete: String?, on_update: String?}} TableForeignKeyDescription
+ * @typedef {{name: String?, columns: <Array<String>|String>, foreign_table: String, foreign_columns: <Array<String>|String>, on_delete: String?, on_update: String?}} TableForeignKeyDescription
+ */
+
+/**
+ * Description of a named check constraint of a table
+ * @typedef {{name: String, expression: String}} TableCheckDescription
  */
 
 /**
  * Description of a full table
- * @typedef {{columns: Array<TableColumnDescription>, indexes: Array<TableIndexDescription>?, foreign_keys: Array<TableForeignKeyDescription>?, primary_key: <Array<String>|String>?, engine: String?, charset: String?, collate: String?, timestamps: Boolean?}} TableDescription
+ * @typedef {{columns: Array<TableColumnDescription>, indexes: Array<TableIndexDescription>?, foreign_keys: Array<TableForeignKeyDescription>?, checks: Array<TableCheckDescription>?, primary_key: <Array<String>|String>?, engine: String?, charset: String?, collate: String?, timestamps: Boolean?, comment: String?}} TableDescription
+ */
+/**
+ * Options for the install routine
+ * @typedef {{ignoreExistsError: Boolean?, dryRun: Boolean?, outputStream: NodeJS.WritableStream?, skipValidation: Boolean?, lock: Boolean?, lockTimeout: Number?, staleLockTimeout: Number?, createDbSchemas: Boolean?}} InstallOptions
+ */
+
+/**
+ * Options for the upgrade routine.
+ * With `backupDirectory`, the db is backed up into that directory before the first pending upgrade step,
+ *   with the `backupOptions` (default: structure, data, routines and triggers).
+ * @typedef {{transactional: Boolean?, dryRun: Boolean?, outputStream: NodeJS.WritableStream?, targetVersion: Number?, skipValidation: Boolean?, lock: Boolean?, lockTimeout: Number?, staleLockTimeout: Number?, backupDirectory: String?, backupOptions: Object?}} UpgradeOptions
+ */
+
+/**
+ * The SQL statements of a dry run, by the version they belong to
+ * @typedef {Array<{version: number, statements: Array<string>}>} DryRunScript
+ */
+
+/**
+ * Options for introspection
+ * @typedef {{tables: Array<String>?}} IntrospectOptions
+ */
+
+/**
+ * Options for generating an upgrade file
+ * @typedef {{dryRun: Boolean?}} GenerateUpgradeOptions
+ */
+
+/**
+ * A generated upgrade
+ * @typedef {{version: number, file: string, actions: Array<Object>}} GeneratedUpgrade
+ */
+
+/**
+ * A single install, upgrade or downgrade step, as recorded in schema_migrations.
+ * `type` is 'install', 'upgrade' or 'downgrade' (which is recorded under the version that it reverted),
+ *   and `status` is 'success' or 'failed'.
+ * `backupFile` is the path of the backup which was taken right before the step (see the `backupDirectory` upgrade option).
+ * @typedef {{version: number, type: string, file: string?, checksum: string?, status: string, startedAt: Date, finishedAt: Date, host: string, actionCount: number, error: string?, backupFile: string?}} MigrationRecord
+ */
+
+/**
+ * An upgrade file which was changed after it was applied
+ * @typedef {{version: number, file: string, appliedChecksum: string, checksum: string|null}} ChecksumMismatch
  */
 /** */
 
-const defaultErrorHandler = ignoreExistsError => {
+/**
+ * Extracts the table descriptions out of a parsed schema.json
+ * @param {Object} schemaJson
+ * @returns {Object<string, TableDescription>}
+ */
+const getSchemaTables = schemaJson => {
+    if (schemaJson['schema'] && !Array.isArray(schemaJson['schema']['columns'])) {
+        return schemaJson['schema'];
+    }
+
+    return schemaJson;
+};
+
+/**
+ * The views, triggers and routines described in schema.json
+ * @typedef {{views: Object<string, ViewDescription>, triggers: Object<string, TriggerDescription>, procedures: Object<string, RoutineDescription>, functions: Object<string, RoutineDescription>}} SchemaObjects
+ */
+
+/**
+ * Extracts the views, triggers and routines out of a parsed schema.json
+ * @param {Object} schemaJson
+ * @returns {SchemaObjects}
+ */
+const getSchemaObjects = schemaJson => {
+    const isNewFormat = schemaJson['schema'] && !Array.isArray(schemaJson['schema']['columns']);
+
+    return {
+        views: (isNewFormat && schemaJson['views']) || {},
+        triggers: (isNewFormat && schemaJson['triggers']) || {},
+        procedures: (isNewFormat && schemaJson['procedures']) || {},
+        functions: (isNewFormat && schemaJson['functions']) || {},
+    };
+};
+
+/**
+ * Returns the introspection module for the dialect of the db
+ * @param {Object} db A knex instance
+ * @returns {{getTableDescriptions: function(knex: Object):Promise<Object<string, TableDescription>>}|null}
+ */
+const getIntrospector = db => {
+    switch (db.client.dialect) {
+        case 'mysql':
+            return require('./introspect/mysql');
+        case 'postgresql':
+            return require('./introspect/postgres');
+        case 'sqlite3':
+            return require('./introspect/sqlite');
+    }
+    return null;
+};
+
+/**
+ * Dialects that can roll back schema changes (DDL) as part of a transaction
+ * @const
+ */
+const TRANSACTIONAL_DDL_DIALECTS = ['postgresql', 'sqlite3', 'mssql'];
+
+/**
+ * @param {Object} db A knex instance
+ * @returns {boolean}
+ */
+const supportsTransactionalDdl = db => {
+    return TRANSACTIONAL_DDL_DIALECTS.includes(db.client.dialect);
+};
+
+/**
+ * Default time to wait for the migration lock, in milliseconds
+ * @const
+ */
+const DEFAULT_LOCK_TIMEOUT = 60 * 1000;
+
+/**
+ * Default time after which a lock row that was not refreshed is considered stale, in milliseconds
+ * @const
+ */
+const DEFAULT_STALE_LOCK_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Interval for polling a lock which is held by someone else, in milliseconds
+ * @const
+ */
+const LOCK_POLL_INTERVAL = 1000;
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A 32bit FNV-1a hash, for deriving advisory lock names/keys
+ * @param {string} value
+ * @returns {number} a signed 32bit integer
+ */
+const hashLockName = value => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash | 0;
+};
+
+/**
+ * Tells if the migration lock can use the native advisory locks of the db.
+ * These are bound to a connection, so a connection is held for the duration of the lock -
+ *   which is not possible when the pool has a single connection.
+ * @param {Object} db A knex instance
+ * @returns {boolean}
+ */
+const supportsAdvisoryLocks = db => {
+    const dialect = db.client.dialect;
+    if (dialect !== 'mysql' && dialect !== 'postgresql')
+        return false;
+
+    const pool = db.client.config && db.client.config.pool;
+    return !pool || pool.max == null || pool.max > 1;
+};
+
+/**
+ * Compiles a knex builder into a list of SQL statements, with the bindings inlined
+ * @param {Object} db A knex instance
+ * @param {Object} builder A knex query/schema builder or a raw query
+ * @returns {Array<string>}
+ */
+const builderToStatements = (db, builder) => {
+    let data = builder.toSQL();
+    if (!Array.isArray(data)) data = [data];
+
+    return data.map(statement => {
+        if (!statement.bindings || !statement.bindings.length)
+            return statement.sql;
+        return db.client._formatQuery(statement.sql, statement.bindings);
+    });
+};
+
+/**
+ * Index options which knex can't create, so indexes with these are created with raw SQL
+ * @const
+ */
+const ADVANCED_INDEX_OPTIONS = ['expressions', 'where', 'method', 'type', 'lengths', 'storage_parameters'];
+
+/**
+ * Index methods which MySql supports (the others are Postgres only)
+ * @const
+ */
+const MYSQL_INDEX_METHODS = ['btree', 'hash'];
+
+/**
+ * Escapes a comment for knex, which puts comments in quotes as they are
+ * @param {string} comment
+ * @returns {string}
+ */
+const escapeComment = comment => comment.replace(/'/g, '\'\'');
+
+/**
+ * Adds constraints to the list of columns in a CREATE TABLE statement
+ * @param {string} sql The CREATE TABLE statement
+ * @param {Array<string>} constraints The SQL of the constraints
+ * @returns {string}
+ */
+const appendTableConstraints = (sql, constraints) => {
+    let depth = 0, quote = null;
+
+    // Find the parenthesis that closes the list of columns, skipping quoted strings and identifiers
+    for (let i = sql.indexOf('('); i < sql.length; i++) {
+        const char = sql[i];
+
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '\'' || char === '"' || char === '`') {
+            quote = char;
+        } else if (char === '[') {
+            quote = ']';
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && --depth === 0) {
+            return sql.slice(0, i) + ', ' + constraints.join(', ') + sql.slice(i);
+        }
+    }
+
+    return sql;
+};
+
+/**
+ * Creates a stand-in for a knex instance, which collects the SQL of schema builders, query builders (from `table`)
+ *   and raw queries when they are awaited, instead of executing them.
+ * @param {Object} db A knex instance
+ * @param {Array<string>} statements The array to collect the statements into
+ * @returns {Object}
+ */
+const createDryRunDb = (db, statements) => {
+    const capture = builder => {
+        builder.then = function (onFulfilled, onRejected) {
+            let promise;
+            try {
+                statements.push(...builderToStatements(db, this));
+                promise = Promise.resolve();
+            } catch (err) {
+                promise = Promise.reject(err);
+            }
+            return promise.then(onFulfilled, onRejected);
+        };
+        return builder;
+    };
+
+    return {
+        client: db.client,
+        dryRunStatements: statements,
+        raw: (...args) => capture(db.raw(...args)),
+        table: (...args) => capture(db.table(...args)),
+        get schema() {
+            const schema = db.schema;
+            return new Proxy(schema, {
+                get: (target, prop) => {
+                    const value = target[prop];
+                    if (typeof value !== 'function')
+                        return value;
+                    return (...args) => capture(value.apply(target, args));
+                },
+            });
+        },
+    };
+};
+
+/**
+ * Writes a dry-run script to a stream
+ * @param {NodeJS.WritableStream} outputStream
+ * @param {DryRunScript} script
+ */
+const writeDryRunScript = (outputStream, script) => {
+    for (let step of script) {
+        outputStream.write('-- Version ' + step.version + '\n');
+        for (let statement of step.statements) {
+            outputStream.write(statement + (statement.startsWith('--') ? '\n' : ';\n'));
+        }
+        outputStream.write('\n');
+    }
+};
+
+const defaultErrorHandler = (ignoreExistsError, logger) => {
     if (ignoreExistsError) {
         return err => {
             if (/(\b|_)(exists|duplicate|dup)(\b|_)/i.test(err.code)) {
-                console.log('Ignoring error', err);
+                logger.log('Ignoring error', err);
                 return;
             }
 
@@ -84,8 +408,46 @@ const defaultErrorHandler = ignoreExistsError => {
     }
 };
 
+/**
+ * Configuration of a builder instance
+ * @typedef {{db: Object?, schemaPath: String?, tablePrefix: String?, dbSchema: String?, logger: {log: function(...*)}?}} KnexSchemaBuilderConfig
+ */
+
 /** */
-module.exports = class KnexSchemaBuilder {
+class KnexSchemaBuilder {
+    /**
+     * Creates a builder for a specific db and schema.
+     * The static methods run on a default instance (`KnexSchemaBuilder.defaultInstance`), and take the db and the schema path as arguments.
+     * @param {KnexSchemaBuilderConfig?} config
+     *   `db` is a knex instance, `schemaPath` is the path to where the schema files reside,
+     *   `tablePrefix` is a prefix for all table names, `dbSchema` is the db schema (namespace) of schema_globals and of the tables
+     *   which do not have their own `db_schema`, and `logger` receives the progress messages (default: `console`).
+     */
+    constructor(config) {
+        config = config || {};
+
+        this.db = config.db || null;
+        this.schemaPath = config.schemaPath || null;
+        this.tablePrefix = config.tablePrefix == null ? '' : (config.tablePrefix + '');
+        this.dbSchema = config.dbSchema == null ? null : (config.dbSchema + '');
+        this.logger = config.logger || console;
+    }
+
+    /**
+     * Creates a copy of this builder, with some of the configuration replaced
+     * @param {KnexSchemaBuilderConfig} config
+     * @returns {KnexSchemaBuilder}
+     */
+    withConfig(config) {
+        return new KnexSchemaBuilder(Object.assign({
+            db: this.db,
+            schemaPath: this.schemaPath,
+            tablePrefix: this.tablePrefix,
+            dbSchema: this.dbSchema,
+            logger: this.logger,
+        }, config));
+    }
+
     // noinspection JSUnusedGlobalSymbols
     /**
      * Sets a generic table prefix for all table creations
@@ -93,9 +455,27 @@ module.exports = class KnexSchemaBuilder {
      * @param {function(error:?, prefix:string)?} callback - optional callback
      * @returns {Promise<string>}
      */
-    static async setTablePrefix(prefix, callback) {
-        _tablePrefix = prefix == null ? '' : (prefix + '');
-        let ret = _tablePrefix;
+    async setTablePrefix(prefix, callback) {
+        this.tablePrefix = prefix == null ? '' : (prefix + '');
+        let ret = this.tablePrefix;
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, ret));
+        }
+
+        return ret;
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * Sets the db schema (namespace) for schema_globals, and for the tables which do not have their own `db_schema`
+     * @param {string?} dbSchema - A db schema name, or null for the default search path
+     * @param {function(error:?, dbSchema:string?)?} callback - optional callback
+     * @returns {Promise<string|null>}
+     */
+    async setDbSchema(dbSchema, callback) {
+        this.dbSchema = dbSchema == null ? null : (dbSchema + '');
+        let ret = this.dbSchema;
 
         if (typeof callback === 'function') {
             setImmediate(() => callback(null, ret));
@@ -104,18 +484,120 @@ module.exports = class KnexSchemaBuilder {
         return ret;
     }
 
+    /**
+     * Returns a builder for a table of schema.json, which targets the table's own `db_schema` if it has one
+     * @private
+     * @param {TableDescription?} tableData
+     * @returns {KnexSchemaBuilder}
+     */
+    _forTable(tableData) {
+        if (!tableData || tableData['db_schema'] == null || tableData['db_schema'] === this.dbSchema)
+            return this;
+
+        return this.withConfig({ dbSchema: tableData['db_schema'] });
+    }
+
+    /**
+     * Qualifies a (full) table name with the db schema, for queries and raw statements
+     * @private
+     * @param {string} name
+     * @param {string?} [dbSchema] The db schema, if not the one of this builder
+     * @returns {string}
+     */
+    _qualifiedName(name, dbSchema) {
+        dbSchema = dbSchema === undefined ? this.dbSchema : dbSchema;
+        return dbSchema ? dbSchema + '.' + name : name;
+    }
+
+    /**
+     * Returns a knex schema builder which targets the db schema.
+     * Unlike a qualified table name, this keeps the default index names based on the bare table name.
+     * @private
+     * @returns {Object} knex schema builder
+     */
+    _schema() {
+        // noinspection JSUnresolvedFunction
+        return this.dbSchema ? this.db.schema.withSchema(this.dbSchema) : this.db.schema;
+    }
+
+    /**
+     * Tells if a table exists in the db schema
+     * @private
+     * @param {string} name The full table name
+     * @returns {Promise<boolean>}
+     */
+    async _hasTable(name) {
+        // noinspection JSUnresolvedFunction
+        return this._schema().hasTable(name);
+    }
+
+    /**
+     * Fills in the `foreign_db_schema` of a table's foreign keys which refer to a table in another db schema,
+     *   by the `db_schema` of the referenced tables in schema.json
+     * @private
+     * @param {TableDescription} tableData
+     * @param {Object<string, TableDescription>} tables The tables described in schema.json
+     * @returns {TableDescription}
+     */
+    _resolveForeignDbSchemas(tableData, tables) {
+        const dbSchema = this._forTable(tableData).dbSchema;
+
+        return Object.assign({}, tableData, {
+            'foreign_keys': (tableData['foreign_keys'] || []).map(foreignKey => {
+                const foreignTable = tables[foreignKey['foreign_table']];
+                const foreignDbSchema = foreignTable && foreignTable['db_schema'] != null
+                    ? foreignTable['db_schema']
+                    : this.dbSchema;
+
+                if (foreignKey['foreign_db_schema'] !== undefined || foreignDbSchema === dbSchema)
+                    return foreignKey;
+
+                return Object.assign({}, foreignKey, { 'foreign_db_schema': foreignDbSchema });
+            }),
+        });
+    }
+
+    /**
+     * Creates a db schema (namespace) if it does not exist
+     * @param {string} dbSchema
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise}
+     */
+    async createDbSchema(dbSchema, callback) {
+        try {
+            const dialect = this.db.client.dialect;
+            const name = this.db.raw('??', [dbSchema]).toQuery();
+
+            if (dialect === 'postgresql' || dialect === 'mysql') {
+                await this.db.raw('CREATE SCHEMA IF NOT EXISTS ' + name);
+            } else if (dialect === 'mssql') {
+                await this.db.raw('IF SCHEMA_ID(?) IS NULL EXEC(?)', [dbSchema, 'CREATE SCHEMA ' + name]);
+            } else {
+                this.logger.log('Creating the db schema `' + dbSchema + '` is not supported on ' + dialect + '. Failing...');
+                throw 'unsupported-dialect';
+            }
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
     /**
      * Determine if a schema upgrade is required
-     * @param {Object} db A knex instance
-     * @param {string} schemaPath Path to where the schema files reside
      * @param {function(error:?, isUpgradeNeeded:boolean?)?} callback - optional callback
      * @returns {Promise<boolean>}
      */
-    static async isUpgradeNeeded(db, schemaPath, callback) {
+    async isUpgradeNeeded(callback) {
         let ret = false;
         try {
-            let dbVer = await KnexSchemaBuilder.getCurrentDbVersion(db);
-            let latestVersion = await KnexSchemaBuilder.getLatestDbVersion(schemaPath);
+            let dbVer = await this.getCurrentDbVersion();
+            let latestVersion = await this.getLatestDbVersion();
             ret = dbVer < latestVersion;
         } catch (err) {
             if (typeof callback === 'function') {
@@ -134,16 +616,14 @@ module.exports = class KnexSchemaBuilder {
     // noinspection JSUnusedGlobalSymbols
     /**
      * Determine if a full schema installation is required
-     * @param {Object} db A knex instance
-     * @param {string} schemaPath Path to where the schema files reside
      * @param {function(error:?, isInstallNeeded:boolean?)?} callback - optional callback
      * @returns {Promise<boolean>}
      */
-    static async isInstallNeeded(db, schemaPath, callback) {
+    async isInstallNeeded(callback) {
         let ret = true;
 
         try {
-            let version = await KnexSchemaBuilder.getCurrentDbVersion(db);
+            let version = await this.getCurrentDbVersion();
             ret = version === null;
         } catch (err) {
             if (typeof callback === 'function') {
@@ -161,674 +641,524 @@ module.exports = class KnexSchemaBuilder {
 
     /**
      * Kick off the installation routine.
-     * @param {Object} db A knex instance
-     * @param {string} schemaPath Path to where the schema files reside
-     * @param {boolean} [ignoreExistsError=false] Ignore "exists" error for table/index creation, can be used to continue a failed install
-     * @param {function(error:?, version:number)?} callback - optional callback
-     * @returns {Promise<number>}
+     * @param {InstallOptions|boolean} [options] Install options, or a boolean for `ignoreExistsError`
+     * @param {function(error:?, result:number|DryRunScript)?} callback - optional callback
+     * @returns {Promise<number|DryRunScript>} the installed version, or the SQL script in dry-run mode
      */
-    static async install(db, schemaPath, ignoreExistsError, callback) {
-        if (callback === undefined && typeof ignoreExistsError === 'function') {
-            callback = ignoreExistsError;
-            ignoreExistsError = false;
+    async install(options, callback) {
+        if (callback === undefined && typeof options === 'function') {
+            callback = options;
+            options = undefined;
         }
 
-        let version;
-
-        try {
-            let dbTables = {}, dbRawQueries = [];
-
-            version = await KnexSchemaBuilder.getLatestDbVersion(schemaPath);
-            let schema = await readJsonFilePromisified(Path.join(schemaPath, 'schema.json'), true);
-
-            if (schema['schema'] && !Array.isArray(schema['schema']['columns'])) {
-                dbTables = schema['schema'];
-                dbRawQueries = schema['raw'] || [];
-            } else {
-                dbTables = schema;
-            }
-
-            for (let tableName of Object.keys(dbTables)) {
-                await KnexSchemaBuilder.createTable(db, tableName, dbTables[tableName])
-                    .catch(defaultErrorHandler(ignoreExistsError));
-            }
-
-            // Execute raw queries
-            for (let rawQuery of dbRawQueries) {
-                if (Array.isArray(rawQuery) && typeof (rawQuery[0]) === 'string') {
-                    rawQuery = rawQuery.join('\n');
-                }
-
-                if (rawQuery && typeof (rawQuery) === 'string') {
-                    await db.raw(rawQuery.replace(/{table_prefix}/g, _tablePrefix))
-                        .catch(defaultErrorHandler(ignoreExistsError));
-                }
-            }
-
-            for (let tableName of Object.keys(dbTables)) {
-                await KnexSchemaBuilder.createTableIndexes(db, tableName, dbTables[tableName], ignoreExistsError)
-                    .catch(err => {
-                        let error = new Error('Failed to create indexes for table ' + tableName + '\n' + err.toString());
-                        err.error = err;
-                        throw error;
-                    });
-            }
-
-            for (let tableName of Object.keys(dbTables)) {
-                await KnexSchemaBuilder.createTableForeignKeys(db, tableName, dbTables[tableName], ignoreExistsError)
-                    .catch(err => {
-                        let error = new Error('Failed to create foreign keys for table ' + tableName + '\n' + err.toString());
-                        err.error = err;
-                        throw error;
-                    });
-            }
-
-            await KnexSchemaBuilder.setCurrentDbVersion(db, version);
-        } catch (err) {
-            if (typeof callback === 'function') {
-                return setImmediate(() => callback(err));
-            }
-            throw err;
+        if (options == null || typeof options === 'boolean') {
+            options = { ignoreExistsError: !!options };
         }
 
-        if (typeof callback === 'function') {
-            return setImmediate(() => callback(null, version));
-        }
-    }
+        const ignoreExistsError = !!options.ignoreExistsError;
 
-    /**
-     * Kick off the upgrade routine.
-     * This will check the current db schema version against the latest, and run the appropriate upgrade routines.
-     * If it detects that the db is not even installed (no version specified), then the returned error will be 'empty-database' (String)
-     * @param {Object} db A knex instance
-     * @param {String} schemaPath Path to where the schema files reside
-     * @param {function(error:?, version: number)?} callback - optional callback
-     * @returns {Promise<number>}
-     */
-    static async upgrade(db, schemaPath, callback) {
-        let saveVersion;
+        let version, script = null;
 
         try {
-            let schemaJson = await readJsonFilePromisified(Path.join(schemaPath, 'schema.json'), true);
+            if (!options.skipValidation) {
+                // The install runs schema.json itself, and none of the upgrade files
+                await this._assertValid(await this.getLatestDbVersion());
+            }
 
-            if (schemaJson['schema'] && !Array.isArray(schemaJson['schema']['columns'])) {
-                schemaJson = schemaJson['schema'];
+            // The lock lives in schema_globals, so its db schema has to exist first
+            if (options.createDbSchemas && this.dbSchema && !options.dryRun) {
+                await this.createDbSchema(this.dbSchema);
             }
-            let schema = schemaJson;
 
-            let originalVersion, currentVersion;
-            originalVersion = currentVersion = saveVersion = await KnexSchemaBuilder.getCurrentDbVersion(db);
-            let latestVersion = await KnexSchemaBuilder.getLatestDbVersion(schemaPath);
+            let lock = options.dryRun || options.lock === false
+                ? null
+                : await this._acquireLock(options);
 
             try {
-                try {
-                    // While the current version hasn't yet reached the latest version
-                    while (currentVersion < latestVersion) {
-                        // Load the correct upgrade.####.json file, then perform the relevant actions.
-
-                        let upgradeSchema;
-
-                        try {
-                            upgradeSchema = await readJsonFilePromisified(
-                                Path.join(schemaPath, 'upgrade.' + (currentVersion + 1) + '.json'), true);
-                        } catch (err) {
-                            if (err.code === 'ENOENT') {
-                                console.log('Upgrade schema for version ' + (currentVersion + 1) +
-                                    ' (upgrade.' + (currentVersion + 1) + '.json)' +
-                                    ' not found, skipping...');
-                                currentVersion++;
-                                continue;
-                            }
+                // Another process may have installed the db while this one was waiting for the lock
+                let installedVersion = lock ? await this.getCurrentDbVersion() : null;
+
+                if (installedVersion != null) {
+                    this.logger.log('The db was installed by another process (version ' + installedVersion + '), skipping...');
+                    version = installedVersion;
+                } else {
+                    let dbTables = {}, dbRawQueries = [], dbSeed = {};
+                    let dbObjects = getSchemaObjects({});
+
+                    version = await this.getLatestDbVersion();
+                    let schema = await readJsonFilePromisified(Path.join(this.schemaPath, 'schema.json'), true);
+
+                    if (schema['schema'] && !Array.isArray(schema['schema']['columns'])) {
+                        dbTables = schema['schema'];
+                        dbRawQueries = schema['raw'] || [];
+                        dbSeed = schema['seed'] || {};
+                        dbObjects = getSchemaObjects(schema);
+                    } else {
+                        dbTables = schema;
+                    }
 
-                            if (err instanceof SyntaxError) {
-                                console.log('Upgrade schema for version ' + (currentVersion + 1) +
-                                    ' (upgrade.' + (currentVersion + 1) + '.json)' +
-                                    ' contains invalid JSON. Please correct it and try again.');
+                    let statements = [];
+                    let target = options.dryRun ? this.withConfig({ db: createDryRunDb(this.db, statements) }) : this;
+
+                    await this._runRecorded(options, {
+                        version: version,
+                        type: 'install',
+                        file: 'schema.json',
+                        checksum: await fileChecksum(Path.join(this.schemaPath, 'schema.json')),
+                        actionCount: Object.keys(dbTables).length + dbRawQueries.length + Object.keys(dbSeed).length +
+                            Object.keys(dbObjects.views).length + Object.keys(dbObjects.triggers).length +
+                            Object.keys(dbObjects.procedures).length + Object.keys(dbObjects.functions).length,
+                    }, async () => {
+                        if (options.createDbSchemas) {
+                            // Outside of a dry run, the default db schema was already created before taking the lock
+                            const dbSchemas = new Set(this.dbSchema && options.dryRun ? [this.dbSchema] : []);
+
+                            for (let tableName of Object.keys(dbTables)) {
+                                if (dbTables[tableName]['db_schema'] != null) {
+                                    dbSchemas.add(dbTables[tableName]['db_schema']);
+                                }
                             }
 
-                            // noinspection ExceptionCaughtLocallyJS
-                            throw err;
+                            for (let dbSchema of dbSchemas) {
+                                await target.createDbSchema(dbSchema);
+                            }
                         }
 
-                        for (let action of upgradeSchema) {
-                            const softThrow = err => {
-                                if (err && action['ignore_errors']) {
-                                    console.log('Ignoring error', err);
-                                    err = null;
-                                } else if (err) {
-                                    throw err;
-                                }
-                            };
+                        for (let tableName of Object.keys(dbTables)) {
+                            await target.createTable(tableName, dbTables[tableName])
+                                .catch(defaultErrorHandler(ignoreExistsError, this.logger));
+                        }
 
-                            if (action['min_version'] && action['min_version'] >= originalVersion) {
-                                continue;
+                        // Execute raw queries
+                        for (let rawQuery of dbRawQueries) {
+                            if (Array.isArray(rawQuery) && typeof (rawQuery[0]) === 'string') {
+                                rawQuery = rawQuery.join('\n');
                             }
 
-                            if (action['max_version'] && action['max_version'] <= originalVersion) {
-                                continue;
+                            if (rawQuery && typeof (rawQuery) === 'string') {
+                                await target.db.raw(rawQuery.replace(/{table_prefix}/g, this.tablePrefix))
+                                    .catch(defaultErrorHandler(ignoreExistsError, this.logger));
                             }
+                        }
 
-                            switch (action['action']) {
-
-                                case 'execute':
-                                    let rawQuery = action['query'];
-                                    if (Array.isArray(rawQuery) && typeof (rawQuery[0]) === 'string') {
-                                        rawQuery = rawQuery.join('\n');
-                                    }
-
-                                    await db.raw(rawQuery.replace(/{table_prefix}/g, _tablePrefix)).catch(softThrow);
-                                    break;
-
-                                case 'createTable':
-                                    if (schema[action['table']]) {
-                                        await KnexSchemaBuilder.createTable(db, action['table'], schema[action['table']]).catch(softThrow);
-                                    } else {
-                                        console.log(
-                                            'Unknown table named `' + action['table'] + '`. Failing...');
-                                        softThrow('unknown-table');
-                                    }
-                                    break;
-
-                                case 'createTableIndexes':
-                                    if (schema[action['table']]) {
-                                        await KnexSchemaBuilder.createTableIndexes(db, action['table'], schema[action['table']]).catch(softThrow);
-                                    } else {
-                                        console.log(
-                                            'Unknown table named `' + action['table'] + '`. Failing...');
-                                        softThrow('unknown-table');
-                                    }
-                                    break;
-
-                                case 'createTableForeignKeys':
-                                    if (schema[action['table']]) {
-                                        await KnexSchemaBuilder.createTableForeignKeys(db, action['table'], schema[action['table']]).catch(softThrow);
-                                    } else {
-                                        console.log(
-                                            'Unknown table named `' + action['table'] + '`. Failing...');
-                                        softThrow('unknown-table');
-                                    }
-                                    break;
-
-                                case 'addColumn':
-                                    if (schema[action['table']]) {
-                                        const columns = schema[action['table']]['columns'];
-                                        const column = columns.find(item => item['name'] === action['column']);
-                                        const prevColumn = columns[columns.indexOf(column) - 1];
-
-                                        if (column) {
-                                            await db.schema
-                                                .table(_tablePrefix + action['table'], table => {
-                                                    let pendingCol = KnexSchemaBuilder.createColumn(db, table, column);
-                                                    if (prevColumn)
-                                                        pendingCol.after(prevColumn['name']);
-                                                    else pendingCol.first();
-                                                })
-                                                .catch(err => {
-                                                    if (err.code === 'ER_BAD_FIELD_ERROR') {
-                                                        return db.schema.table(_tablePrefix + action['table'], table => {
-                                                            KnexSchemaBuilder.createColumn(db, table, column);
-                                                        });
-                                                    } else {
-                                                        throw err;
-                                                    }
-                                                })
-                                                .catch(softThrow);
-                                        } else {
-                                            console.log(
-                                                'Unknown column named `' + action['column'] + '`. Failing...');
-                                            softThrow('unknown-column');
-                                        }
-                                    } else {
-                                        console.log(
-                                            'Unknown table named `' + action['table'] + '`. Failing...');
-                                        softThrow('unknown-table');
-                                    }
-                                    break;
-
-                                case 'alterColumn':
-                                    if (schema[action['table']]) {
-                                        const columns = schema[action['table']]['columns'];
-                                        const column = columns.find(item => item['name'] === action['column']);
-                                        const prevColumn = columns[columns.indexOf(column) - 1];
-
-                                        if (column) {
-                                            await db.schema
-                                                .table(_tablePrefix + action['table'], table => {
-                                                    let pendingCol = KnexSchemaBuilder.createColumn(db, table, column).alter();
-                                                    if (prevColumn)
-                                                        pendingCol.after(prevColumn['name']);
-                                                    else pendingCol.first();
-                                                })
-                                                .catch(err => {
-                                                    if (err.code === 'ER_BAD_FIELD_ERROR') {
-                                                        return db.schema.table(_tablePrefix + action['table'], table => {
-                                                            KnexSchemaBuilder.createColumn(db, table, column).alter();
-                                                        });
-                                                    } else {
-                                                        throw err;
-                                                    }
-                                                })
-                                                .catch(softThrow);
-                                        } else {
-                                            console.log(
-                                                'Unknown column named `' + action['column'] + '`. Failing...');
-                                            softThrow('unknown-column');
-                                        }
-                                    } else {
-                                        console.log(
-                                            'Unknown table named `' + action['table'] + '`. Failing...');
-                                        softThrow('unknown-table');
-                                    }
-                                    break;
-
-                                case 'renameColumn':
-                                    await db.schema
-                                        .table(_tablePrefix + action['table'], table => {
-                                            // noinspection JSUnresolvedFunction
-                                            table.renameColumn(action['from'], action['to']);
-                                        })
-                                        .catch(softThrow);
-                                    break;
-
-                                case 'createIndex':
-                                    await KnexSchemaBuilder.createIndex(db, action['table'], action).catch(softThrow);
-                                    break;
-
-                                case 'createForeign':
-                                    await KnexSchemaBuilder.createForeign(db, action['table'], action).catch(softThrow);
-                                    break;
-
-                                case 'dropColumn':
-                                    await db.schema
-                                        .table(_tablePrefix + action['table'], table => {
-                                            // noinspection JSUnresolvedFunction
-                                            table.dropColumn(action['column']);
-                                        })
-                                        .catch(softThrow);
-                                    break;
-
-                                case 'dropTable':
-                                    // noinspection JSUnresolvedFunction
-                                    await db.schema.dropTableIfExists(_tablePrefix + action['table'])
-                                        .catch(softThrow);
-                                    break;
-
-                                case 'dropPrimary':
-                                    await db.schema
-                                        .table(_tablePrefix + action['table'], table => {
-                                            // noinspection JSUnresolvedFunction
-                                            table.dropPrimary();
-                                        })
-                                        .catch(softThrow);
-                                    break;
-
-                                case 'dropIndex':
-                                    await db.schema
-                                        .table(_tablePrefix + action['table'], table => {
-                                            if (action['name']) {
-                                                // noinspection JSUnresolvedFunction
-                                                table.dropIndex(null, action['name']);
-                                            } else {
-                                                // noinspection JSUnresolvedFunction
-                                                table.dropIndex(action['column']);
-                                            }
-                                        })
-                                        .catch(softThrow);
-                                    break;
-
-                                case 'dropForeign':
-                                    await db.schema
-                                        .table(_tablePrefix + action['table'], table => {
-                                            if (action['name']) {
-                                                // noinspection JSUnresolvedFunction
-                                                table.dropForeign(null, action['name']);
-                                            } else {
-                                                // noinspection JSUnresolvedFunction
-                                                table.dropForeign(action['column']);
-                                            }
-                                        })
-                                        .catch(softThrow);
-                                    break;
-
-                                case 'dropUnique':
-                                    await db.schema
-                                        .table(_tablePrefix + action['table'], table => {
-                                            if (action['name']) {
-                                                // noinspection JSUnresolvedFunction
-                                                table.dropUnique(null, action['name']);
-                                            } else {
-                                                // noinspection JSUnresolvedFunction
-                                                table.dropUnique(action['column']);
-                                            }
-                                        })
-                                        .catch(softThrow);
-                                    break;
-
-                                case 'addTimestamps':
-                                    await db.schema
-                                        .table(_tablePrefix + action['table'], table => {
-                                            // noinspection JSValidateTypes
-                                            table.timestamps();
-                                        })
-                                        .catch(softThrow);
-                                    break;
-
-                                case 'dropTimestamps':
-                                    await db.schema
-                                        .table(_tablePrefix + action['table'], table => {
-                                            // noinspection JSUnresolvedFunction
-                                            table.dropTimestamps();
-                                        })
-                                        .catch(softThrow);
-                                    break;
-
-                                default:
-                                    console.log(
-                                        'Unknown upgrade action `' + action['action'] + '`. Failing...');
-                                    softThrow('unknown-action');
-                                    break;
-                            }
+                        for (let tableName of Object.keys(dbTables)) {
+                            await target.createTableIndexes(tableName, dbTables[tableName], ignoreExistsError)
+                                .catch(err => {
+                                    let error = new Error('Failed to create indexes for table ' + tableName + '\n' + err.toString());
+                                    err.error = err;
+                                    throw error;
+                                });
                         }
 
-                        currentVersion++;
+                        // Seed the tables before the foreign keys exist, so the order of the tables does not matter
+                        for (let tableName of Object.keys(dbSeed)) {
+                            await target._forTable(dbTables[tableName]).seedTable(tableName, dbSeed[tableName])
+                                .catch(err => {
+                                    let error = new Error('Failed to seed table ' + tableName + '\n' + err.toString());
+                                    error.error = err;
+                                    throw error;
+                                });
+                        }
+
+                        for (let tableName of Object.keys(dbTables)) {
+                            await target.createTableForeignKeys(tableName,
+                                target._resolveForeignDbSchemas(dbTables[tableName], dbTables), ignoreExistsError)
+                                .catch(err => {
+                                    let error = new Error('Failed to create foreign keys for table ' + tableName + '\n' + err.toString());
+                                    err.error = err;
+                                    throw error;
+                                });
+                        }
+
+                        // Functions and procedures may be used by views and triggers, and views may use each other
+                        for (let type of ['function', 'procedure']) {
+                            const routines = dbObjects[type + 's'];
+                            for (let routineName of Object.keys(routines)) {
+                                await target.createRoutine(type, routineName, routines[routineName])
+                                    .catch(defaultErrorHandler(ignoreExistsError, this.logger));
+                            }
+                        }
+
+                        for (let viewName of require('./objects/statements').sortViews(dbObjects.views)) {
+                            await target.createView(viewName, dbObjects.views[viewName])
+                                .catch(defaultErrorHandler(ignoreExistsError, this.logger));
+                        }
+
+                        for (let triggerName of Object.keys(dbObjects.triggers)) {
+                            await target._forTable(dbTables[dbObjects.triggers[triggerName]['table']])
+                                .createTrigger(triggerName, dbObjects.triggers[triggerName])
+                                .catch(defaultErrorHandler(ignoreExistsError, this.logger));
+                        }
+
+                        if (!options.dryRun) {
+                            await this.setCurrentDbVersion(version);
+                        }
+                    });
+
+                    if (options.dryRun) {
+                        let currentVersion = await this.peekCurrentDbVersion();
+                        // noinspection JSUnresolvedFunction
+                        if (!await this._hasTable('schema_globals')) {
+                            statements.push(...builderToStatements(this.db, this._createSchemaGlobalsTable()));
+                        }
+
+                        statements.push(...builderToStatements(this.db,
+                            this._setGlobalQuery(this.tablePrefix + 'db_version', version, currentVersion != null)));
+
+                        script = [{ version: version, statements: statements }];
+
+                        if (options.outputStream) {
+                            writeDryRunScript(options.outputStream, script);
+                        }
                     }
-                } finally {
-                    saveVersion = currentVersion;
                 }
-
-                saveVersion = latestVersion;
             } finally {
-                if (saveVersion !== originalVersion) {
-                    await KnexSchemaBuilder.setCurrentDbVersion(db, saveVersion);
+                if (lock) {
+                    await lock.release();
                 }
             }
         } catch (err) {
             if (typeof callback === 'function') {
-                return setImmediate(() => callback(err, saveVersion));
+                return setImmediate(() => callback(err));
             }
             throw err;
         }
 
+        let ret = options.dryRun ? script : version;
+
         if (typeof callback === 'function') {
-            return setImmediate(() => callback(null, saveVersion));
+            setImmediate(() => callback(null, ret));
         }
 
-        return saveVersion;
+        return ret;
     }
 
     /**
-     * Retrieves the schema version of the current db
-     * @param {Object} db A knex instance
-     * @param {function(error:?, version:number|null)?} callback - optional callback
-     * @returns {Promise<number|null>}
+     * Kick off the upgrade routine.
+     * This will check the current db schema version against the latest, and run the appropriate upgrade routines.
+     * If it detects that the db is not even installed (no version specified), then the returned error will be 'empty-database' (String)
+     * @param {UpgradeOptions?} options - optional upgrade options
+     * @param {function(error:?, result: number|DryRunScript)?} callback - optional callback
+     * @returns {Promise<number|DryRunScript>} the new version, or the SQL script in dry-run mode
      */
-    static async getCurrentDbVersion(db, callback) {
-        
-        let version = null;
-        
-        try {
-            await KnexSchemaBuilder.ensureSchemaGlobalsExist(db);
+    async upgrade(options, callback) {
+        if (callback === undefined && typeof options === 'function') {
+            callback = options;
+            options = undefined;
+        }
 
-            let row = await db.select('value')
-                .from('schema_globals')
-                .where('key', _tablePrefix + 'db_version')
-                .limit(1)
-                .first();
+        options = options || {};
 
-            if (row)
-                version = parseFloat(row['value']);
-        } catch (err) {
-            if (typeof callback === 'function') {
-                return setImmediate(() => callback(err));
+        let saveVersion, script = [];
+        let backupFile = null;
+
+        try {
+            if (options.backupDirectory && !options.dryRun && !this._getBackupController()) {
+                this.logger.log('Backups are not supported on ' + this.db.client.dialect);
+                throw 'unsupported-dialect';
             }
 
-            throw err;
-        }
+            let lock = options.dryRun || options.lock === false
+                ? null
+                : await this._acquireLock(options);
 
-        if (typeof callback === 'function') {
-            setImmediate(() => callback(null, version));
-        }
+            try {
+                let schema = await this._readSchemaTables();
 
-        return version;
-    }
+                let originalVersion, currentVersion, storedVersion;
+                originalVersion = currentVersion = storedVersion = saveVersion = options.dryRun
+                    ? await this.peekCurrentDbVersion()
+                    : await this.getCurrentDbVersion();
 
-    /**
-     * Sets the schema version of the current db
-     * @param {Object} db A knex instance
-     * @param {number} version A version, as a whole number
-     * @param {function(error:?, version:number)?} callback - optional callback
-     * @returns {Promise<number>}
-     */
-    static async setCurrentDbVersion(db, version, callback) {
-        try {
-            let currentDbVersion = await KnexSchemaBuilder.getCurrentDbVersion(db);
+                if (!options.skipValidation) {
+                    // Only the pending upgrade files have to match schema.json
+                    await this._assertValid(originalVersion);
+                }
 
-            if (currentDbVersion == null) {
-                // noinspection JSUnresolvedFunction
-                await db
-                    .insert({'value': version, 'key': _tablePrefix + 'db_version'})
-                    .into('schema_globals');
+                let latestVersion = await this.getLatestDbVersion();
 
-            } else {
-                // noinspection JSUnresolvedFunction
-                await db
-                    .table('schema_globals')
-                    .update('value', version)
-                    .where('key', _tablePrefix + 'db_version');
-            }
-        } catch (err) {
-            if (typeof callback === 'function') {
-                return setImmediate(() => callback(err));
-            }
-            throw err;
-        }
+                if (options.targetVersion != null && options.targetVersion < latestVersion) {
+                    latestVersion = options.targetVersion;
+                }
 
-        if (typeof callback === 'function') {
-            setImmediate(() => callback(null, version));
-        }
+                if (!options.dryRun) {
+                    // Only warns, as the change may be harmless (i.e. formatting)
+                    await this.verifyMigrationChecksums();
+                }
 
-        return version;
-    }
+                try {
+                    try {
+                        // While the current version hasn't yet reached the latest version
+                        while (currentVersion < latestVersion) {
+                            // Load the correct upgrade.####.json file, then perform the relevant actions.
 
-    /**
-     * Retrieves the latest schema version which is specified in version.json
-     * @param {string} schemaPath Path to where the schema files reside
-     * @param {function(error:?, version:number?)?} callback - optional callback
-     * @returns {Promise<number>}
-     */
-    static async getLatestDbVersion(schemaPath, callback) {
-        let ret = null;
+                            const nextVersion = currentVersion + 1;
+                            const upgradeFile = await this._readUpgradeActions(nextVersion);
 
-        try {
-            let data = await readJsonFilePromisified(Path.join(schemaPath, 'version.json'), true);
+                            if (!upgradeFile) {
+                                this.logger.log('Upgrade schema for version ' + nextVersion +
+                                    ' (upgrade.' + nextVersion + '.json)' +
+                                    ' not found, skipping...');
+                                currentVersion++;
+                                continue;
+                            }
 
-            if (data)
-                ret = data['version'];
+                            const fileName = upgradeFile.file;
+                            const upgradeSchema = upgradeFile.actions;
+
+                            // The backup is taken before the first pending step, and recorded with that step
+                            let stepBackupFile = null;
+
+                            if (options.backupDirectory && !options.dryRun && backupFile === null) {
+                                backupFile = stepBackupFile = await this._backupBeforeUpgrade(currentVersion, options);
+                            }
+
+                            let step = await this._runRecorded(options, {
+                                version: nextVersion,
+                                type: 'upgrade',
+                                file: fileName,
+                                checksum: await fileChecksum(Path.join(this.schemaPath, fileName)),
+                                actionCount: upgradeSchema.length,
+                                backupFile: stepBackupFile,
+                            }, () => this._runVersionStep(
+                                schema, upgradeSchema, originalVersion, currentVersion, nextVersion, options));
+
+                            if (step.statements) {
+                                script.push({ version: nextVersion, statements: step.statements });
+                            }
+
+                            if (step.stored) {
+                                storedVersion = nextVersion;
+                            }
+
+                            currentVersion++;
+                        }
+                    } finally {
+                        saveVersion = currentVersion;
+                    }
+
+                    saveVersion = latestVersion;
+                } finally {
+                    if (!options.dryRun && saveVersion !== storedVersion) {
+                        await this.setCurrentDbVersion(saveVersion);
+                    }
+                }
+
+                if (options.dryRun && options.outputStream) {
+                    writeDryRunScript(options.outputStream, script);
+                }
+            } finally {
+                if (lock) {
+                    await lock.release();
+                }
+            }
         } catch (err) {
             if (typeof callback === 'function') {
-                return setImmediate(() => callback(err));
+                return setImmediate(() => callback(err, options.dryRun ? script : saveVersion));
             }
             throw err;
         }
 
+        let ret = options.dryRun ? script : saveVersion;
+
         if (typeof callback === 'function') {
-            setImmediate(() => callback(null, ret));
+            return setImmediate(() => callback(null, ret));
         }
 
         return ret;
     }
 
     /**
-     * Manually create a column in a table
-     * This does not create the indexes or foreign keys - they are created in different calls.
-     * @param {Object} db A knex instance
-     * @param {Object} table A knex table instance (inside a "table" call)
-     * @param {TableColumnDescription} columnData The column data
-     * @returns {Object} knex column
+     * Kick off the downgrade routine.
+     * This walks backwards from the current db schema version to the target version, one version at a time,
+     *   and stores the version in schema_globals after each step.
+     * Each step is recorded in schema_migrations, under the version which it reverts.
+     * The actions for downgrading from version N are taken from downgrade.N.json, and if that does not exist -
+     *   they are derived from upgrade.N.json by reversing its actions (where possible).
+     * @param {number} targetVersion The version to downgrade to
+     * @param {UpgradeOptions?} options - optional downgrade options (same as the upgrade options)
+     * @param {function(error:?, result: number|DryRunScript)?} callback - optional callback
+     * @returns {Promise<number|DryRunScript>} the new version, or the SQL script in dry-run mode
      */
-    static createColumn(db, table, columnData) {
-
-        const name = columnData['name'];
-        if (!name) {
-            console.log('The column ' + (JSON.stringify(columnData)) + ' is missing a name!');
-            throw 'column-missing-name';
-        }
-        let type = columnData['type'];
-        if (!type) {
-            console.log('The column ' + (name ? name : JSON.stringify(columnData)) + ' is missing a type!');
-            throw 'column-missing-type';
+    async downgrade(targetVersion, options, callback) {
+        if (callback === undefined && typeof options === 'function') {
+            callback = options;
+            options = undefined;
         }
 
-        const unsigned = type.startsWith('unsigned ');
-        if (unsigned) {
-            type = type.substr(9);
-        }
+        options = options || {};
 
-        let column;
-        if (type[0] === ':') {
-            // noinspection JSUnresolvedFunction
-            column = table.specificType(name, type.substr(1));
-        } else if (type === 'text') {
-            column = table.text(name, columnData['text_type']);
-        } else if (type === 'string' || type === 'varchar' || type === 'char') {
-            column = table[type](name, columnData['length']);
-        } else if (type === 'float' || type === 'double' || type === 'decimal') {
-            column = table[type](name, columnData['precision'], columnData['scale']);
-        } else if (type === 'timestamp' || type === 'timestamptz') {
-            // noinspection JSValidateTypes
-            column = table.timestamp(name, type !== 'timestamptz');
-        } else if (type === 'enu' || type === 'enum') {
-            // noinspection JSUnresolvedFunction
-            column = table.enu(name, columnData['enum_values']);
-        } else if (type === 'json' || type === 'jsonb') {
-            column = table.json(name, type === 'jsonb');
-        } else {
-            column = table[type](name);
-        }
+        let saveVersion, script = [];
 
-        if (unsigned) {
-            // noinspection JSUnresolvedFunction
-            column.unsigned();
-        }
+        try {
+            let schema = await this._readSchemaTables();
 
-        if (columnData['raw_default'] !== undefined) {
-            // noinspection JSUnresolvedFunction
-            column.defaultTo(db.raw(columnData['raw_default']));
-        } else if (columnData['default'] !== undefined) {
-            // noinspection JSUnresolvedFunction
-            column.defaultTo(columnData['default']);
-        }
+            let lock = options.dryRun || options.lock === false
+                ? null
+                : await this._acquireLock(options);
 
-        if (columnData['unique']) {
-            // noinspection JSValidateTypes
-            column.unique();
-        }
+            try {
+                let currentVersion, storedVersion;
+                currentVersion = storedVersion = saveVersion = options.dryRun
+                    ? await this.peekCurrentDbVersion()
+                    : await this.getCurrentDbVersion();
 
-        if (columnData['primary_key']) {
-            // noinspection JSUnresolvedFunction
-            column.primary();
-        }
+                if (!options.skipValidation) {
+                    await this._assertValid(currentVersion);
+                }
 
-        if (columnData['unsigned']) {
-            // noinspection JSUnresolvedFunction
-            column.unsigned();
-        }
+                if (currentVersion == null) {
+                    this.logger.log('The database is not installed, there is nothing to downgrade. Failing...');
+                    // noinspection ExceptionCaughtLocallyJS
+                    throw 'empty-database';
+                }
 
-        if (columnData['nullable'] != null && !columnData['nullable']) {
-            // noinspection JSUnresolvedFunction
-            column.notNullable();
-        }
+                if (typeof targetVersion !== 'number' || targetVersion > currentVersion) {
+                    this.logger.log('Invalid downgrade target version `' + targetVersion + '` (current version is ' +
+                        currentVersion + '). Failing...');
+                    // noinspection ExceptionCaughtLocallyJS
+                    throw 'invalid-version';
+                }
 
-        if (typeof columnData['collate'] === 'string') {
-            // noinspection JSValidateTypes
-            column.collate(columnData['collate']);
-        }
+                try {
+                    // While the current version hasn't yet reached the target version
+                    while (currentVersion > targetVersion) {
+                        const prevVersion = currentVersion - 1;
+
+                        const downgradeFile = await this._readDowngradeActions(schema, currentVersion);
+
+                        if (downgradeFile) {
+                            // Recorded under the version which it reverts
+                            let step = await this._runRecorded(options, {
+                                version: currentVersion,
+                                type: 'downgrade',
+                                file: downgradeFile.file,
+                                checksum: await fileChecksum(Path.join(this.schemaPath, downgradeFile.file)),
+                                actionCount: downgradeFile.actions.length,
+                            }, () => this._runVersionStep(
+                                schema, downgradeFile.actions, targetVersion, currentVersion, prevVersion, options));
+
+                            if (step.statements) {
+                                script.push({ version: prevVersion, statements: step.statements });
+                            }
 
-        return column;
-    };
+                            if (!step.stored && !options.dryRun) {
+                                await this.setCurrentDbVersion(prevVersion);
+                            }
 
-    /**
-     * Manually create the table from a table description object.
-     * This does not create the indexes or foreign keys - they are created in different calls.
-     * @param {Object} db A knex instance
-     * @param {string} tableName The name of the table to create
-     * @param {TableDescription} tableData The table data
-     * @param {function(error:?)?} callback - optional callback
-     * @returns {Promise<void>}
-     */
-    static async createTable(db, tableName, tableData, callback) {
-        try {
-            // noinspection JSCheckFunctionSignatures
-            const table = db.schema.createTable(_tablePrefix + tableName, table => {
+                            storedVersion = prevVersion;
+                        }
 
-                const columns = tableData['columns'];
-                if (columns) {
-                    for (const column of columns) {
-                        KnexSchemaBuilder.createColumn(db, table, column);
+                        currentVersion--;
                     }
-                }
+                } finally {
+                    saveVersion = currentVersion;
 
-                const primaryKey = tableData['primary_key'];
-                if (primaryKey) {
-                    if (primaryKey instanceof Array) {
-                        // noinspection JSUnresolvedFunction
-                        table.primary(tableData['primary_key']);
-                    } else {
-                        // noinspection JSUnresolvedFunction
-                        table.primary([primaryKey]);
+                    if (!options.dryRun && saveVersion !== storedVersion) {
+                        await this.setCurrentDbVersion(saveVersion);
                     }
                 }
 
-                if (tableData['timestamps']) {
-                    // noinspection JSValidateTypes
-                    table.timestamps();
+                if (options.dryRun && options.outputStream) {
+                    writeDryRunScript(options.outputStream, script);
                 }
-
-            });
-
-            for (const func of ['engine', 'charset', 'collate']) {
-                if (tableData[func]) {
-                    table[func](tableData[func]);
+            } finally {
+                if (lock) {
+                    await lock.release();
                 }
             }
-
-            await table;
         } catch (err) {
             if (typeof callback === 'function') {
-                return setImmediate(() => callback(err));
+                return setImmediate(() => callback(err, options.dryRun ? script : saveVersion));
             }
             throw err;
         }
 
+        let ret = options.dryRun ? script : saveVersion;
+
         if (typeof callback === 'function') {
-            setImmediate(() => callback(err));
+            return setImmediate(() => callback(null, ret));
         }
+
+        return ret;
     }
 
     /**
-     * Manually create the indexes from a table description object.
-     * @param {Object} db A knex instance
-     * @param {string} tableName The name of the table to create
-     * @param {TableDescription} tableData The table data
-     * @param {boolean} [ignoreExistsError=false] Ignore "exists" error for single index creation, can be used to continue a failed install
-     * @param {function(error:?)?} callback - optional callback
-     * @returns {Promise<void>}
+     * Validates schema.json, version.json and all of the upgrade.####.json/downgrade.####.json files
+     *   against the published JSON Schema (validate/knex-schema-builder.schema.json), and against semantic rules:
+     *   foreign keys and indexes refer to existing tables and columns, upgrade actions refer to tables and columns
+     *   which exist in schema.json, and the upgrade files are contiguous up to the version in version.json.
+     * @param {{currentVersion: number?}} [options] `currentVersion` is the version of the db: the upgrade files up to it
+     *   were already applied (when schema.json may have had tables which were dropped since),
+     *   so their references into schema.json are not checked
+     * @param {function(error:?, problems:Array<ValidationProblem>?)?} callback - optional callback
+     * @returns {Promise<Array<ValidationProblem>>} an empty array if everything is valid
      */
-    static async createTableIndexes(db, tableName, tableData, ignoreExistsError, callback) {
-        if (callback === undefined && typeof ignoreExistsError === 'function') {
-            callback = ignoreExistsError;
-            ignoreExistsError = false;
+    async validate(options, callback) {
+        if (callback === undefined && typeof options === 'function') {
+            callback = options;
+            options = undefined;
         }
 
+        options = options || {};
+
+        let ret;
+
         try {
-            await db.schema
-                .table(_tablePrefix + tableName, table => {
-                    for (const index of (tableData['indexes'] || [])) {
-                        KnexSchemaBuilder._createIndexInner(table, index);
+            ret = [];
+
+            const readFile = async file => {
+                try {
+                    return { file: file, json: await readJsonFilePromisified(Path.join(this.schemaPath, file), true) };
+                } catch (err) {
+                    ret.push({ file: file, path: '$', message: err.message, error: err });
+                    return null;
+                }
+            };
+
+            const fileNames = await promisify(Fs.readdir)(this.schemaPath);
+            const readVersionFiles = async prefix => {
+                const files = [];
+                const pattern = new RegExp('^' + prefix + '\\.(\\d+)\\.json$');
+
+                for (const fileName of fileNames) {
+                    const match = fileName.match(pattern);
+                    if (!match) continue;
+
+                    const file = await readFile(fileName);
+                    if (file) {
+                        files.push(Object.assign(file, { version: Number(match[1]) }));
                     }
-                })
-                .catch(defaultErrorHandler(ignoreExistsError))
-                .then(() => undefined);
+                }
+
+                return files.sort((a, b) => a.version - b.version);
+            };
+
+            const listScripts = prefix => fileNames
+                .map(fileName => fileName.match(new RegExp('^' + prefix + '\\.(\\d+)\\.js$')))
+                .filter(Boolean)
+                .map(match => ({ file: match[0], version: Number(match[1]) }));
+
+            const schemaFile = await readFile('schema.json');
+            const versionFile = await readFile('version.json');
+            const upgrades = await readVersionFiles('upgrade');
+            const downgrades = await readVersionFiles('downgrade');
+
+            if (schemaFile && versionFile) {
+                ret.push(...require('./validate/rules').validateSchemaFiles({
+                    schema: schemaFile,
+                    tables: getSchemaTables(schemaFile.json),
+                    objects: getSchemaObjects(schemaFile.json),
+                    version: versionFile,
+                    upgrades: upgrades,
+                    downgrades: downgrades,
+                    actionNames: require('./actions/registry').listActions(),
+                    upgradeScripts: listScripts('upgrade'),
+                    downgradeScripts: listScripts('downgrade'),
+                    schemaPath: this.schemaPath,
+                    currentVersion: options.currentVersion,
+                }));
+            }
         } catch (err) {
             if (typeof callback === 'function') {
                 return setImmediate(() => callback(err));
@@ -837,75 +1167,228 @@ module.exports = class KnexSchemaBuilder {
         }
 
         if (typeof callback === 'function') {
-            setImmediate(() => callback(null));
+            setImmediate(() => callback(null, ret));
         }
+
+        return ret;
     }
 
     /**
-     * Manually create an index
-     * @param {Object} db A knex instance
-     * @param {string} tableName The name of the table to create
-     * @param {TableIndexDescription} indexData The index data
-     * @param {function(error:?)?} callback - optional callback
+     * Validates the schema files, and fails with 'invalid-schema' if there are any problems.
+     * Errors of reading or parsing the files are rethrown as they are.
+     * @private
+     * @param {number|null} currentVersion The version of the db, up to which the upgrade files were already applied
      * @returns {Promise<void>}
      */
-    static async createIndex(db, tableName, indexData, callback) {
-        try {
-            await db.schema.table(_tablePrefix + tableName, table => {
-                KnexSchemaBuilder._createIndexInner(table, indexData);
-            });
-        } catch (err) {
-            if (typeof callback === 'function') {
-                return setImmediate(() => callback(err));
-            }
-            throw err;
+    async _assertValid(currentVersion) {
+        const problems = await this.validate({ currentVersion: currentVersion });
+        if (!problems.length)
+            return;
+
+        const readError = problems.find(problem => problem.error);
+        if (readError) {
+            throw readError.error;
         }
 
-        if (typeof callback === 'function') {
-            setImmediate(() => callback(null));
+        for (const problem of problems) {
+            this.logger.log(problem.file + ': ' + problem.path + ' ' + problem.message);
         }
+
+        this.logger.log('The schema files are invalid. Please correct them and try again.');
+        throw 'invalid-schema';
     }
 
     /**
-     * Inner implementation for index creation
+     * Acquires the migration lock, so only one process runs install/upgrade/downgrade at a time.
+     * On MySql and Postgres this is a native advisory lock (GET_LOCK/pg_advisory_lock), which is released
+     *   by the db if the connection is lost.
+     * Elsewhere it is a row in schema_globals, which is refreshed periodically while held,
+     *   and considered stale (and taken over) if it was not refreshed for `staleLockTimeout`.
+     * Fails with 'lock-timeout' if the lock was not acquired within `lockTimeout`.
      * @private
-     * @param {Object} table A knex table closure
-     * @param {TableIndexDescription} indexData The index data
+     * @param {{lockTimeout: Number?, staleLockTimeout: Number?}} options
+     * @returns {Promise<{release: function():Promise<void>}>}
      */
-    static _createIndexInner(table, indexData) {
-        let columns = indexData['columns'];
-        columns = (columns && !(columns instanceof Array)) ? [columns] : columns;
-        if (indexData['unique']) {
-            // noinspection JSValidateTypes
-            table.unique(columns, indexData['name']);
-        } else {
-            table.index(columns, indexData['name']);
+    async _acquireLock(options) {
+        const lockTimeout = options.lockTimeout != null ? options.lockTimeout : DEFAULT_LOCK_TIMEOUT;
+        const staleLockTimeout = options.staleLockTimeout != null
+            ? options.staleLockTimeout
+            : DEFAULT_STALE_LOCK_TIMEOUT;
+        const lockKey = this.tablePrefix + 'db_migration_lock';
+
+        if (supportsAdvisoryLocks(this.db)) {
+            // Advisory locks are global to the db, so the db schema is a part of their key
+            return this._acquireAdvisoryLock(this._qualifiedName(lockKey), lockTimeout);
+        }
+
+        await this.ensureSchemaGlobalsExist();
+
+        const owner = Os.hostname() + ':' + process.pid + ':' + Math.random().toString(36).substr(2, 8);
+        const deadline = Date.now() + lockTimeout;
+        let value;
+
+        for (;;) {
+            value = JSON.stringify({ owner: owner, heartbeat: Date.now() });
+
+            try {
+                // The key is the primary key, so only one of the racing processes succeeds in inserting it
+                await this._setGlobalQuery(lockKey, value, false);
+                break;
+            } catch (err) {
+                let row = await this.db.select('value')
+                    .from(this._qualifiedName('schema_globals'))
+                    .where('key', lockKey)
+                    .first();
+
+                if (row) {
+                    let heldValue = row['value'], holder = null;
+
+                    try {
+                        holder = JSON.parse(heldValue);
+                    } catch (ignored) {
+                        // Not ours, treat as stale
+                    }
+
+                    if (!holder || !(Date.now() - holder['heartbeat'] <= staleLockTimeout)) {
+                        this.logger.log('Removing a stale migration lock (' + heldValue + ')');
+
+                        await this.db.table(this._qualifiedName('schema_globals'))
+                            .where('key', lockKey)
+                            .andWhere('value', heldValue)
+                            .del();
+                        continue;
+                    }
+
+                    if (Date.now() >= deadline) {
+                        this.logger.log('Timed out waiting for the migration lock, held by ' + holder['owner'] + '. Failing...');
+                        throw 'lock-timeout';
+                    }
+                } else if (Date.now() >= deadline) {
+                    throw err;
+                }
+
+                await delay(LOCK_POLL_INTERVAL);
+            }
+        }
+
+        const heartbeat = setInterval(() => {
+            const nextValue = JSON.stringify({ owner: owner, heartbeat: Date.now() });
+
+            this.db.table(this._qualifiedName('schema_globals'))
+                .update('value', nextValue)
+                .where('key', lockKey)
+                .andWhere('value', value)
+                .then(count => {
+                    if (count) {
+                        value = nextValue;
+                    } else {
+                        this.logger.log('The migration lock was taken away by another process (or by forceUnlock)');
+                    }
+                })
+                .catch(err => this.logger.log('Failed to refresh the migration lock', err));
+        }, Math.max(Math.floor(staleLockTimeout / 3), 1));
+
+        if (heartbeat.unref) {
+            heartbeat.unref();
         }
+
+        return {
+            release: async () => {
+                clearInterval(heartbeat);
+
+                await this.db.table(this._qualifiedName('schema_globals'))
+                    .where('key', lockKey)
+                    .andWhere('value', value)
+                    .del();
+            },
+        };
     }
 
     /**
-     * Manually create the foreign keys from a table description object.
-     * @param {Object} db A knex instance
-     * @param {string} tableName The name of the table to create
-     * @param {TableDescription} tableData The table data
-     * @param {boolean} [ignoreExistsError=false] Ignore "exists" error for single key creation, can be used to continue a failed install
-     * @param {function(error:?)?} callback - optional callback
-     * @returns {Promise<void>}
+     * Acquires a native advisory lock on a dedicated connection
+     * @private
+     * @param {string} lockKey
+     * @param {number} lockTimeout In milliseconds
+     * @returns {Promise<{release: function():Promise<void>}>}
      */
-    static async createTableForeignKeys(db, tableName, tableData, ignoreExistsError, callback) {
-        if (callback === undefined && typeof ignoreExistsError === 'function') {
-            callback = ignoreExistsError;
-            ignoreExistsError = false;
-        }
+    async _acquireAdvisoryLock(lockKey, lockTimeout) {
+        const isMysql = this.db.client.dialect === 'mysql';
+
+        // Advisory locks are not bound to a database, so include it in the name
+        const database = (typeof this.db.client.database === 'function' && this.db.client.database()) || '';
+        const lockHash = hashLockName(database + ':' + lockKey);
+        const lockName = 'knex_schema_builder_' + (lockHash >>> 0).toString(16);
+
+        const connection = await this.db.client.acquireConnection();
+        let acquired = false;
 
         try {
-            await db.schema
-                .table(_tablePrefix + tableName, table => {
-                    for (const foreignKeyData of (tableData['foreign_keys'] || [])) {
-                        KnexSchemaBuilder._createForeignInner(table, foreignKeyData);
+            // Raw queries can't be bound to a connection, so these go through select()
+            if (isMysql) {
+                let rows = await this.db.select(this.db.raw('GET_LOCK(?, ?) AS acquired',
+                    [lockName, Math.ceil(lockTimeout / 1000)])).connection(connection);
+                acquired = rows[0]['acquired'] === 1;
+            } else {
+                const deadline = Date.now() + lockTimeout;
+
+                for (;;) {
+                    let rows = await this.db.select(this.db.raw('pg_try_advisory_lock(?) AS acquired', [lockHash]))
+                        .connection(connection);
+                    acquired = rows[0]['acquired'] === true;
+
+                    if (acquired || Date.now() >= deadline)
+                        break;
+
+                    await delay(LOCK_POLL_INTERVAL);
+                }
+            }
+
+            if (!acquired) {
+                this.logger.log('Timed out waiting for the migration lock. Failing...');
+                throw 'lock-timeout';
+            }
+        } finally {
+            if (!acquired) {
+                await this.db.client.releaseConnection(connection);
+            }
+        }
+
+        return {
+            release: async () => {
+                try {
+                    if (isMysql) {
+                        await this.db.select(this.db.raw('RELEASE_LOCK(?)', [lockName])).connection(connection);
+                    } else {
+                        await this.db.select(this.db.raw('pg_advisory_unlock(?)', [lockHash])).connection(connection);
                     }
-                })
-                .catch(defaultErrorHandler(ignoreExistsError));
+                } finally {
+                    await this.db.client.releaseConnection(connection);
+                }
+            },
+        };
+    }
+
+    /**
+     * Removes the migration lock row from schema_globals, i.e. after a crashed process left it behind
+     *   and you don't want to wait for it to become stale.
+     * Native advisory locks (MySql/Postgres) are released by the db when the holding connection closes,
+     *   so they can not be left behind, and are not affected by this.
+     * Make sure that no install/upgrade is actually running when calling this!
+     * @param {function(error:?, removed:boolean)?} callback - optional callback
+     * @returns {Promise<boolean>} was there a lock to remove
+     */
+    async forceUnlock(callback) {
+        let ret = false;
+
+        try {
+            // noinspection JSUnresolvedFunction
+            if (await this._hasTable('schema_globals')) {
+                let count = await this.db.table(this._qualifiedName('schema_globals'))
+                    .where('key', this.tablePrefix + 'db_migration_lock')
+                    .del();
+
+                ret = count > 0;
+            }
         } catch (err) {
             if (typeof callback === 'function') {
                 return setImmediate(() => callback(err));
@@ -914,91 +1397,236 @@ module.exports = class KnexSchemaBuilder {
         }
 
         if (typeof callback === 'function') {
-            setImmediate(() => callback(null));
+            setImmediate(() => callback(null, ret));
         }
+
+        return ret;
     }
 
     /**
-     * Manually create an foreign key
-     * @param {Object} db A knex instance
-     * @param {string} tableName The name of the table to create
-     * @param {TableForeignKeyDescription} foreignKey The foreign key data
-     * @param {function(error:?)?} callback - optional callback
-     * @returns {Promise<void>}
+     * Runs an install, upgrade or downgrade step, and records it in schema_migrations (unless in dry-run mode).
+     * A failed step is recorded too, and its error is rethrown.
+     * @private
+     * @template T
+     * @param {{dryRun: Boolean?}} options
+     * @param {{version: number, type: string, file: string, checksum: string, actionCount: number}} migration
+     * @param {function():Promise<T>} run
+     * @returns {Promise<T>}
      */
-    static createForeign(db, tableName, foreignKey, callback) {
+    async _runRecorded(options, migration, run) {
+        if (options.dryRun)
+            return run();
 
-        const promise = db.schema
-            .table(_tablePrefix + tableName, table => {
-                KnexSchemaBuilder._createForeignInner(table, foreignKey);
-            })
-            .then(() => undefined);
+        const startedAt = new Date();
+        let result;
 
-        if (typeof callback === 'function') {
-            promise
-                .catch(callback)
-                .then(() => {callback(null);});
+        try {
+            result = await run();
+        } catch (err) {
+            await this._recordMigration(migration, 'failed', startedAt, err)
+                .catch(recordErr => this.logger.log('Failed to record the migration', recordErr));
+            throw err;
         }
 
-        return promise;
+        await this._recordMigration(migration, 'success', startedAt, null);
+
+        return result;
     }
 
     /**
-     * Inner implementation for foreign key creation
+     * Returns the backup controller for the dialect of the db
      * @private
-     * @param {Object} table A knex table closure
-     * @param {TableForeignKeyDescription} foreignKey The foreign key data
+     * @returns {Object|null} null if backups are not supported on the dialect
      */
-    static _createForeignInner(table, foreignKey) {
-        let columns = foreignKey['columns'],
-            foreigns = foreignKey['foreign_columns'];
-        columns = (columns && !(columns instanceof Array)) ? [columns] : columns;
-        foreigns = (foreigns && !(foreigns instanceof Array)) ? [foreigns] : foreigns;
+    _getBackupController() {
+        switch (this.db.client.dialect) {
+            case 'mysql':
+                return this.mysqlBackup;
+            case 'postgresql':
+                return this.postgresBackup;
+            case 'sqlite3':
+                return this.sqliteBackup;
+        }
+
+        return null;
+    }
+
+    /**
+     * Backs up the db into the `backupDirectory`, before an upgrade.
+     * The file is named by the table prefix, the current db version and the time, i.e. `app_backup-v12-20201001T120000Z.sql`.
+     * @private
+     * @param {number} currentVersion
+     * @param {UpgradeOptions} options
+     * @returns {Promise<string>} The path of the backup file
+     */
+    async _backupBeforeUpgrade(currentVersion, options) {
+        const backupOptions = Object.assign({
+            tableStructure: true,
+            tableData: true,
+            routines: true,
+            triggers: true,
+            schema: this.dbSchema || undefined,
+            schemaGlobalsTable: this._qualifiedName('schema_globals'),
+            versionKey: this.tablePrefix + 'db_version',
+        }, options.backupOptions);
+
+        const timestamp = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+        const extension = { gzip: '.gz', brotli: '.br' }[backupOptions.compression] || '';
+        const file = Path.resolve(options.backupDirectory,
+            this.tablePrefix + 'backup-v' + currentVersion + '-' + timestamp + '.sql' + extension);
+
+        try {
+            await makeDirectory(Path.resolve(options.backupDirectory));
+
+            const outputStream = Fs.createWriteStream(file);
+
+            try {
+                await this._getBackupController().generateBackup(this.db, outputStream, backupOptions);
+            } finally {
+                await new Promise((resolve, reject) => {
+                    outputStream.once('error', reject);
+                    outputStream.end(resolve);
+                });
+            }
+        } catch (err) {
+            this.logger.log('Failed to back up the db before the upgrade, aborting the upgrade', err);
+            await promisify(Fs.unlink)(file).catch(() => {});
+            throw err;
+        }
+
+        this.logger.log('Backed up the db (version ' + currentVersion + ') to ' + file);
+
+        return file;
+    }
+
+    /**
+     * Writes a row to schema_migrations
+     * @private
+     * @param {{version: number, type: string, file: string, checksum: string, actionCount: number, backupFile: string?}} migration
+     * @param {string} status 'success' or 'failed'
+     * @param {Date} startedAt
+     * @param {*} error The error of a failed step
+     * @returns {Promise<void>}
+     */
+    async _recordMigration(migration, status, startedAt, error) {
+        await this._ensureMigrationsTableExists();
+
+        const row = {
+            'table_prefix': this.tablePrefix,
+            'version': migration.version,
+            'type': migration.type,
+            'file': migration.file,
+            'checksum': migration.checksum,
+            'status': status,
+            'started_at': startedAt,
+            'finished_at': new Date(),
+            'host': Os.hostname(),
+            'action_count': migration.actionCount,
+            'error': error == null ? null : String(error instanceof Error ? error.message : error),
+        };
+
+        // The backup_file column was added later, so it is only written (and ensured) when there is a backup
+        if (migration.backupFile) {
+            await this._ensureMigrationsBackupFileColumnExists();
+            row['backup_file'] = migration.backupFile;
+        }
 
         // noinspection JSUnresolvedFunction
-        const foreign = table.foreign(columns)
-            .references(foreigns)
-            .inTable(_tablePrefix + foreignKey['foreign_table']);
+        await this.db
+            .insert(row)
+            .into(this._qualifiedName('schema_migrations'));
+    }
 
-        if (foreignKey['on_update']) {
+    /**
+     * Lists the install, upgrade and downgrade steps which were run on the db (with the current table prefix), oldest first
+     * @param {function(error:?, history:Array<MigrationRecord>?)?} callback - optional callback
+     * @returns {Promise<Array<MigrationRecord>>}
+     */
+    async getMigrationHistory(callback) {
+        let ret = [];
+
+        try {
             // noinspection JSUnresolvedFunction
-            foreign.onUpdate(foreignKey['on_update']);
+            if (await this._hasTable('schema_migrations')) {
+                let rows = await this.db.select('*')
+                    .from(this._qualifiedName('schema_migrations'))
+                    .where('table_prefix', this.tablePrefix)
+                    .orderBy('id');
+
+                ret = rows.map(row => ({
+                    version: Number(row['version']),
+                    type: row['type'],
+                    file: row['file'],
+                    checksum: row['checksum'],
+                    status: row['status'],
+                    startedAt: row['started_at'] == null ? null : new Date(row['started_at']),
+                    finishedAt: row['finished_at'] == null ? null : new Date(row['finished_at']),
+                    host: row['host'],
+                    actionCount: row['action_count'] == null ? null : Number(row['action_count']),
+                    error: row['error'],
+                    backupFile: row['backup_file'] == null ? null : row['backup_file'],
+                }));
+            }
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
         }
 
-        if (foreignKey['on_delete']) {
-            // noinspection JSUnresolvedFunction
-            foreign.onDelete(foreignKey['on_delete']);
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, ret));
         }
+
+        return ret;
     }
 
     /**
-     * Ensures that the schema_globals exists.
-     * @param {Object} db A knex instance
-     * @param {function(error:?, created:boolean)?} callback - optional callback
-     * @returns {Promise<boolean>} - was the schema_globals created just now?
+     * Compares the checksums of the upgrade files which were already applied, with the files as they are now,
+     *   and warns about the files which were changed (or removed) since.
+     * Only the last successful run of each version is compared, and versions which were downgraded since are skipped.
+     * @param {function(error:?, mismatches:Array<ChecksumMismatch>?)?} callback - optional callback
+     * @returns {Promise<Array<ChecksumMismatch>>} an empty array if no applied file was changed
      */
-    static async ensureSchemaGlobalsExist(db, callback) {
+    async verifyMigrationChecksums(callback) {
+        let ret = [];
+
         try {
-            // noinspection JSUnresolvedFunction
-            let exists = await db.schema.hasTable('schema_globals');
-            if (exists) {
-                if (typeof callback === 'function') {
-                    setImmediate(() => callback(null, false));
+            const applied = new Map();
+
+            for (let record of await this.getMigrationHistory()) {
+                if (record.status !== 'success')
+                    continue;
+
+                if (record.type === 'upgrade' && record.file && record.checksum) {
+                    applied.set(record.version, record);
+                } else if (record.type === 'downgrade') {
+                    applied.delete(record.version);
                 }
-                return false;
             }
 
-            // noinspection JSCheckFunctionSignatures
-            await db.schema.createTable('schema_globals', table => {
-                // noinspection JSUnresolvedFunction
-                table.string('key', 64).notNullable().primary();
+            for (let record of applied.values()) {
+                let checksum = null;
 
-                // noinspection JSUnresolvedFunction
-                table.string('value', 255);
-            });
+                try {
+                    checksum = await fileChecksum(Path.join(this.schemaPath, record.file));
+                } catch (err) {
+                    if (err.code !== 'ENOENT')
+                        // noinspection ExceptionCaughtLocallyJS
+                        throw err;
+                }
 
-            if (typeof callback === 'function') {
-                setImmediate(() => callback(null, true));
+                if (checksum !== record.checksum) {
+                    this.logger.log('Warning: ' + record.file + ' was ' + (checksum ? 'changed' : 'removed') +
+                        ' after it was applied' + (record.finishedAt ? ' (on ' + record.finishedAt.toISOString() + ')' : ''));
+
+                    ret.push({
+                        version: record.version,
+                        file: record.file,
+                        appliedChecksum: record.checksum,
+                        checksum: checksum,
+                    });
+                }
             }
         } catch (err) {
             if (typeof callback === 'function') {
@@ -1007,11 +1635,2111 @@ module.exports = class KnexSchemaBuilder {
             throw err;
         }
 
-        return true;
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, ret));
+        }
+
+        return ret;
     }
 
-    // noinspection JSUnusedGlobalSymbols
-    static get mysqlBackup() {
-        return require('./backup/mysql');
+    /**
+     * Reads the tables described in schema.json
+     * @private
+     * @returns {Promise<Object<string, TableDescription>>}
+     */
+    async _readSchemaTables() {
+        return getSchemaTables(await readJsonFilePromisified(Path.join(this.schemaPath, 'schema.json'), true));
     }
-};
+
+    /**
+     * Reads the views, triggers and routines described in schema.json
+     * @private
+     * @returns {Promise<SchemaObjects>}
+     */
+    async _readSchemaObjects() {
+        return getSchemaObjects(await readJsonFilePromisified(Path.join(this.schemaPath, 'schema.json'), true));
+    }
+
+    /**
+     * Loads the actions for upgrading to a specific version.
+     * These come from upgrade.####.json, or from upgrade.####.js - which is run as a single `script` action.
+     * @private
+     * @param {number} version The version to upgrade to
+     * @returns {Promise<{file: string, actions: Array<Object>}|null>} null if there's no upgrade file for this version
+     */
+    async _readUpgradeActions(version) {
+        const jsonFile = 'upgrade.' + version + '.json';
+        const scriptFile = 'upgrade.' + version + '.js';
+
+        const hasScript = await fileExists(Path.join(this.schemaPath, scriptFile));
+        let actions;
+
+        try {
+            actions = await readJsonFilePromisified(Path.join(this.schemaPath, jsonFile), true);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return hasScript ? { file: scriptFile, actions: [{ action: 'script', file: scriptFile }] } : null;
+            }
+
+            if (err instanceof SyntaxError) {
+                this.logger.log('Upgrade schema for version ' + version +
+                    ' (' + jsonFile + ')' +
+                    ' contains invalid JSON. Please correct it and try again.');
+            }
+
+            throw err;
+        }
+
+        if (hasScript) {
+            this.logger.log('Both ' + jsonFile + ' and ' + scriptFile + ' exist for version ' + version +
+                ', only one of them can be used. Failing...');
+            throw 'ambiguous-upgrade';
+        }
+
+        return { file: jsonFile, actions: actions };
+    }
+
+    /**
+     * Loads the actions for downgrading from a specific version.
+     * These come from downgrade.####.json (or downgrade.####.js), or are derived from upgrade.####.json if there's no downgrade file.
+     * @private
+     * @param {Object<string, TableDescription>} schema The tables described in schema.json
+     * @param {number} version The version to downgrade from
+     * @returns {Promise<{file: string, actions: Array<Object>}|null>} null if there's nothing to do for this version
+     */
+    async _readDowngradeActions(schema, version) {
+        const fileNames = [
+            'downgrade.' + version + '.json', 'downgrade.' + version + '.js',
+            'upgrade.' + version + '.json', 'upgrade.' + version + '.js',
+        ];
+
+        for (let fileName of fileNames) {
+            let actions;
+
+            if (fileName.endsWith('.js')) {
+                if (!await fileExists(Path.join(this.schemaPath, fileName)))
+                    continue;
+
+                actions = [{ action: 'script', file: fileName }];
+            } else {
+                try {
+                    actions = await readJsonFilePromisified(Path.join(this.schemaPath, fileName), true);
+                } catch (err) {
+                    if (err.code === 'ENOENT')
+                        continue;
+
+                    if (err instanceof SyntaxError) {
+                        this.logger.log('Downgrade schema for version ' + version +
+                            ' (' + fileName + ')' +
+                            ' contains invalid JSON. Please correct it and try again.');
+                    }
+
+                    throw err;
+                }
+            }
+
+            if (fileName.startsWith('upgrade.')) {
+                this.logger.log('Downgrade schema for version ' + version +
+                    ' (downgrade.' + version + '.json)' +
+                    ' not found, deriving it from ' + fileName + '...');
+                actions = this.deriveDowngradeActions(schema, actions);
+            }
+
+            return { file: fileName, actions: actions };
+        }
+
+        this.logger.log('Neither downgrade nor upgrade schema found for version ' + version + ', skipping...');
+        return null;
+    }
+
+    /**
+     * Derives the actions that reverse a list of upgrade actions.
+     * Only actions that have a well defined inverse can be reversed (i.e. `addColumn` -> `dropColumn`),
+     *   otherwise an 'irreversible-action' error is thrown.
+     * @param {Object<string, TableDescription>} schema The tables described in schema.json
+     * @param {Array<Object>} actions The upgrade actions
+     * @returns {Array<Object>} The downgrade actions
+     */
+    deriveDowngradeActions(schema, actions) {
+        const inverse = [];
+
+        const dropIndexAction = (table, index) => {
+            const action = {
+                action: index['unique'] ? 'dropUnique' : 'dropIndex',
+                table: table,
+            };
+
+            if (index['name']) {
+                action['name'] = index['name'];
+            } else {
+                action['column'] = index['columns'];
+            }
+
+            return action;
+        };
+
+        const dropForeignAction = (table, foreignKey) => {
+            return { action: 'dropForeign', table: table, column: foreignKey['columns'] };
+        };
+
+        for (let action of actions) {
+            const table = action['table'];
+            let reversed;
+
+            switch (action['action']) {
+                case 'createTable':
+                    reversed = [{ action: 'dropTable', table: table }];
+                    break;
+
+                case 'createTableIndexes':
+                    reversed = ((schema[table] && schema[table]['indexes']) || [])
+                        .map(index => dropIndexAction(table, index));
+                    break;
+
+                case 'createTableForeignKeys':
+                    reversed = ((schema[table] && schema[table]['foreign_keys']) || [])
+                        .map(foreignKey => dropForeignAction(table, foreignKey));
+                    break;
+
+                case 'addColumn':
+                    reversed = [{ action: 'dropColumn', table: table, column: action['column'] }];
+                    break;
+
+                case 'renameColumn':
+                    reversed = [{ action: 'renameColumn', table: table, from: action['to'], to: action['from'] }];
+                    break;
+
+                case 'createIndex':
+                    reversed = [dropIndexAction(table, action)];
+                    break;
+
+                case 'createForeign':
+                    reversed = [dropForeignAction(table, action)];
+                    break;
+
+                case 'addTimestamps':
+                    reversed = [{ action: 'dropTimestamps', table: table }];
+                    break;
+
+                case 'dropTimestamps':
+                    reversed = [{ action: 'addTimestamps', table: table }];
+                    break;
+
+                case 'addCheck':
+                    reversed = [{ action: 'dropCheck', table: table, name: action['name'] }];
+                    break;
+
+                case 'createView':
+                    reversed = [{ action: 'dropView', view: action['view'] }];
+                    break;
+
+                case 'createTrigger':
+                    reversed = [{ action: 'dropTrigger', trigger: action['trigger'] }];
+                    break;
+
+                case 'createRoutine':
+                    reversed = [action['procedure'] !== undefined
+                        ? { action: 'dropRoutine', procedure: action['procedure'] }
+                        : { action: 'dropRoutine', function: action['function'] }];
+                    break;
+
+                case 'insertRows':
+                    reversed = [{ action: 'deleteRows', table: table, rows: action['rows'] }];
+                    if (action['key'] !== undefined) {
+                        reversed[0]['key'] = action['key'];
+                    }
+                    break;
+
+                default:
+                    this.logger.log(
+                        'Upgrade action `' + action['action'] + '` can not be reversed automatically. ' +
+                        'Please write a downgrade.####.json (or downgrade.####.js) file for this version. Failing...');
+                    throw 'irreversible-action';
+            }
+
+            for (let item of reversed) {
+                for (let key of ['min_version', 'max_version', 'ignore_errors']) {
+                    if (action[key] !== undefined) {
+                        item[key] = action[key];
+                    }
+                }
+            }
+
+            inverse.unshift(...reversed.reverse());
+        }
+
+        return inverse;
+    }
+
+    /**
+     * Runs the actions of a single version step.
+     * In transactional mode, the new version is stored as part of the step.
+     * @private
+     * @param {Object<string, TableDescription>} schema The tables described in schema.json
+     * @param {Array<Object>} actions The actions to run
+     * @param {number} referenceVersion The version which `min_version` and `max_version` are compared against
+     * @param {number|null} fromVersion The version before the step
+     * @param {number} toVersion The version after the step
+     * @param {UpgradeOptions} options
+     * @returns {Promise<{statements: Array<string>?, stored: boolean}>}
+     */
+    async _runVersionStep(schema, actions, referenceVersion, fromVersion, toVersion, options) {
+        if (options.dryRun) {
+            const statements = [];
+            const dryRunBuilder = this.withConfig({ db: createDryRunDb(this.db, statements) });
+
+            for (let action of actions) {
+                await dryRunBuilder._runUpgradeAction(schema, action, referenceVersion);
+            }
+
+            statements.push(...builderToStatements(this.db, this._setGlobalQuery(
+                this.tablePrefix + 'db_version', toVersion, fromVersion != null)));
+
+            return { statements: statements, stored: false };
+        }
+
+        if (!options.transactional) {
+            for (let action of actions) {
+                await this._runUpgradeAction(schema, action, referenceVersion);
+            }
+
+            return { statements: null, stored: false };
+        }
+
+        if (supportsTransactionalDdl(this.db)) {
+            // The actions and the version bump are committed (or rolled back) together
+            await this.db.transaction(async trx => {
+                const trxBuilder = this.withConfig({ db: trx });
+
+                for (let action of actions) {
+                    await trxBuilder._runUpgradeAction(schema, action, referenceVersion);
+                }
+
+                await trxBuilder.setCurrentDbVersion(toVersion);
+            });
+
+            return { statements: null, stored: true };
+        }
+
+        // DDL can't be rolled back here, so we keep track of the last completed action,
+        //   and a rerun of a failed step resumes right after it.
+        const progressKey = this.tablePrefix + 'db_upgrade_progress';
+        let startIndex = 0;
+
+        let progress = await this._getGlobal(progressKey);
+        if (progress) {
+            let [progressVersion, progressIndex] = String(progress).split(':').map(Number);
+            if (progressVersion === toVersion && progressIndex > 0) {
+                this.logger.log('Resuming migration to version ' + toVersion +
+                    ' from action #' + (progressIndex + 1) + '...');
+                startIndex = progressIndex;
+            }
+        }
+
+        for (let i = startIndex; i < actions.length; i++) {
+            await this._runUpgradeAction(schema, actions[i], referenceVersion);
+            await this._setGlobal(progressKey, toVersion + ':' + (i + 1));
+        }
+
+        await this.setCurrentDbVersion(toVersion);
+        await this._deleteGlobal(progressKey);
+
+        return { statements: null, stored: true };
+    }
+
+    /**
+     * Runs a single action from an upgrade.####.json file
+     * @private
+     * @param {Object<string, TableDescription>} schema The tables described in schema.json
+     * @param {Object} action The action to run
+     * @param {number} originalVersion The version from which the upgrade has started
+     * @returns {Promise<void>}
+     */
+    async _runUpgradeAction(schema, action, originalVersion) {
+        const softThrow = err => {
+            if (err && action['ignore_errors']) {
+                this.logger.log('Ignoring error', err);
+                err = null;
+            } else if (err) {
+                throw err;
+            }
+        };
+
+        if (action['min_version'] && action['min_version'] >= originalVersion) {
+            return;
+        }
+
+        if (action['max_version'] && action['max_version'] <= originalVersion) {
+            return;
+        }
+
+        const handler = require('./actions/registry').getActionHandler(action['action'], this.db.client.dialect);
+
+        if (!handler) {
+            this.logger.log(
+                'Unknown upgrade action `' + action['action'] + '`. Failing...');
+            softThrow('unknown-action');
+            return;
+        }
+
+        await Promise.resolve()
+            .then(() => handler(action, {
+                db: this.db,
+                tablePrefix: this.tablePrefix,
+                schema: schema,
+                originalVersion: originalVersion,
+                dialect: this.db.client.dialect,
+                logger: this.logger,
+                builder: this,
+            }))
+            .catch(softThrow);
+    }
+
+    /**
+     * Runs a script (i.e. upgrade.####.js) from the schema folder.
+     * The script exports an async function (or a `default` one), which is called with
+     *   the knex instance (or the transaction), the table prefix, the loaded schema.json, and the original version.
+     * The script is loaded afresh, as it may have changed since it was last run (i.e. by an earlier run in the same process).
+     * @private
+     * @param {string} file The path of the script, relative to the schema folder
+     * @param {number} originalVersion The version from which the upgrade has started
+     * @returns {Promise<void>}
+     */
+    async _runScript(file, originalVersion) {
+        const schema = await readJsonFilePromisified(Path.join(this.schemaPath, 'schema.json'), true);
+        const scriptPath = require.resolve(Path.resolve(this.schemaPath, file));
+
+        delete require.cache[scriptPath];
+        let script = require(scriptPath);
+
+        if (script && typeof script !== 'function' && typeof script.default === 'function') {
+            script = script.default;
+        }
+
+        if (typeof script !== 'function') {
+            this.logger.log('The script `' + file + '` does not export a function. Failing...');
+            throw 'invalid-script';
+        }
+
+        await script(this.db, this.tablePrefix, schema, originalVersion);
+    }
+
+    /**
+     * Reads the structure of an existing database, and describes it in the same format as schema.json.
+     * Only tables which start with the current table prefix are included, and the prefix is stripped from their names.
+     * Supported on MySql, Postgres and Sqlite.
+     * @param {IntrospectOptions?} options - optional introspection options
+     * @param {function(error:?, tables:Object<string, TableDescription>?)?} callback - optional callback
+     * @returns {Promise<Object<string, TableDescription>>}
+     */
+    async introspect(options, callback) {
+        if (callback === undefined && typeof options === 'function') {
+            callback = options;
+            options = undefined;
+        }
+
+        options = options || {};
+
+        let ret = {};
+
+        try {
+            const introspector = getIntrospector(this.db);
+            if (!introspector) {
+                this.logger.log('Introspection is not supported for `' + this.db.client.dialect + '`. Failing...');
+                // noinspection ExceptionCaughtLocallyJS
+                throw 'unsupported-dialect';
+            }
+
+            let tables = await introspector.getTableDescriptions(this.db);
+
+            for (let fullName of Object.keys(tables)) {
+                if (fullName === 'schema_globals' || fullName === 'schema_migrations' || !fullName.startsWith(this.tablePrefix))
+                    continue;
+
+                const tableName = fullName.substr(this.tablePrefix.length);
+                if (options.tables && !options.tables.includes(tableName))
+                    continue;
+
+                const table = tables[fullName];
+
+                for (let foreignKey of (table['foreign_keys'] || [])) {
+                    if (this.tablePrefix && foreignKey['foreign_table'].startsWith(this.tablePrefix)) {
+                        foreignKey['foreign_table'] = foreignKey['foreign_table'].substr(this.tablePrefix.length);
+                    }
+                }
+
+                ret[tableName] = table;
+            }
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, ret));
+        }
+
+        return ret;
+    }
+
+    /**
+     * Compares the tables declared in schema.json with the live database, and lists the differences.
+     * This can be used to detect a drift of the db from the schema (i.e. manual changes, or a faulty upgrade file).
+     * Supported on MySql, Postgres and Sqlite.
+     * @param {function(error:?, differences:Array<SchemaDifference>?)?} callback - optional callback
+     * @returns {Promise<Array<SchemaDifference>>} an empty array if the db matches the schema
+     */
+    async diff(callback) {
+        let ret;
+
+        try {
+            let schema = await this._readSchemaTables();
+            let liveTables = await this.introspect();
+
+            ret = require('./introspect/diff').diffTables(this.db.client.dialect, schema, liveTables, this.tablePrefix);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, ret));
+        }
+
+        return ret;
+    }
+
+    /**
+     * Collects the masking rules which are declared on columns in schema.json (`"pii": "email"`),
+     *   to be passed as the `masks` option of `mysqlBackup.generateBackup`.
+     * The table names include the table prefix.
+     * @param {function(error:?, masks:Object<string, MaskRule>?)?} callback - optional callback
+     * @returns {Promise<Object<string, MaskRule>>} rules keyed by `table.column`
+     */
+    async getMasks(callback) {
+        let ret;
+
+        try {
+            let schema = await this._readSchemaTables();
+
+            ret = require('./backup/masking').getSchemaMasks(schema, this.tablePrefix);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, ret));
+        }
+
+        return ret;
+    }
+
+    /**
+     * Proposes the upgrade actions for going from one version of the schema tables to another.
+     * Renames can not be detected, and show as a drop and a create.
+     * @param {Object<string, TableDescription>} previousTables The tables of the previous schema.json
+     * @param {Object<string, TableDescription>} nextTables The tables of the new schema.json
+     * @returns {Array<Object>} upgrade actions
+     */
+    generateUpgradeActions(previousTables, nextTables) {
+        return require('./generate/upgrade').generateUpgradeActions(previousTables, nextTables, this.logger);
+    }
+
+    /**
+     * Generates the upgrade.####.json for changes made to schema.json, and bumps the version in version.json.
+     * @param {string|Object} previousSchema Path to the previous schema.json, or its parsed content
+     * @param {GenerateUpgradeOptions?} options - optional options. In `dryRun` mode, no files are written.
+     * @param {function(error:?, upgrade:GeneratedUpgrade?)?} callback - optional callback
+     * @returns {Promise<GeneratedUpgrade>}
+     */
+    async generateUpgrade(previousSchema, options, callback) {
+        if (callback === undefined && typeof options === 'function') {
+            callback = options;
+            options = undefined;
+        }
+
+        options = options || {};
+
+        let ret;
+
+        try {
+            const generator = require('./generate/upgrade');
+
+            if (typeof previousSchema === 'string') {
+                previousSchema = await readJsonFilePromisified(previousSchema, true);
+            }
+
+            let previousTables = getSchemaTables(previousSchema);
+            let nextTables = await this._readSchemaTables();
+
+            let version = (await this.getLatestDbVersion()) + 1;
+            let actions = generator.generateUpgradeActions(previousTables, nextTables, this.logger);
+            let file = Path.join(this.schemaPath, 'upgrade.' + version + '.json');
+
+            if (!options.dryRun) {
+                await promisify(Fs.writeFile)(file, generator.formatUpgradeActions(actions), 'utf8');
+                await promisify(Fs.writeFile)(Path.join(this.schemaPath, 'version.json'),
+                    '{ "version": ' + version + ' }', 'utf8');
+            }
+
+            ret = { version: version, file: file, actions: actions };
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, ret));
+        }
+
+        return ret;
+    }
+
+    /**
+     * Retrieves the schema version of the current db
+     * @param {function(error:?, version:number|null)?} callback - optional callback
+     * @returns {Promise<number|null>}
+     */
+    async getCurrentDbVersion(callback) {
+        
+        let version = null;
+        
+        try {
+            let value = await this._getGlobal(this.tablePrefix + 'db_version');
+
+            if (value != null)
+                version = parseFloat(value);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, version));
+        }
+
+        return version;
+    }
+
+    /**
+     * Retrieves the schema version of the current db, without creating schema_globals if it does not exist
+     *   (i.e. to find out whether a dry run should preview an install or an upgrade)
+     * @param {function(error:?, version:number|null)?} callback - optional callback
+     * @returns {Promise<number|null>}
+     */
+    async peekCurrentDbVersion(callback) {
+        let version = null;
+
+        try {
+            // noinspection JSUnresolvedFunction
+            if (await this._hasTable('schema_globals')) {
+                let row = await this.db.select('value')
+                    .from(this._qualifiedName('schema_globals'))
+                    .where('key', this.tablePrefix + 'db_version')
+                    .limit(1)
+                    .first();
+
+                if (row)
+                    version = parseFloat(row['value']);
+            }
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, version));
+        }
+
+        return version;
+    }
+
+    /**
+     * Sets the schema version of the current db
+     * @param {number} version A version, as a whole number
+     * @param {function(error:?, version:number)?} callback - optional callback
+     * @returns {Promise<number>}
+     */
+    async setCurrentDbVersion(version, callback) {
+        try {
+            await this._setGlobal(this.tablePrefix + 'db_version', version);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, version));
+        }
+
+        return version;
+    }
+
+    /**
+     * Retrieves the latest schema version which is specified in version.json
+     * @param {function(error:?, version:number?)?} callback - optional callback
+     * @returns {Promise<number>}
+     */
+    async getLatestDbVersion(callback) {
+        let ret = null;
+
+        try {
+            let data = await readJsonFilePromisified(Path.join(this.schemaPath, 'version.json'), true);
+
+            if (data)
+                ret = data['version'];
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null, ret));
+        }
+
+        return ret;
+    }
+
+    /**
+     * Manually create a column in a table
+     * This does not create the indexes or foreign keys - they are created in different calls.
+     * @param {Object} table A knex table instance (inside a "table" call)
+     * @param {TableColumnDescription} columnData The column data
+     * @returns {Object} knex column
+     */
+    createColumn(table, columnData) {
+
+        const name = columnData['name'];
+        if (!name) {
+            this.logger.log('The column ' + (JSON.stringify(columnData)) + ' is missing a name!');
+            throw 'column-missing-name';
+        }
+        let type = columnData['type'];
+        if (!type) {
+            this.logger.log('The column ' + (name ? name : JSON.stringify(columnData)) + ' is missing a type!');
+            throw 'column-missing-type';
+        }
+
+        let column;
+        if (columnData['generated'] || columnData['check']) {
+            // knex has no modifiers for these, so they are added to the SQL of the type
+            // noinspection JSUnresolvedFunction
+            column = table.specificType(name, this._getColumnDefinitionType(columnData));
+        } else {
+            column = this._createTypedColumn(table, name, type, columnData);
+        }
+
+        if (columnData['raw_default'] !== undefined) {
+            // noinspection JSUnresolvedFunction
+            column.defaultTo(this.db.raw(columnData['raw_default']));
+        } else if (columnData['default'] !== undefined) {
+            // noinspection JSUnresolvedFunction
+            column.defaultTo(columnData['default']);
+        }
+
+        if (columnData['unique']) {
+            // noinspection JSValidateTypes
+            column.unique();
+        }
+
+        if (columnData['primary_key']) {
+            // noinspection JSUnresolvedFunction
+            column.primary();
+        }
+
+        if (columnData['nullable'] != null && !columnData['nullable']) {
+            // noinspection JSUnresolvedFunction
+            column.notNullable();
+        }
+
+        if (typeof columnData['collate'] === 'string') {
+            // noinspection JSValidateTypes
+            column.collate(columnData['collate']);
+        }
+
+        if (typeof columnData['comment'] === 'string') {
+            // noinspection JSUnresolvedFunction
+            column.comment(escapeComment(columnData['comment']));
+        }
+
+        return column;
+    };
+
+    /**
+     * Builds the SQL type of a column with its `generated` expression and `check` constraint,
+     *   which go between the type and the rest of the column definition
+     * @private
+     * @param {TableColumnDescription} columnData The column data
+     * @returns {string}
+     */
+    _getColumnDefinitionType(columnData) {
+        const dialect = this.db.client.dialect;
+        const generated = columnData['generated'];
+        let sql;
+
+        if (generated && dialect === 'mssql') {
+            // Computed columns on MSSQL take their type from the expression
+            sql = 'AS (' + generated['expression'] + ')' + (generated['stored'] ? ' PERSISTED' : '');
+        } else {
+            sql = this._compileColumnType(columnData);
+
+            if (generated) {
+                // Postgres supports only stored generated columns
+                const stored = generated['stored'] || dialect === 'postgresql';
+                sql += ' GENERATED ALWAYS AS (' + generated['expression'] + ')' + (stored ? ' STORED' : ' VIRTUAL');
+            }
+        }
+
+        if (columnData['check']) {
+            sql += ' CHECK (' + columnData['check'] + ')';
+        }
+
+        return sql;
+    }
+
+    /**
+     * Compiles the SQL type of a column (i.e. `varchar(32)` or `int unsigned`), by compiling a table with just that column
+     * @private
+     * @param {TableColumnDescription} columnData The column data
+     * @returns {string}
+     */
+    _compileColumnType(columnData) {
+        const name = columnData['name'];
+
+        // noinspection JSCheckFunctionSignatures
+        const sql = this.db.schema.createTable('column_type', table => {
+            this._createTypedColumn(table, name, columnData['type'], columnData);
+        }).toSQL()[0].sql;
+
+        const prefix = '(' + this.db.raw('??', [name]).toQuery() + ' ';
+        return sql.slice(sql.indexOf(prefix) + prefix.length, sql.lastIndexOf(')'));
+    }
+
+    /**
+     * Creates a column of the type in the column description, without the other modifiers
+     * @private
+     * @param {Object} table A knex table instance (inside a "table" call)
+     * @param {string} name The name of the column
+     * @param {string} type The type of the column
+     * @param {TableColumnDescription} columnData The column data
+     * @returns {Object} knex column
+     */
+    _createTypedColumn(table, name, type, columnData) {
+        const unsigned = type.startsWith('unsigned ');
+        if (unsigned) {
+            type = type.substr(9);
+        }
+
+        let column;
+        if (type[0] === ':') {
+            // noinspection JSUnresolvedFunction
+            column = table.specificType(name, type.substr(1));
+        } else if (type === 'text') {
+            column = table.text(name, columnData['text_type']);
+        } else if (type === 'string' || type === 'varchar' || type === 'char') {
+            column = table[type](name, columnData['length']);
+        } else if (type === 'float' || type === 'double' || type === 'decimal') {
+            column = table[type](name, columnData['precision'], columnData['scale']);
+        } else if (type === 'timestamp' || type === 'timestamptz') {
+            // noinspection JSValidateTypes
+            column = table.timestamp(name, type !== 'timestamptz');
+        } else if (type === 'enu' || type === 'enum') {
+            // noinspection JSUnresolvedFunction
+            column = table.enu(name, columnData['enum_values']);
+        } else if (type === 'json' || type === 'jsonb') {
+            column = table.json(name, type === 'jsonb');
+        } else {
+            column = table[type](name);
+        }
+
+        if (unsigned || columnData['unsigned']) {
+            // noinspection JSUnresolvedFunction
+            column.unsigned();
+        }
+
+        return column;
+    }
+
+    /**
+     * Manually create the table from a table description object.
+     * This does not create the indexes or foreign keys - they are created in different calls.
+     * @param {string} tableName The name of the table to create
+     * @param {TableDescription} tableData The table data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async createTable(tableName, tableData, callback) {
+        const target = this._forTable(tableData);
+        if (target !== this)
+            return target.createTable(tableName, tableData, callback);
+
+        try {
+            // noinspection JSCheckFunctionSignatures
+            const table = this._schema().createTable(this.tablePrefix + tableName, table => {
+
+                const columns = tableData['columns'];
+                if (columns) {
+                    for (const column of columns) {
+                        this.createColumn(table, column);
+                    }
+                }
+
+                const primaryKey = tableData['primary_key'];
+                if (primaryKey) {
+                    if (primaryKey instanceof Array) {
+                        // noinspection JSUnresolvedFunction
+                        table.primary(tableData['primary_key']);
+                    } else {
+                        // noinspection JSUnresolvedFunction
+                        table.primary([primaryKey]);
+                    }
+                }
+
+                if (tableData['timestamps']) {
+                    // noinspection JSValidateTypes
+                    table.timestamps();
+                }
+
+                if (typeof tableData['comment'] === 'string') {
+                    // noinspection JSUnresolvedFunction
+                    table.comment(escapeComment(tableData['comment']));
+                }
+
+            });
+
+            for (const func of ['engine', 'charset', 'collate']) {
+                if (tableData[func]) {
+                    table[func](tableData[func]);
+                }
+            }
+
+            const checks = tableData['checks'] || [];
+            if (checks.length) {
+                // knex can't add check constraints, and Sqlite can't add them after the table is created,
+                //   so they are added to the CREATE TABLE statement
+                const statements = table.toSQL();
+                statements[0].sql = appendTableConstraints(statements[0].sql,
+                    checks.map(check => this._checkConstraintSql(check)));
+
+                for (const statement of statements) {
+                    await this.db.raw(statement.sql, statement.bindings && statement.bindings.length ? statement.bindings : undefined);
+                }
+            } else {
+                await table;
+            }
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(err));
+        }
+    }
+
+    /**
+     * Manually create the indexes from a table description object.
+     * @param {string} tableName The name of the table to create
+     * @param {TableDescription} tableData The table data
+     * @param {boolean} [ignoreExistsError=false] Ignore "exists" error for single index creation, can be used to continue a failed install
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async createTableIndexes(tableName, tableData, ignoreExistsError, callback) {
+        if (callback === undefined && typeof ignoreExistsError === 'function') {
+            callback = ignoreExistsError;
+            ignoreExistsError = false;
+        }
+
+        const target = this._forTable(tableData);
+        if (target !== this)
+            return target.createTableIndexes(tableName, tableData, ignoreExistsError, callback);
+
+        try {
+            const indexes = tableData['indexes'] || [];
+            const isAdvanced = index => ADVANCED_INDEX_OPTIONS.some(option => index[option] !== undefined);
+
+            await this._schema()
+                .table(this.tablePrefix + tableName, table => {
+                    for (const index of indexes.filter(index => !isAdvanced(index))) {
+                        this._createIndexInner(table, index);
+                    }
+                })
+                .catch(defaultErrorHandler(ignoreExistsError, this.logger))
+                .then(() => undefined);
+
+            for (const index of indexes.filter(isAdvanced)) {
+                await this._createAdvancedIndex(tableName, index)
+                    .catch(defaultErrorHandler(ignoreExistsError, this.logger));
+            }
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Manually create an index
+     * @param {string} tableName The name of the table to create
+     * @param {TableIndexDescription} indexData The index data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async createIndex(tableName, indexData, callback) {
+        try {
+            if (ADVANCED_INDEX_OPTIONS.some(option => indexData[option] !== undefined)) {
+                await this._createAdvancedIndex(tableName, indexData);
+            } else {
+                await this._schema().table(this.tablePrefix + tableName, table => {
+                    this._createIndexInner(table, indexData);
+                });
+            }
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Creates an index which has options that knex does not support (partial, expression or typed indexes), with raw SQL.
+     * Options which the dialect does not support are left out, where the index is still useful without them:
+     *   `lengths` outside of MySql, `method` where it's not supported, `storage_parameters` outside of Postgres,
+     *   and `where` on MySql for a non-unique index.
+     * @private
+     * @param {string} tableName The name of the table (without the prefix)
+     * @param {TableIndexDescription} indexData The index data
+     * @returns {Promise<void>}
+     */
+    async _createAdvancedIndex(tableName, indexData) {
+        const dialect = this.db.client.dialect;
+        const quote = name => this.db.raw('??', [name]).toQuery();
+        const columns = indexData['columns'] === undefined ? [] : [].concat(indexData['columns']);
+        const expressions = indexData['expressions'] === undefined ? [] : [].concat(indexData['expressions']);
+        const unique = !!indexData['unique'];
+        const type = indexData['type'] ? indexData['type'].toUpperCase() : null;
+        const method = indexData['method'] ? indexData['method'].toLowerCase() : null;
+        const name = indexData['name'] ||
+            require('./introspect/diff').defaultIndexName(this.tablePrefix + tableName, columns, unique ? 'unique' : 'index');
+
+        if (type && dialect !== 'mysql') {
+            this.logger.log('The ' + type + ' index `' + name + '` is MySql only, skipping...');
+            return;
+        }
+
+        if (expressions.length && dialect === 'mssql') {
+            this.logger.log('MSSQL does not support expression indexes (`' + name + '`). Failing...');
+            throw 'unsupported-dialect';
+        }
+
+        let where = indexData['where'];
+        if (where && dialect === 'mysql') {
+            if (unique) {
+                this.logger.log('MySql does not support partial indexes, and `' + name + '` is unique. Failing...');
+                throw 'unsupported-dialect';
+            }
+
+            this.logger.log('MySql does not support partial indexes, creating `' + name + '` on all rows');
+            where = null;
+        }
+
+        const parts = columns.map(column => {
+            const length = dialect === 'mysql' && indexData['lengths'] && indexData['lengths'][column];
+            return quote(column) + (length ? '(' + length + ')' : '');
+        }).concat(expressions.map(expression => dialect === 'sqlite3' ? expression : '(' + expression + ')'));
+
+        const usingMethod = method && (dialect === 'postgresql' || (dialect === 'mysql' && MYSQL_INDEX_METHODS.includes(method)))
+            ? ' USING ' + method.toUpperCase()
+            : '';
+
+        let sql = 'CREATE ' + (type || (unique ? 'UNIQUE' : '')) + (type || unique ? ' ' : '') + 'INDEX ' + quote(name);
+
+        if (dialect === 'mysql') {
+            sql += usingMethod + ' ON ' + quote(this._qualifiedName(this.tablePrefix + tableName)) + ' (' + parts.join(', ') + ')';
+        } else {
+            sql += ' ON ' + quote(this._qualifiedName(this.tablePrefix + tableName)) + usingMethod + ' (' + parts.join(', ') + ')';
+        }
+
+        const storageParameters = indexData['storage_parameters'];
+        if (storageParameters && dialect === 'postgresql' && Object.keys(storageParameters).length) {
+            sql += ' WITH (' + Object.keys(storageParameters)
+                .map(key => key + ' = ' + storageParameters[key]).join(', ') + ')';
+        }
+
+        if (where) {
+            sql += ' WHERE ' + where;
+        }
+
+        await this.db.raw(sql);
+    }
+
+    /**
+     * Inner implementation for index creation
+     * @private
+     * @param {Object} table A knex table closure
+     * @param {TableIndexDescription} indexData The index data
+     */
+    _createIndexInner(table, indexData) {
+        let columns = indexData['columns'];
+        columns = (columns && !(columns instanceof Array)) ? [columns] : columns;
+        if (indexData['unique']) {
+            // noinspection JSValidateTypes
+            table.unique(columns, indexData['name']);
+        } else {
+            table.index(columns, indexData['name']);
+        }
+    }
+
+    /**
+     * Manually create the foreign keys from a table description object.
+     * @param {string} tableName The name of the table to create
+     * @param {TableDescription} tableData The table data
+     * @param {boolean} [ignoreExistsError=false] Ignore "exists" error for single key creation, can be used to continue a failed install
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async createTableForeignKeys(tableName, tableData, ignoreExistsError, callback) {
+        if (callback === undefined && typeof ignoreExistsError === 'function') {
+            callback = ignoreExistsError;
+            ignoreExistsError = false;
+        }
+
+        const target = this._forTable(tableData);
+        if (target !== this)
+            return target.createTableForeignKeys(tableName, tableData, ignoreExistsError, callback);
+
+        try {
+            await this._schema()
+                .table(this.tablePrefix + tableName, table => {
+                    for (const foreignKeyData of (tableData['foreign_keys'] || [])) {
+                        this._createForeignInner(table, foreignKeyData);
+                    }
+                })
+                .catch(defaultErrorHandler(ignoreExistsError, this.logger));
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Insert the seed rows of a table, as they are described in the `seed` section of schema.json
+     * @param {string} tableName The name of the table (without the prefix)
+     * @param {Array<Object<string, *>>|string} rows The rows, or a path (relative to the schema folder) to a JSON/CSV file with them
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async seedTable(tableName, rows, callback) {
+        try {
+            const SeedRows = require('./seed/rows');
+            await SeedRows.insertRows(this.db, this._qualifiedName(this.tablePrefix + tableName), await SeedRows.loadRows(this.schemaPath, rows));
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Manually create an foreign key
+     * @param {string} tableName The name of the table to create
+     * @param {TableForeignKeyDescription} foreignKey The foreign key data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    createForeign(tableName, foreignKey, callback) {
+
+        const promise = this._schema()
+            .table(this.tablePrefix + tableName, table => {
+                this._createForeignInner(table, foreignKey);
+            })
+            .then(() => undefined);
+
+        if (typeof callback === 'function') {
+            promise
+                .catch(callback)
+                .then(() => {callback(null);});
+        }
+
+        return promise;
+    }
+
+    /**
+     * Inner implementation for foreign key creation
+     * @private
+     * @param {Object} table A knex table closure
+     * @param {TableForeignKeyDescription} foreignKey The foreign key data
+     */
+    _createForeignInner(table, foreignKey) {
+        let columns = foreignKey['columns'],
+            foreigns = foreignKey['foreign_columns'];
+        columns = (columns && !(columns instanceof Array)) ? [columns] : columns;
+        foreigns = (foreigns && !(foreigns instanceof Array)) ? [foreigns] : foreigns;
+
+        // noinspection JSUnresolvedFunction
+        const foreign = table.foreign(columns, foreignKey['name'])
+            .references(foreigns)
+            .inTable(this._qualifiedName(this.tablePrefix + foreignKey['foreign_table'], foreignKey['foreign_db_schema']));
+
+        if (foreignKey['on_update']) {
+            // noinspection JSUnresolvedFunction
+            foreign.onUpdate(foreignKey['on_update']);
+        }
+
+        if (foreignKey['on_delete']) {
+            // noinspection JSUnresolvedFunction
+            foreign.onDelete(foreignKey['on_delete']);
+        }
+    }
+
+    /**
+     * Manually add a check constraint to a table
+     * @param {string} tableName The name of the table (without the prefix)
+     * @param {TableCheckDescription} check The check constraint data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async addCheck(tableName, check, callback) {
+        try {
+            if (this.db.client.dialect === 'sqlite3') {
+                this.logger.log('Sqlite can not add a check constraint to an existing table. Failing...');
+                throw 'unsupported-dialect';
+            }
+
+            await this.db.raw('ALTER TABLE ' + this.db.raw('??', [this._qualifiedName(this.tablePrefix + tableName)]).toQuery() +
+                ' ADD ' + this._checkConstraintSql(check));
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Manually drop a check constraint from a table
+     * @param {string} tableName The name of the table (without the prefix)
+     * @param {string} checkName The name of the check constraint
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async dropCheck(tableName, checkName, callback) {
+        try {
+            const dialect = this.db.client.dialect;
+
+            if (dialect === 'sqlite3') {
+                this.logger.log('Sqlite can not drop a check constraint from an existing table. Failing...');
+                throw 'unsupported-dialect';
+            }
+
+            await this.db.raw('ALTER TABLE ' + this.db.raw('??', [this._qualifiedName(this.tablePrefix + tableName)]).toQuery() +
+                (dialect === 'mysql' ? ' DROP CHECK ' : ' DROP CONSTRAINT ') + this.db.raw('??', [checkName]).toQuery());
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Builds the SQL of a named check constraint
+     * @private
+     * @param {TableCheckDescription} check
+     * @returns {string}
+     */
+    _checkConstraintSql(check) {
+        return 'CONSTRAINT ' + this.db.raw('??', [check['name']]).toQuery() + ' CHECK (' + check['expression'] + ')';
+    }
+
+    /**
+     * Manually create a view from a view description object.
+     * @param {string} viewName The name of the view (without the prefix)
+     * @param {ViewDescription} viewData The view data
+     * @param {boolean} [replace=false] Replace the view if it exists
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async createView(viewName, viewData, replace, callback) {
+        if (callback === undefined && typeof replace === 'function') {
+            callback = replace;
+            replace = false;
+        }
+
+        try {
+            const Statements = require('./objects/statements');
+            await this._runObjectStatements('View `' + viewName + '`',
+                Statements.createViewStatements(this.db, this.tablePrefix, viewName, viewData, !!replace, this.dbSchema));
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Manually drop a view
+     * @param {string} viewName The name of the view (without the prefix)
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async dropView(viewName, callback) {
+        try {
+            const Statements = require('./objects/statements');
+            await this._runObjectStatements('View `' + viewName + '`',
+                [Statements.dropViewStatement(this.db, this.tablePrefix, viewName, this.dbSchema)]);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Manually create a trigger from a trigger description object.
+     * @param {string} triggerName The name of the trigger (without the prefix)
+     * @param {TriggerDescription} triggerData The trigger data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async createTrigger(triggerName, triggerData, callback) {
+        try {
+            const Statements = require('./objects/statements');
+            const statement = Statements.createTriggerStatement(this.db, this.tablePrefix, triggerName, triggerData, this.dbSchema);
+            await this._runObjectStatements('Trigger `' + triggerName + '`', statement === null ? null : [statement]);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Manually drop a trigger
+     * @param {string} triggerName The name of the trigger (without the prefix)
+     * @param {string?} tableName The table of the trigger (without the prefix), which is required on Postgres
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async dropTrigger(triggerName, tableName, callback) {
+        if (callback === undefined && typeof tableName === 'function') {
+            callback = tableName;
+            tableName = null;
+        }
+
+        try {
+            const Statements = require('./objects/statements');
+            await this._runObjectStatements('Trigger `' + triggerName + '`',
+                [Statements.dropTriggerStatement(this.db, this.tablePrefix, triggerName, tableName, this.dbSchema)]);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Manually create a stored procedure or function from a routine description object.
+     * @param {'procedure'|'function'} type
+     * @param {string} routineName The name of the routine (without the prefix)
+     * @param {RoutineDescription} routineData The routine data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async createRoutine(type, routineName, routineData, callback) {
+        try {
+            const Statements = require('./objects/statements');
+            const statement = Statements.createRoutineStatement(this.db, this.tablePrefix, type, routineName, routineData, this.dbSchema);
+            await this._runObjectStatements('The ' + type + ' `' + routineName + '`', statement === null ? null : [statement]);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Manually drop a stored procedure or function
+     * @param {'procedure'|'function'} type
+     * @param {string} routineName The name of the routine (without the prefix)
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    async dropRoutine(type, routineName, callback) {
+        try {
+            const Statements = require('./objects/statements');
+            await this._runObjectStatements('The ' + type + ' `' + routineName + '`',
+                [Statements.dropRoutineStatement(this.db, this.tablePrefix, type, routineName, this.dbSchema)]);
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        if (typeof callback === 'function') {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    /**
+     * Runs the statements of a view, trigger or routine
+     * @private
+     * @param {string} description What the statements are for, for the log
+     * @param {Array<string>|null} statements null if the object is not defined for the dialect of the db
+     * @returns {Promise<void>}
+     */
+    async _runObjectStatements(description, statements) {
+        if (statements === null) {
+            this.logger.log(description + ' is not defined for ' + this.db.client.dialect + ', skipping...');
+            return;
+        }
+
+        for (const statement of statements) {
+            await this.db.raw(statement);
+        }
+    }
+
+    /**
+     * Ensures that the schema_globals exists.
+     * @param {function(error:?, created:boolean)?} callback - optional callback
+     * @returns {Promise<boolean>} - was the schema_globals created just now?
+     */
+    async ensureSchemaGlobalsExist(callback) {
+        try {
+            // noinspection JSUnresolvedFunction
+            let exists = await this._hasTable('schema_globals');
+            if (exists) {
+                if (typeof callback === 'function') {
+                    setImmediate(() => callback(null, false));
+                }
+                return false;
+            }
+
+            await this._createSchemaGlobalsTable();
+
+            if (typeof callback === 'function') {
+                setImmediate(() => callback(null, true));
+            }
+        } catch (err) {
+            if (typeof callback === 'function') {
+                return setImmediate(() => callback(err));
+            }
+            throw err;
+        }
+
+        return true;
+    }
+
+    /**
+     * Reads a value from schema_globals
+     * @private
+     * @param {string} key The key of the value
+     * @returns {Promise<string|null>}
+     */
+    async _getGlobal(key) {
+        await this.ensureSchemaGlobalsExist();
+
+        let row = await this.db.select('value')
+            .from(this._qualifiedName('schema_globals'))
+            .where('key', key)
+            .limit(1)
+            .first();
+
+        return row ? row['value'] : null;
+    }
+
+    /**
+     * Writes a value to schema_globals
+     * @private
+     * @param {string} key The key of the value
+     * @param {*} value The value to store
+     * @returns {Promise<void>}
+     */
+    async _setGlobal(key, value) {
+        let currentValue = await this._getGlobal(key);
+
+        await this._setGlobalQuery(key, value, currentValue != null);
+    }
+
+    /**
+     * Builds the query that writes a value to schema_globals
+     * @private
+     * @param {string} key The key of the value
+     * @param {*} value The value to store
+     * @param {boolean} exists Whether the key already exists in schema_globals
+     * @returns {Object} knex query builder
+     */
+    _setGlobalQuery(key, value, exists) {
+        if (!exists) {
+            // noinspection JSUnresolvedFunction
+            return this.db
+                .insert({'value': value, 'key': key})
+                .into(this._qualifiedName('schema_globals'));
+        }
+
+        // noinspection JSUnresolvedFunction
+        return this.db
+            .table(this._qualifiedName('schema_globals'))
+            .update('value', value)
+            .where('key', key);
+    }
+
+    /**
+     * Removes a value from schema_globals
+     * @private
+     * @param {string} key The key of the value
+     * @returns {Promise<void>}
+     */
+    async _deleteGlobal(key) {
+        await this.db
+            .table(this._qualifiedName('schema_globals'))
+            .where('key', key)
+            .del();
+    }
+
+    /**
+     * Builds the schema_globals table creation
+     * @private
+     * @returns {Object} knex schema builder
+     */
+    _createSchemaGlobalsTable() {
+        // noinspection JSCheckFunctionSignatures
+        return this._schema().createTable('schema_globals', table => {
+            // noinspection JSUnresolvedFunction
+            table.string('key', 64).notNullable().primary();
+
+            // noinspection JSUnresolvedFunction
+            table.string('value', 255);
+        });
+    }
+
+    /**
+     * Ensures that schema_migrations exists
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _ensureMigrationsTableExists() {
+        // noinspection JSUnresolvedFunction
+        if (await this._hasTable('schema_migrations'))
+            return;
+
+        // noinspection JSCheckFunctionSignatures
+        await this._schema().createTable('schema_migrations', table => {
+            table.increments('id');
+
+            // noinspection JSUnresolvedFunction
+            table.string('table_prefix', 64).notNullable().defaultTo('');
+            // noinspection JSUnresolvedFunction
+            table.integer('version').notNullable();
+            // noinspection JSUnresolvedFunction
+            table.string('type', 16).notNullable();
+            table.string('file', 255);
+            table.string('checksum', 64);
+            // noinspection JSUnresolvedFunction
+            table.string('status', 16).notNullable();
+            table.dateTime('started_at');
+            table.dateTime('finished_at');
+            table.string('host', 255);
+            table.integer('action_count');
+            table.text('error');
+            table.string('backup_file', 1024);
+        });
+    }
+
+    /**
+     * Ensures that schema_migrations has the backup_file column, which older versions did not create
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _ensureMigrationsBackupFileColumnExists() {
+        // noinspection JSUnresolvedFunction
+        if (await this._schema().hasColumn('schema_migrations', 'backup_file'))
+            return;
+
+        // noinspection JSCheckFunctionSignatures
+        await this._schema().alterTable('schema_migrations', table => {
+            table.string('backup_file', 1024);
+        });
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    get mysqlBackup() {
+        return require('./backup/mysql');
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    get postgresBackup() {
+        return require('./backup/postgres');
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    get sqliteBackup() {
+        return require('./backup/sqlite');
+    }
+
+    /**
+     * Configures a copy of the default instance for a static call
+     * @private
+     * @param {Object?} db knex instance
+     * @param {string?} schemaPath path to where the schema files reside
+     * @returns {KnexSchemaBuilder}
+     */
+    static _with(db, schemaPath) {
+        return KnexSchemaBuilder.defaultInstance.withConfig({ db: db, schemaPath: schemaPath });
+    }
+
+    /**
+     * Registers a handler for an upgrade action, i.e. `{ "action": "refreshMaterializedView", "name": "..." }`.
+     * The registry is shared by all instances. The built-in actions are registered the same way,
+     *   so registering one of their names (optionally for a specific dialect) overrides them.
+     * @param {string} name The value of `action` in the upgrade files
+     * @param {ActionHandler} handler Called with the action object and an {@link ActionContext}
+     * @param {{dialect: string|Array<string>?}?} options - optional. Limits the handler to specific dialects (i.e. 'mysql', 'postgresql')
+     */
+    static registerAction(name, handler, options) {
+        require('./actions/registry').registerAction(name, handler, options);
+    }
+
+    /**
+     * Unregisters the handler of an upgrade action, which was registered with the same options.
+     * Unregistering the overrides of a built-in action for a dialect brings back the built-in handler on that dialect.
+     * @param {string} name The value of `action` in the upgrade files
+     * @param {{dialect: string|Array<string>?}?} options - optional. Limits the unregistering to the overrides for specific dialects
+     */
+    static unregisterAction(name, options) {
+        require('./actions/registry').unregisterAction(name, options);
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * Sets a generic table prefix for all table creations, on the default instance
+     * @param {string} prefix - A prefix for tables
+     * @param {function(error:?, prefix:string)?} callback - optional callback
+     * @returns {Promise<string>}
+     */
+    static setTablePrefix(prefix, callback) {
+        return KnexSchemaBuilder.defaultInstance.setTablePrefix(prefix, callback);
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * Sets the db schema (namespace) for schema_globals, and for the tables which do not have their own `db_schema`, on the default instance
+     * @param {string?} dbSchema - A db schema name, or null for the default search path
+     * @param {function(error:?, dbSchema:string?)?} callback - optional callback
+     * @returns {Promise<string|null>}
+     */
+    static setDbSchema(dbSchema, callback) {
+        return KnexSchemaBuilder.defaultInstance.setDbSchema(dbSchema, callback);
+    }
+
+    /**
+     * Creates a db schema (namespace) if it does not exist
+     * @param {Object} db knex instance
+     * @param {string} dbSchema
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise}
+     */
+    static createDbSchema(db, dbSchema, callback) {
+        return KnexSchemaBuilder._with(db, null).createDbSchema(dbSchema, callback);
+    }
+
+    /**
+     * Determine if a schema upgrade is required
+     * @param {Object} db knex instance
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {function(error:?, isUpgradeNeeded:boolean?)?} callback - optional callback
+     * @returns {Promise<boolean>}
+     */
+    static isUpgradeNeeded(db, schemaPath, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).isUpgradeNeeded(callback);
+    }
+
+    /**
+     * Determine if a schema install is required
+     * @param {Object} db knex instance
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {function(error:?, isInstallNeeded:boolean?)?} callback - optional callback
+     * @returns {Promise<boolean>}
+     */
+    static isInstallNeeded(db, schemaPath, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).isInstallNeeded(callback);
+    }
+
+    /**
+     * Installs the schema on an empty db
+     * @param {Object} db knex instance
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {InstallOptions|boolean?} options - optional install options, or `ignoreExistsError`
+     * @param {function(error:?, result: number|DryRunScript)?} callback - optional callback
+     * @returns {Promise<number|DryRunScript>} the installed version, or the SQL script in dry-run mode
+     */
+    static install(db, schemaPath, options, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).install(options, callback);
+    }
+
+    /**
+     * Kick off the upgrade routine
+     * @param {Object} db knex instance
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {UpgradeOptions?} options - optional upgrade options
+     * @param {function(error:?, result: number|DryRunScript)?} callback - optional callback
+     * @returns {Promise<number|DryRunScript>} the new version, or the SQL script in dry-run mode
+     */
+    static upgrade(db, schemaPath, options, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).upgrade(options, callback);
+    }
+
+    /**
+     * Downgrades the db schema to a previous version
+     * @param {Object} db knex instance
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {number} targetVersion The version to downgrade to
+     * @param {UpgradeOptions?} options - optional downgrade options
+     * @param {function(error:?, result: number|DryRunScript)?} callback - optional callback
+     * @returns {Promise<number|DryRunScript>} the new version, or the SQL script in dry-run mode
+     */
+    static downgrade(db, schemaPath, targetVersion, options, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).downgrade(targetVersion, options, callback);
+    }
+
+    /**
+     * Validates the schema files against the published JSON Schema, and against the semantic rules
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {{currentVersion: number?}} [options] `currentVersion` is the version of the db
+     * @param {function(error:?, problems:Array<ValidationProblem>?)?} callback - optional callback
+     * @returns {Promise<Array<ValidationProblem>>} an empty array if everything is valid
+     */
+    static validate(schemaPath, options, callback) {
+        return KnexSchemaBuilder._with(null, schemaPath).validate(options, callback);
+    }
+
+    /**
+     * Removes the migration lock row from schema_globals
+     * @param {Object} db knex instance
+     * @param {function(error:?, removed:boolean)?} callback - optional callback
+     * @returns {Promise<boolean>} was there a lock to remove
+     */
+    static forceUnlock(db, callback) {
+        return KnexSchemaBuilder._with(db, null).forceUnlock(callback);
+    }
+
+    /**
+     * Lists the install, upgrade and downgrade steps which were run on the db, oldest first
+     * @param {Object} db knex instance
+     * @param {function(error:?, history:Array<MigrationRecord>?)?} callback - optional callback
+     * @returns {Promise<Array<MigrationRecord>>}
+     */
+    static getMigrationHistory(db, callback) {
+        return KnexSchemaBuilder._with(db, null).getMigrationHistory(callback);
+    }
+
+    /**
+     * Warns about upgrade files which were changed after they were applied
+     * @param {Object} db knex instance
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {function(error:?, mismatches:Array<ChecksumMismatch>?)?} callback - optional callback
+     * @returns {Promise<Array<ChecksumMismatch>>} an empty array if no applied file was changed
+     */
+    static verifyMigrationChecksums(db, schemaPath, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).verifyMigrationChecksums(callback);
+    }
+
+    /**
+     * Reads the structure of an existing database, and describes it in the same format as schema.json
+     * @param {Object} db knex instance
+     * @param {IntrospectOptions?} options - optional introspection options
+     * @param {function(error:?, tables:Object<string, TableDescription>?)?} callback - optional callback
+     * @returns {Promise<Object<string, TableDescription>>}
+     */
+    static introspect(db, options, callback) {
+        return KnexSchemaBuilder._with(db, null).introspect(options, callback);
+    }
+
+    /**
+     * Compares the tables declared in schema.json with the live database, and lists the differences
+     * @param {Object} db knex instance
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {function(error:?, differences:Array<SchemaDifference>?)?} callback - optional callback
+     * @returns {Promise<Array<SchemaDifference>>} an empty array if the db matches the schema
+     */
+    static diff(db, schemaPath, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).diff(callback);
+    }
+
+    /**
+     * Collects the masking rules which are declared on columns in schema.json (`"pii": "email"`), for masked backups
+     * @param {Object} db knex instance
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {function(error:?, masks:Object<string, MaskRule>?)?} callback - optional callback
+     * @returns {Promise<Object<string, MaskRule>>} rules keyed by `table.column`
+     */
+    static getMasks(db, schemaPath, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).getMasks(callback);
+    }
+
+    /**
+     * Derives the actions that reverse a list of upgrade actions
+     * @param {Object<string, TableDescription>} schema The tables described in schema.json
+     * @param {Array<Object>} actions The upgrade actions
+     * @returns {Array<Object>} The downgrade actions
+     */
+    static deriveDowngradeActions(schema, actions) {
+        return KnexSchemaBuilder.defaultInstance.deriveDowngradeActions(schema, actions);
+    }
+
+    /**
+     * Proposes the upgrade actions for going from one version of the schema tables to another
+     * @param {Object<string, TableDescription>} previousTables The tables of the previous schema.json
+     * @param {Object<string, TableDescription>} nextTables The tables of the new schema.json
+     * @returns {Array<Object>} upgrade actions
+     */
+    static generateUpgradeActions(previousTables, nextTables) {
+        return KnexSchemaBuilder.defaultInstance.generateUpgradeActions(previousTables, nextTables);
+    }
+
+    /**
+     * Generates the upgrade.####.json for changes made to schema.json, and bumps the version in version.json
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {string|Object} previousSchema Path to the previous schema.json, or its parsed content
+     * @param {GenerateUpgradeOptions?} options - optional options
+     * @param {function(error:?, upgrade:GeneratedUpgrade?)?} callback - optional callback
+     * @returns {Promise<GeneratedUpgrade>}
+     */
+    static generateUpgrade(schemaPath, previousSchema, options, callback) {
+        return KnexSchemaBuilder._with(null, schemaPath).generateUpgrade(previousSchema, options, callback);
+    }
+
+    /**
+     * Retrieves the schema version of the current db
+     * @param {Object} db knex instance
+     * @param {function(error:?, version:number|null)?} callback - optional callback
+     * @returns {Promise<number|null>}
+     */
+    static getCurrentDbVersion(db, callback) {
+        return KnexSchemaBuilder._with(db, null).getCurrentDbVersion(callback);
+    }
+
+    /**
+     * Retrieves the schema version of the current db, without creating schema_globals if it does not exist
+     * @param {Object} db knex instance
+     * @param {function(error:?, version:number|null)?} callback - optional callback
+     * @returns {Promise<number|null>}
+     */
+    static peekCurrentDbVersion(db, callback) {
+        return KnexSchemaBuilder._with(db, null).peekCurrentDbVersion(callback);
+    }
+
+    /**
+     * Sets the schema version of the current db
+     * @param {Object} db knex instance
+     * @param {number} version A version, as a whole number
+     * @param {function(error:?, version:number)?} callback - optional callback
+     * @returns {Promise<number>}
+     */
+    static setCurrentDbVersion(db, version, callback) {
+        return KnexSchemaBuilder._with(db, null).setCurrentDbVersion(version, callback);
+    }
+
+    /**
+     * Retrieves the latest schema version which is specified in version.json
+     * @param {string} schemaPath path to where the schema files reside
+     * @param {function(error:?, version:number?)?} callback - optional callback
+     * @returns {Promise<number>}
+     */
+    static getLatestDbVersion(schemaPath, callback) {
+        return KnexSchemaBuilder._with(null, schemaPath).getLatestDbVersion(callback);
+    }
+
+    /**
+     * Manually create a column in a table
+     * @param {Object} db knex instance
+     * @param {Object} table A knex table instance (inside a "table" call)
+     * @param {TableColumnDescription} columnData The column data
+     * @returns {Object} knex column
+     */
+    static createColumn(db, table, columnData) {
+        return KnexSchemaBuilder._with(db, null).createColumn(table, columnData);
+    }
+
+    /**
+     * Manually create the table from a table description object
+     * @param {Object} db knex instance
+     * @param {string} tableName The name of the table to create
+     * @param {TableDescription} tableData The table data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static createTable(db, tableName, tableData, callback) {
+        return KnexSchemaBuilder._with(db, null).createTable(tableName, tableData, callback);
+    }
+
+    /**
+     * Manually create the indexes from a table description object
+     * @param {Object} db knex instance
+     * @param {string} tableName The name of the table to create
+     * @param {TableDescription} tableData The table data
+     * @param {boolean} [ignoreExistsError=false] Ignore "exists" error for single index creation
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static createTableIndexes(db, tableName, tableData, ignoreExistsError, callback) {
+        return KnexSchemaBuilder._with(db, null).createTableIndexes(tableName, tableData, ignoreExistsError, callback);
+    }
+
+    /**
+     * Manually create an index
+     * @param {Object} db knex instance
+     * @param {string} tableName The name of the table to create
+     * @param {TableIndexDescription} indexData The index data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static createIndex(db, tableName, indexData, callback) {
+        return KnexSchemaBuilder._with(db, null).createIndex(tableName, indexData, callback);
+    }
+
+    /**
+     * Manually create the foreign keys from a table description object
+     * @param {Object} db knex instance
+     * @param {string} tableName The name of the table to create
+     * @param {TableDescription} tableData The table data
+     * @param {boolean} [ignoreExistsError=false] Ignore "exists" error for single key creation
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static createTableForeignKeys(db, tableName, tableData, ignoreExistsError, callback) {
+        return KnexSchemaBuilder._with(db, null).createTableForeignKeys(tableName, tableData, ignoreExistsError, callback);
+    }
+
+    /**
+     * Insert the seed rows of a table, as they are described in the `seed` section of schema.json
+     * @param {Object} db knex instance
+     * @param {string} schemaPath The path to where the schema files reside
+     * @param {string} tableName The name of the table (without the prefix)
+     * @param {Array<Object<string, *>>|string} rows The rows, or a path (relative to the schema folder) to a JSON/CSV file with them
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static seedTable(db, schemaPath, tableName, rows, callback) {
+        return KnexSchemaBuilder._with(db, schemaPath).seedTable(tableName, rows, callback);
+    }
+
+    /**
+     * Manually create an foreign key
+     * @param {Object} db knex instance
+     * @param {string} tableName The name of the table to create
+     * @param {TableForeignKeyDescription} foreignKey The foreign key data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static createForeign(db, tableName, foreignKey, callback) {
+        return KnexSchemaBuilder._with(db, null).createForeign(tableName, foreignKey, callback);
+    }
+
+    /**
+     * Manually add a check constraint to a table
+     * @param {Object} db knex instance
+     * @param {string} tableName The name of the table (without the prefix)
+     * @param {TableCheckDescription} check The check constraint data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static addCheck(db, tableName, check, callback) {
+        return KnexSchemaBuilder._with(db, null).addCheck(tableName, check, callback);
+    }
+
+    /**
+     * Manually drop a check constraint from a table
+     * @param {Object} db knex instance
+     * @param {string} tableName The name of the table (without the prefix)
+     * @param {string} checkName The name of the check constraint
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static dropCheck(db, tableName, checkName, callback) {
+        return KnexSchemaBuilder._with(db, null).dropCheck(tableName, checkName, callback);
+    }
+
+    /**
+     * Manually create a view from a view description object
+     * @param {Object} db knex instance
+     * @param {string} viewName The name of the view (without the prefix)
+     * @param {ViewDescription} viewData The view data
+     * @param {boolean} [replace=false] Replace the view if it exists
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static createView(db, viewName, viewData, replace, callback) {
+        return KnexSchemaBuilder._with(db, null).createView(viewName, viewData, replace, callback);
+    }
+
+    /**
+     * Manually drop a view
+     * @param {Object} db knex instance
+     * @param {string} viewName The name of the view (without the prefix)
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static dropView(db, viewName, callback) {
+        return KnexSchemaBuilder._with(db, null).dropView(viewName, callback);
+    }
+
+    /**
+     * Manually create a trigger from a trigger description object
+     * @param {Object} db knex instance
+     * @param {string} triggerName The name of the trigger (without the prefix)
+     * @param {TriggerDescription} triggerData The trigger data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static createTrigger(db, triggerName, triggerData, callback) {
+        return KnexSchemaBuilder._with(db, null).createTrigger(triggerName, triggerData, callback);
+    }
+
+    /**
+     * Manually drop a trigger
+     * @param {Object} db knex instance
+     * @param {string} triggerName The name of the trigger (without the prefix)
+     * @param {string?} tableName The table of the trigger (without the prefix), which is required on Postgres
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static dropTrigger(db, triggerName, tableName, callback) {
+        return KnexSchemaBuilder._with(db, null).dropTrigger(triggerName, tableName, callback);
+    }
+
+    /**
+     * Manually create a stored procedure or function from a routine description object
+     * @param {Object} db knex instance
+     * @param {'procedure'|'function'} type
+     * @param {string} routineName The name of the routine (without the prefix)
+     * @param {RoutineDescription} routineData The routine data
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static createRoutine(db, type, routineName, routineData, callback) {
+        return KnexSchemaBuilder._with(db, null).createRoutine(type, routineName, routineData, callback);
+    }
+
+    /**
+     * Manually drop a stored procedure or function
+     * @param {Object} db knex instance
+     * @param {'procedure'|'function'} type
+     * @param {string} routineName The name of the routine (without the prefix)
+     * @param {function(error:?)?} callback - optional callback
+     * @returns {Promise<void>}
+     */
+    static dropRoutine(db, type, routineName, callback) {
+        return KnexSchemaBuilder._with(db, null).dropRoutine(type, routineName, callback);
+    }
+
+    /**
+     * Ensures that the schema_globals exists.
+     * @param {Object} db knex instance
+     * @param {function(error:?, created:boolean)?} callback - optional callback
+     * @returns {Promise<boolean>} - was the schema_globals created just now?
+     */
+    static ensureSchemaGlobalsExist(db, callback) {
+        return KnexSchemaBuilder._with(db, null).ensureSchemaGlobalsExist(callback);
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    static get mysqlBackup() {
+        return require('./backup/mysql');
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    static get postgresBackup() {
+        return require('./backup/postgres');
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    static get sqliteBackup() {
+        return require('./backup/sqlite');
+    }
+}
+
+/**
+ * The instance behind the static methods
+ * @type {KnexSchemaBuilder}
+ */
+KnexSchemaBuilder.defaultInstance = new KnexSchemaBuilder();
+
+module.exports = KnexSchemaBuilder;
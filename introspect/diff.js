@@ -0,0 +1,476 @@
+"use strict";
+
+/**
+ * A single difference between the declared schema and the live database
+ * @typedef {{type: string, table: string, column: string?, index: string?, foreign_key: TableForeignKeyDescription?, expected: *?, actual: *?, message: string}} SchemaDifference
+ */
+
+/**
+ * Wraps a value in an array, if it is not an array already
+ * @param {*} value
+ * @returns {Array}
+ */
+const toArray = function (value) {
+    if (value == null) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Types which are created as a different type, by dialect
+ * @const
+ */
+const TYPE_ALIASES = {
+    mysql: {
+        int: 'integer', bigint: 'bigInteger', varchar: 'string', enu: 'enum', datetime: 'dateTime',
+        timestamptz: 'timestamp', jsonb: 'json', uuid: 'char',
+    },
+    postgresql: {
+        int: 'integer', bigint: 'bigInteger', varchar: 'string', tinyint: 'smallint', mediumint: 'integer',
+        enu: 'text', enum: 'text', datetime: 'timestamptz', dateTime: 'timestamptz',
+        tinytext: 'text', mediumtext: 'text', longtext: 'text',
+    },
+    sqlite3: {
+        int: 'integer', bigint: 'bigInteger', varchar: 'string', bigIncrements: 'increments',
+        smallint: 'integer', mediumint: 'integer', double: 'float', decimal: 'float',
+        enu: 'text', enum: 'text', datetime: 'dateTime', timestamp: 'dateTime', timestamptz: 'dateTime',
+        tinytext: 'text', mediumtext: 'text', longtext: 'text', jsonb: 'json', uuid: 'char',
+    },
+};
+
+/**
+ * Describes a column type as a string which is comparable between a declared column and an introspected one.
+ * This smooths out the differences between the declared types and what the db actually creates for them.
+ * @param {string} dialect The knex dialect
+ * @param {TableColumnDescription} column
+ * @returns {string}
+ */
+const normalizeColumnType = function (dialect, column) {
+    let type = column['type'] || '';
+    let unsigned = false;
+
+    if (type.startsWith('unsigned ')) {
+        unsigned = dialect === 'mysql';
+        type = type.substr(9);
+    }
+
+    if (type[0] === ':') {
+        return type.substr(1).toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    const originalType = type;
+    type = (TYPE_ALIASES[dialect] || {})[type] || type;
+
+    let params = '';
+
+    switch (type) {
+        case 'increments':
+        case 'bigIncrements':
+            unsigned = false;
+            break;
+        case 'string':
+        case 'char':
+            params = '(' + (originalType === 'uuid' ? 36 : (column['length'] || 255)) + ')';
+            break;
+        case 'tinytext':
+        case 'mediumtext':
+        case 'longtext':
+            params = '(' + type + ')';
+            type = 'text';
+            break;
+        case 'text':
+            if (dialect === 'mysql' && column['text_type'] && column['text_type'] !== 'text') {
+                params = '(' + column['text_type'] + ')';
+            }
+            break;
+        case 'float':
+        case 'double':
+        case 'decimal':
+            if (dialect === 'mysql' || (dialect === 'postgresql' && type === 'decimal')) {
+                params = '(' + (column['precision'] != null ? column['precision'] : 8) + ',' +
+                    (column['scale'] != null ? column['scale'] : 2) + ')';
+            }
+            break;
+    }
+
+    return (unsigned ? 'unsigned ' : '') + type + params;
+};
+
+/**
+ * Normalizes a default value, so a declared default and an introspected one are comparable
+ * @param {TableColumnDescription} column
+ * @returns {string|null}
+ */
+const normalizeDefault = function (column) {
+    if (column['raw_default'] !== undefined && column['raw_default'] !== null) {
+        return 'raw:' + String(column['raw_default']).toLowerCase().replace(/[()\s]/g, '');
+    }
+
+    let value = column['default'];
+    if (value === undefined || value === null)
+        return null;
+
+    if (value === true) value = 1;
+    if (value === false) value = 0;
+
+    return 'value:' + String(value);
+};
+
+/**
+ * Returns the name which knex gives to an index, when a name is not specified
+ * @param {string} tableName The full table name
+ * @param {Array<string>} columns
+ * @param {string} type index/unique/foreign
+ * @returns {string}
+ */
+const defaultIndexName = function (tableName, columns, type) {
+    return (tableName.replace(/\.|-/g, '_') + '_' + columns.join('_') + '_' + type)
+        .toLowerCase()
+        .replace(/-/g, '_')
+        .replace(/\./g, '_');
+};
+
+/**
+ * Normalizes a foreign key action, treating the db defaults as "no action"
+ * @param {string?} action
+ * @returns {string}
+ */
+const normalizeForeignAction = function (action) {
+    action = (action || 'NO ACTION').toUpperCase();
+    return action === 'RESTRICT' ? 'NO ACTION' : action;
+};
+
+/**
+ * Collects the primary key columns of a table description
+ * @param {TableDescription} table
+ * @returns {Array<string>}
+ */
+const primaryKeyColumns = function (table) {
+    const columns = toArray(table['primary_key']).slice();
+
+    for (const column of (table['columns'] || [])) {
+        if (column['primary_key'] && !columns.includes(column['name'])) {
+            columns.push(column['name']);
+        }
+    }
+
+    return columns.sort();
+};
+
+/**
+ * Collects the indexes of a table description, including column level unique constraints
+ * @param {string} fullTableName The table name including the prefix
+ * @param {TableDescription} table
+ * @returns {Array<{name: string, columns: Array<string>, unique: boolean}>}
+ */
+const declaredIndexes = function (fullTableName, table) {
+    const indexes = [];
+
+    for (const column of (table['columns'] || [])) {
+        if (column['unique']) {
+            indexes.push({
+                name: defaultIndexName(fullTableName, [column['name']], 'unique'),
+                columns: [column['name']],
+                unique: true,
+            });
+        }
+    }
+
+    for (const index of (table['indexes'] || [])) {
+        const columns = toArray(index['columns']);
+        const unique = !!index['unique'];
+        indexes.push({
+            name: index['name'] || defaultIndexName(fullTableName, columns, unique ? 'unique' : 'index'),
+            columns: columns,
+            unique: unique,
+            expression: index['expressions'] !== undefined,
+        });
+    }
+
+    return indexes;
+};
+
+/**
+ * Compares two foreign keys by their columns and target
+ * @param {TableForeignKeyDescription} a
+ * @param {TableForeignKeyDescription} b
+ * @returns {boolean}
+ */
+const isSameForeignKey = function (a, b) {
+    return toArray(a['columns']).join(',') === toArray(b['columns']).join(',') &&
+        a['foreign_table'] === b['foreign_table'] &&
+        toArray(a['foreign_columns']).join(',') === toArray(b['foreign_columns']).join(',');
+};
+
+/**
+ * Describes a foreign key for messages
+ * @param {TableForeignKeyDescription} foreignKey
+ * @returns {string}
+ */
+const describeForeignKey = function (foreignKey) {
+    return '(' + toArray(foreignKey['columns']).join(', ') + ') -> ' +
+        foreignKey['foreign_table'] + '(' + toArray(foreignKey['foreign_columns']).join(', ') + ')';
+};
+
+/**
+ * Compares the columns of a declared table with the live one
+ * @param {string} dialect
+ * @param {string} tableName
+ * @param {TableDescription} declared
+ * @param {TableDescription} live
+ * @param {Array<SchemaDifference>} differences
+ */
+const diffColumns = function (dialect, tableName, declared, live, differences) {
+    const liveColumns = live['columns'] || [];
+    const declaredColumns = (declared['columns'] || []).slice();
+
+    if (declared['timestamps']) {
+        declaredColumns.push({ name: 'created_at', type: 'dateTime' }, { name: 'updated_at', type: 'dateTime' });
+    }
+
+    const primaryKey = primaryKeyColumns(declared);
+
+    for (const column of declaredColumns) {
+        const liveColumn = liveColumns.find(c => c['name'] === column['name']);
+
+        if (!liveColumn) {
+            differences.push({
+                type: 'missing-column',
+                table: tableName,
+                column: column['name'],
+                message: 'Column `' + tableName + '`.`' + column['name'] + '` is missing',
+            });
+            continue;
+        }
+
+        const expectedType = normalizeColumnType(dialect, column);
+        const actualType = normalizeColumnType(dialect, liveColumn);
+
+        if (expectedType !== actualType) {
+            differences.push({
+                type: 'type-mismatch',
+                table: tableName,
+                column: column['name'],
+                expected: expectedType,
+                actual: actualType,
+                message: 'Column `' + tableName + '`.`' + column['name'] + '` is of type ' + actualType +
+                    ', expected ' + expectedType,
+            });
+        }
+
+        if (/^(big)?increments$/i.test(expectedType))
+            continue;
+
+        const expectedNullable = !(column['nullable'] === false || primaryKey.includes(column['name']));
+        const actualNullable = liveColumn['nullable'] !== false && !liveColumn['primary_key'];
+
+        if (expectedNullable !== actualNullable) {
+            differences.push({
+                type: 'nullable-mismatch',
+                table: tableName,
+                column: column['name'],
+                expected: expectedNullable,
+                actual: actualNullable,
+                message: 'Column `' + tableName + '`.`' + column['name'] + '` is ' +
+                    (actualNullable ? 'nullable' : 'not nullable') + ', expected ' +
+                    (expectedNullable ? 'nullable' : 'not nullable'),
+            });
+        }
+
+        const expectedDefault = normalizeDefault(column);
+        const actualDefault = normalizeDefault(liveColumn);
+
+        if (expectedDefault !== actualDefault) {
+            const expected = column['raw_default'] != null ? column['raw_default'] : column['default'];
+            const actual = liveColumn['raw_default'] != null ? liveColumn['raw_default'] : liveColumn['default'];
+
+            differences.push({
+                type: 'default-mismatch',
+                table: tableName,
+                column: column['name'],
+                expected: expected === undefined ? null : expected,
+                actual: actual === undefined ? null : actual,
+                message: 'Column `' + tableName + '`.`' + column['name'] + '` defaults to ' + JSON.stringify(actual) +
+                    ', expected ' + JSON.stringify(expected),
+            });
+        }
+    }
+
+    for (const liveColumn of liveColumns) {
+        if (!declaredColumns.some(c => c['name'] === liveColumn['name'])) {
+            differences.push({
+                type: 'extra-column',
+                table: tableName,
+                column: liveColumn['name'],
+                message: 'Column `' + tableName + '`.`' + liveColumn['name'] + '` is not in the schema',
+            });
+        }
+    }
+};
+
+/**
+ * Compares the primary key, indexes and foreign keys of a declared table with the live one
+ * @param {string} tableName
+ * @param {string} fullTableName The table name including the prefix
+ * @param {TableDescription} declared
+ * @param {TableDescription} live
+ * @param {Array<SchemaDifference>} differences
+ */
+const diffKeys = function (tableName, fullTableName, declared, live, differences) {
+    const expectedPrimaryKey = primaryKeyColumns(declared);
+    const actualPrimaryKey = primaryKeyColumns(live);
+
+    if (expectedPrimaryKey.join(',') !== actualPrimaryKey.join(',')) {
+        differences.push({
+            type: 'primary-key-mismatch',
+            table: tableName,
+            expected: expectedPrimaryKey,
+            actual: actualPrimaryKey,
+            message: 'Primary key of `' + tableName + '` is (' + actualPrimaryKey.join(', ') +
+                '), expected (' + expectedPrimaryKey.join(', ') + ')',
+        });
+    }
+
+    const expectedIndexes = declaredIndexes(fullTableName, declared);
+    const liveIndexes = (live['indexes'] || []).map(index => ({
+        name: index['name'],
+        columns: toArray(index['columns']),
+        unique: !!index['unique'],
+    }));
+
+    for (const index of expectedIndexes) {
+        const liveIndex = liveIndexes.find(i => i['name'] === index['name']);
+
+        if (!liveIndex) {
+            differences.push({
+                type: 'missing-index',
+                table: tableName,
+                index: index['name'],
+                message: 'Index `' + index['name'] + '` on `' + tableName + '` is missing',
+            });
+        } else if ((!index['expression'] && liveIndex['columns'].join(',') !== index['columns'].join(',')) ||
+            liveIndex['unique'] !== index['unique']) {
+            differences.push({
+                type: 'index-mismatch',
+                table: tableName,
+                index: index['name'],
+                expected: index,
+                actual: liveIndex,
+                message: 'Index `' + index['name'] + '` on `' + tableName + '` is ' +
+                    (liveIndex['unique'] ? 'unique ' : '') + '(' + liveIndex['columns'].join(', ') + '), expected ' +
+                    (index['unique'] ? 'unique ' : '') + '(' + index['columns'].join(', ') + ')',
+            });
+        }
+    }
+
+    const declaredForeignKeys = declared['foreign_keys'] || [];
+    const liveForeignKeys = live['foreign_keys'] || [];
+
+    for (const liveIndex of liveIndexes) {
+        if (expectedIndexes.some(i => i['name'] === liveIndex['name']))
+            continue;
+
+        // MySql creates an index for each foreign key which is not covered by another index
+        if (liveForeignKeys.some(f => f['name'] === liveIndex['name'] ||
+            toArray(f['columns']).join(',') === liveIndex['columns'].join(',')))
+            continue;
+
+        differences.push({
+            type: 'extra-index',
+            table: tableName,
+            index: liveIndex['name'],
+            message: 'Index `' + liveIndex['name'] + '` on `' + tableName + '` is not in the schema',
+        });
+    }
+
+    for (const foreignKey of declaredForeignKeys) {
+        const liveForeignKey = liveForeignKeys.find(f => isSameForeignKey(f, foreignKey));
+
+        if (!liveForeignKey) {
+            differences.push({
+                type: 'missing-foreign-key',
+                table: tableName,
+                foreign_key: foreignKey,
+                message: 'Foreign key ' + describeForeignKey(foreignKey) + ' on `' + tableName + '` is missing',
+            });
+        } else if (normalizeForeignAction(liveForeignKey['on_delete']) !== normalizeForeignAction(foreignKey['on_delete']) ||
+            normalizeForeignAction(liveForeignKey['on_update']) !== normalizeForeignAction(foreignKey['on_update'])) {
+            differences.push({
+                type: 'foreign-key-mismatch',
+                table: tableName,
+                foreign_key: foreignKey,
+                expected: {
+                    on_delete: normalizeForeignAction(foreignKey['on_delete']),
+                    on_update: normalizeForeignAction(foreignKey['on_update']),
+                },
+                actual: {
+                    on_delete: normalizeForeignAction(liveForeignKey['on_delete']),
+                    on_update: normalizeForeignAction(liveForeignKey['on_update']),
+                },
+                message: 'Foreign key ' + describeForeignKey(foreignKey) + ' on `' + tableName +
+                    '` has different ON DELETE/ON UPDATE rules',
+            });
+        }
+    }
+
+    for (const liveForeignKey of liveForeignKeys) {
+        if (!declaredForeignKeys.some(f => isSameForeignKey(f, liveForeignKey))) {
+            differences.push({
+                type: 'extra-foreign-key',
+                table: tableName,
+                foreign_key: liveForeignKey,
+                message: 'Foreign key ' + describeForeignKey(liveForeignKey) + ' on `' + tableName +
+                    '` is not in the schema',
+            });
+        }
+    }
+};
+
+/**
+ * Compares declared table descriptions (from schema.json) with introspected ones
+ * @param {string} dialect The knex dialect
+ * @param {Object<string, TableDescription>} declaredTables
+ * @param {Object<string, TableDescription>} liveTables
+ * @param {string} tablePrefix
+ * @returns {Array<SchemaDifference>}
+ */
+const diffTables = function (dialect, declaredTables, liveTables, tablePrefix) {
+    const differences = [];
+
+    for (const tableName of Object.keys(declaredTables)) {
+        const declared = declaredTables[tableName];
+        const live = liveTables[tableName];
+
+        if (!live) {
+            differences.push({
+                type: 'missing-table',
+                table: tableName,
+                message: 'Table `' + tableName + '` is missing',
+            });
+            continue;
+        }
+
+        diffColumns(dialect, tableName, declared, live, differences);
+        diffKeys(tableName, tablePrefix + tableName, declared, live, differences);
+    }
+
+    for (const tableName of Object.keys(liveTables)) {
+        if (!declaredTables[tableName]) {
+            differences.push({
+                type: 'extra-table',
+                table: tableName,
+                message: 'Table `' + tableName + '` is not in the schema',
+            });
+        }
+    }
+
+    return differences;
+};
+
+module.exports = {
+    diffTables: diffTables,
+    normalizeColumnType: normalizeColumnType,
+    declaredIndexes: declaredIndexes,
+    defaultIndexName: defaultIndexName,
+    isSameForeignKey: isSameForeignKey,
+    toArray: toArray,
+};
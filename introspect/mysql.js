@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * Parses the values out of a MySql `enum('a','b')` column type
+ * @param {string} columnType
+ * @returns {string[]}
+ */
+const parseEnumValues = function (columnType) {
+    const values = [];
+    const regex = /'((?:[^']|'')*)'/g;
+    let match;
+
+    while ((match = regex.exec(columnType)) !== null) {
+        values.push(match[1].replace(/''/g, '\''));
+    }
+
+    return values;
+};
+
+/**
+ * Translates a MySql column default into the `default`/`raw_default` of a column description
+ * @param {Object} column The column description to update
+ * @param {Object} row The INFORMATION_SCHEMA.COLUMNS row
+ */
+const applyDefault = function (column, row) {
+    let value = row['COLUMN_DEFAULT'];
+
+    // MariaDB reports a missing default as the string 'NULL'
+    if (value == null || value === 'NULL')
+        return;
+
+    if (/^'((?:[^']|'')*)'$/.test(value)) {
+        column['default'] = value.slice(1, -1).replace(/''/g, '\'');
+        return;
+    }
+
+    if (/DEFAULT_GENERATED/i.test(row['EXTRA'] || '') || /^(current_timestamp|now|uuid)\b/i.test(value)) {
+        column['raw_default'] = value;
+        return;
+    }
+
+    if (column['type'] === 'boolean') {
+        column['default'] = value === '1';
+    } else if (/^(unsigned )?(tinyint|smallint|mediumint|integer|bigInteger|float|double|decimal)$/.test(column['type']) &&
+        /^-?\d+(\.\d+)?$/.test(value)) {
+        column['default'] = Number(value);
+    } else {
+        column['default'] = value;
+    }
+};
+
+/**
+ * Translates a MySql column into a column description
+ * @param {Object} row The INFORMATION_SCHEMA.COLUMNS row
+ * @param {string|null} tableCollation
+ * @returns {TableColumnDescription}
+ */
+const describeColumn = function (row, tableCollation) {
+    const dataType = row['DATA_TYPE'].toLowerCase();
+    const columnType = row['COLUMN_TYPE'].toLowerCase();
+    const unsigned = /\bunsigned\b/.test(columnType);
+    const autoIncrement = /\bauto_increment\b/i.test(row['EXTRA'] || '');
+
+    const column = { name: row['COLUMN_NAME'] };
+
+    if (autoIncrement && (dataType === 'int' || dataType === 'bigint')) {
+        column['type'] = dataType === 'bigint' ? 'bigIncrements' : 'increments';
+        column['primary_key'] = true;
+        return column;
+    }
+
+    let type;
+
+    switch (dataType) {
+        case 'tinyint':
+            type = columnType.startsWith('tinyint(1)') ? 'boolean' : 'tinyint';
+            break;
+        case 'smallint':
+        case 'mediumint':
+            type = dataType;
+            break;
+        case 'int':
+            type = 'integer';
+            break;
+        case 'bigint':
+            type = 'bigInteger';
+            break;
+        case 'varchar':
+            type = 'string';
+            column['length'] = row['CHARACTER_MAXIMUM_LENGTH'];
+            break;
+        case 'char':
+            type = 'char';
+            column['length'] = row['CHARACTER_MAXIMUM_LENGTH'];
+            break;
+        case 'text':
+            type = 'text';
+            break;
+        case 'tinytext':
+        case 'mediumtext':
+        case 'longtext':
+            type = 'text';
+            column['text_type'] = dataType;
+            break;
+        case 'float':
+        case 'double':
+        case 'decimal':
+            type = dataType;
+            if (/\(\d+,\d+\)/.test(columnType)) {
+                column['precision'] = row['NUMERIC_PRECISION'];
+                column['scale'] = row['NUMERIC_SCALE'];
+            }
+            break;
+        case 'date':
+        case 'time':
+        case 'timestamp':
+            type = dataType;
+            break;
+        case 'datetime':
+            type = 'dateTime';
+            break;
+        case 'blob':
+            type = 'binary';
+            break;
+        case 'enum':
+            type = 'enum';
+            column['enum_values'] = parseEnumValues(row['COLUMN_TYPE']);
+            break;
+        case 'json':
+            type = 'json';
+            break;
+        default:
+            type = ':' + row['COLUMN_TYPE'].replace(/\s+unsigned\b/i, '');
+            break;
+    }
+
+    column['type'] = (unsigned && type[0] !== ':' ? 'unsigned ' : '') + type;
+
+    if (row['IS_NULLABLE'] === 'NO') {
+        column['nullable'] = false;
+    }
+
+    applyDefault(column, row);
+
+    if (row['COLLATION_NAME'] && row['COLLATION_NAME'] !== tableCollation) {
+        column['collate'] = row['COLLATION_NAME'];
+    }
+
+    return column;
+};
+
+class MysqlIntrospector {
+
+    /**
+     * Describes all of the tables in the current database
+     * @param {knex} knex
+     * @returns {Promise<Object<string, TableDescription>>}
+     */
+    static async getTableDescriptions(knex) {
+        const tables = {};
+
+        // noinspection JSUnresolvedFunction
+        let tableRows = await knex.select('TABLE_NAME', 'ENGINE', 'TABLE_COLLATION')
+            .from('INFORMATION_SCHEMA.TABLES')
+            .where('TABLE_SCHEMA', knex.raw('DATABASE()'))
+            .andWhere('TABLE_TYPE', 'BASE TABLE')
+            .orderBy('TABLE_NAME', 'asc');
+
+        const collations = {};
+
+        for (const row of tableRows) {
+            const table = { columns: [] };
+
+            if (row['ENGINE']) {
+                table['engine'] = row['ENGINE'];
+            }
+
+            if (row['TABLE_COLLATION']) {
+                table['charset'] = row['TABLE_COLLATION'].split('_')[0];
+                table['collate'] = row['TABLE_COLLATION'];
+            }
+
+            tables[row['TABLE_NAME']] = table;
+            collations[row['TABLE_NAME']] = row['TABLE_COLLATION'] || null;
+        }
+
+        // noinspection JSUnresolvedFunction
+        let columnRows = await knex.select(
+            'TABLE_NAME', 'COLUMN_NAME', 'DATA_TYPE', 'COLUMN_TYPE', 'IS_NULLABLE', 'COLUMN_DEFAULT',
+            'CHARACTER_MAXIMUM_LENGTH', 'NUMERIC_PRECISION', 'NUMERIC_SCALE', 'COLLATION_NAME', 'EXTRA', 'COLUMN_KEY')
+            .from('INFORMATION_SCHEMA.COLUMNS')
+            .where('TABLE_SCHEMA', knex.raw('DATABASE()'))
+            .orderBy(['TABLE_NAME', 'ORDINAL_POSITION']);
+
+        for (const row of columnRows) {
+            const table = tables[row['TABLE_NAME']];
+            if (!table) continue; // A view
+
+            table['columns'].push(describeColumn(row, collations[row['TABLE_NAME']]));
+        }
+
+        // noinspection JSUnresolvedFunction
+        let indexRows = await knex.select('TABLE_NAME', 'INDEX_NAME', 'NON_UNIQUE', 'COLUMN_NAME')
+            .from('INFORMATION_SCHEMA.STATISTICS')
+            .where('TABLE_SCHEMA', knex.raw('DATABASE()'))
+            .orderBy(['TABLE_NAME', 'INDEX_NAME', 'SEQ_IN_INDEX']);
+
+        for (const row of indexRows) {
+            const table = tables[row['TABLE_NAME']];
+            if (!table) continue;
+
+            if (row['INDEX_NAME'] === 'PRIMARY') {
+                const column = table['columns'].find(c => c['name'] === row['COLUMN_NAME']);
+                if (column && column['primary_key']) continue; // Auto increment
+
+                table['primary_key'] = table['primary_key'] || [];
+                table['primary_key'].push(row['COLUMN_NAME']);
+                continue;
+            }
+
+            table['indexes'] = table['indexes'] || [];
+
+            let index = table['indexes'].find(i => i['name'] === row['INDEX_NAME']);
+            if (!index) {
+                index = { name: row['INDEX_NAME'], columns: [] };
+                if (Number(row['NON_UNIQUE']) === 0) {
+                    index['unique'] = true;
+                }
+                table['indexes'].push(index);
+            }
+
+            index['columns'].push(row['COLUMN_NAME']);
+        }
+
+        // noinspection JSUnresolvedFunction
+        let foreignRows = await knex.select(
+            'k.TABLE_NAME', 'k.CONSTRAINT_NAME', 'k.COLUMN_NAME',
+            'k.REFERENCED_TABLE_NAME', 'k.REFERENCED_COLUMN_NAME',
+            'r.UPDATE_RULE', 'r.DELETE_RULE')
+            .from('INFORMATION_SCHEMA.KEY_COLUMN_USAGE AS k')
+            .innerJoin('INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS AS r', function () {
+                this.on('r.CONSTRAINT_SCHEMA', '=', 'k.CONSTRAINT_SCHEMA')
+                    .andOn('r.CONSTRAINT_NAME', '=', 'k.CONSTRAINT_NAME');
+            })
+            .where('k.TABLE_SCHEMA', knex.raw('DATABASE()'))
+            .orderBy(['k.TABLE_NAME', 'k.CONSTRAINT_NAME', 'k.ORDINAL_POSITION']);
+
+        for (const row of foreignRows) {
+            const table = tables[row['TABLE_NAME']];
+            if (!table) continue;
+
+            table['foreign_keys'] = table['foreign_keys'] || [];
+
+            let foreignKey = table['foreign_keys'].find(f => f['name'] === row['CONSTRAINT_NAME']);
+            if (!foreignKey) {
+                foreignKey = {
+                    name: row['CONSTRAINT_NAME'],
+                    columns: [],
+                    foreign_table: row['REFERENCED_TABLE_NAME'],
+                    foreign_columns: [],
+                    on_delete: row['DELETE_RULE'],
+                    on_update: row['UPDATE_RULE'],
+                };
+                table['foreign_keys'].push(foreignKey);
+            }
+
+            foreignKey['columns'].push(row['COLUMN_NAME']);
+            foreignKey['foreign_columns'].push(row['REFERENCED_COLUMN_NAME']);
+        }
+
+        return tables;
+    }
+}
+
+module.exports = MysqlIntrospector;
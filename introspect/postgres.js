@@ -0,0 +1,265 @@
+"use strict";
+
+/**
+ * Postgres foreign key action codes, as stored in pg_constraint
+ * @const
+ */
+const FOREIGN_ACTIONS = {
+    a: 'NO ACTION',
+    r: 'RESTRICT',
+    c: 'CASCADE',
+    n: 'SET NULL',
+    d: 'SET DEFAULT',
+};
+
+/**
+ * Translates a Postgres column default into the `default`/`raw_default` of a column description
+ * @param {Object} column The column description to update
+ * @param {string|null} value The default expression
+ */
+const applyDefault = function (column, value) {
+    if (value == null || /^NULL(::.+)?$/i.test(value))
+        return;
+
+    let match = value.match(/^'((?:[^']|'')*)'(::[\w\s."]+(\[])?)?$/);
+    if (match) {
+        value = match[1].replace(/''/g, '\'');
+
+        if (/^(integer|bigInteger|smallint|float|double|decimal)$/.test(column['type']) && /^-?\d+(\.\d+)?$/.test(value)) {
+            column['default'] = Number(value);
+        } else {
+            column['default'] = value;
+        }
+        return;
+    }
+
+    if (/^\(?-?\d+(\.\d+)?\)?(::[\w\s]+)?$/.test(value)) {
+        column['default'] = Number(value.replace(/[()]|::.*$/g, ''));
+        return;
+    }
+
+    if (value === 'true' || value === 'false') {
+        column['default'] = value === 'true';
+        return;
+    }
+
+    column['raw_default'] = value;
+};
+
+/**
+ * Translates a Postgres column into a column description
+ * @param {Object} row The column row
+ * @returns {TableColumnDescription}
+ */
+const describeColumn = function (row) {
+    const columnType = row['column_type'];
+    const column = { name: row['column_name'] };
+
+    const isSerial = /^nextval\(/i.test(row['column_default'] || '');
+
+    if (isSerial && (columnType === 'integer' || columnType === 'bigint')) {
+        column['type'] = columnType === 'bigint' ? 'bigIncrements' : 'increments';
+        column['primary_key'] = true;
+        return column;
+    }
+
+    let match;
+    let type;
+
+    if ((match = columnType.match(/^character varying(?:\((\d+)\))?$/))) {
+        type = 'string';
+        if (match[1]) {
+            column['length'] = Number(match[1]);
+        }
+    } else if ((match = columnType.match(/^character\((\d+)\)$/))) {
+        type = 'char';
+        column['length'] = Number(match[1]);
+    } else if ((match = columnType.match(/^numeric(?:\((\d+),(\d+)\))?$/))) {
+        type = 'decimal';
+        if (match[1]) {
+            column['precision'] = Number(match[1]);
+            column['scale'] = Number(match[2]);
+        }
+    } else {
+        switch (columnType) {
+            case 'integer':
+                type = 'integer';
+                break;
+            case 'bigint':
+                type = 'bigInteger';
+                break;
+            case 'smallint':
+                type = 'smallint';
+                break;
+            case 'text':
+                type = 'text';
+                break;
+            case 'boolean':
+                type = 'boolean';
+                break;
+            case 'real':
+                type = 'float';
+                break;
+            case 'double precision':
+                type = 'double';
+                break;
+            case 'date':
+                type = 'date';
+                break;
+            case 'time without time zone':
+                type = 'time';
+                break;
+            case 'timestamp without time zone':
+                type = 'timestamp';
+                break;
+            case 'timestamp with time zone':
+                type = 'timestamptz';
+                break;
+            case 'bytea':
+                type = 'binary';
+                break;
+            case 'json':
+            case 'jsonb':
+            case 'uuid':
+                type = columnType;
+                break;
+            default:
+                type = ':' + columnType;
+                break;
+        }
+    }
+
+    column['type'] = type;
+
+    if (row['not_null']) {
+        column['nullable'] = false;
+    }
+
+    applyDefault(column, row['column_default']);
+
+    if (row['collation_name']) {
+        column['collate'] = row['collation_name'];
+    }
+
+    return column;
+};
+
+class PostgresIntrospector {
+
+    /**
+     * Describes all of the tables in the current schema
+     * @param {knex} knex
+     * @returns {Promise<Object<string, TableDescription>>}
+     */
+    static async getTableDescriptions(knex) {
+        const tables = {};
+
+        let columnRows = (await knex.raw(`
+            SELECT c.relname AS table_name,
+                   a.attname AS column_name,
+                   format_type(a.atttypid, a.atttypmod) AS column_type,
+                   a.attnotnull AS not_null,
+                   pg_get_expr(d.adbin, d.adrelid) AS column_default,
+                   coll.collname AS collation_name
+            FROM pg_catalog.pg_class c
+            INNER JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+            INNER JOIN pg_catalog.pg_attribute a ON a.attrelid = c.oid
+            INNER JOIN pg_catalog.pg_type t ON t.oid = a.atttypid
+            LEFT JOIN pg_catalog.pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+            LEFT JOIN pg_catalog.pg_collation coll ON coll.oid = a.attcollation AND a.attcollation <> t.typcollation
+            WHERE n.nspname = current_schema() AND c.relkind = 'r' AND a.attnum > 0 AND NOT a.attisdropped
+            ORDER BY c.relname, a.attnum`)).rows;
+
+        for (const row of columnRows) {
+            const table = tables[row['table_name']] = tables[row['table_name']] || { columns: [] };
+            table['columns'].push(describeColumn(row));
+        }
+
+        let indexRows = (await knex.raw(`
+            SELECT t.relname AS table_name,
+                   i.relname AS index_name,
+                   ix.indisunique AS is_unique,
+                   ix.indisprimary AS is_primary,
+                   a.attname AS column_name
+            FROM pg_catalog.pg_index ix
+            INNER JOIN pg_catalog.pg_class t ON t.oid = ix.indrelid
+            INNER JOIN pg_catalog.pg_class i ON i.oid = ix.indexrelid
+            INNER JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace
+            CROSS JOIN LATERAL unnest(ix.indkey) WITH ORDINALITY AS k(attnum, ord)
+            INNER JOIN pg_catalog.pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+            WHERE n.nspname = current_schema() AND t.relkind = 'r'
+            ORDER BY t.relname, i.relname, k.ord`)).rows;
+
+        for (const row of indexRows) {
+            const table = tables[row['table_name']];
+            if (!table) continue;
+
+            if (row['is_primary']) {
+                const column = table['columns'].find(c => c['name'] === row['column_name']);
+                if (column && column['primary_key']) continue; // Serial
+
+                table['primary_key'] = table['primary_key'] || [];
+                table['primary_key'].push(row['column_name']);
+                continue;
+            }
+
+            table['indexes'] = table['indexes'] || [];
+
+            let index = table['indexes'].find(i => i['name'] === row['index_name']);
+            if (!index) {
+                index = { name: row['index_name'], columns: [] };
+                if (row['is_unique']) {
+                    index['unique'] = true;
+                }
+                table['indexes'].push(index);
+            }
+
+            index['columns'].push(row['column_name']);
+        }
+
+        let foreignRows = (await knex.raw(`
+            SELECT t.relname AS table_name,
+                   con.conname AS constraint_name,
+                   a.attname AS column_name,
+                   ft.relname AS foreign_table,
+                   fa.attname AS foreign_column,
+                   con.confupdtype AS update_type,
+                   con.confdeltype AS delete_type
+            FROM pg_catalog.pg_constraint con
+            INNER JOIN pg_catalog.pg_class t ON t.oid = con.conrelid
+            INNER JOIN pg_catalog.pg_class ft ON ft.oid = con.confrelid
+            INNER JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace
+            CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, fattnum, ord)
+            INNER JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+            INNER JOIN pg_catalog.pg_attribute fa ON fa.attrelid = con.confrelid AND fa.attnum = k.fattnum
+            WHERE n.nspname = current_schema() AND con.contype = 'f'
+            ORDER BY t.relname, con.conname, k.ord`)).rows;
+
+        for (const row of foreignRows) {
+            const table = tables[row['table_name']];
+            if (!table) continue;
+
+            table['foreign_keys'] = table['foreign_keys'] || [];
+
+            let foreignKey = table['foreign_keys'].find(f => f['name'] === row['constraint_name']);
+            if (!foreignKey) {
+                foreignKey = {
+                    name: row['constraint_name'],
+                    columns: [],
+                    foreign_table: row['foreign_table'],
+                    foreign_columns: [],
+                    on_delete: FOREIGN_ACTIONS[row['delete_type']],
+                    on_update: FOREIGN_ACTIONS[row['update_type']],
+                };
+                table['foreign_keys'].push(foreignKey);
+            }
+
+            foreignKey['columns'].push(row['column_name']);
+            foreignKey['foreign_columns'].push(row['foreign_column']);
+        }
+
+        return tables;
+    }
+}
+
+module.exports = PostgresIntrospector;
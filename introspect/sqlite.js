@@ -0,0 +1,202 @@
+"use strict";
+
+/**
+ * Wraps an identifier for Sqlite
+ * @param {string} name
+ * @returns {string}
+ */
+const wrapObjectName = function (name) {
+    return '`' + name.replace(/`/g, '``') + '`';
+};
+
+/**
+ * Translates a Sqlite column default into the `default`/`raw_default` of a column description
+ * @param {Object} column The column description to update
+ * @param {string|null} value The default expression
+ */
+const applyDefault = function (column, value) {
+    if (value == null || /^NULL$/i.test(value))
+        return;
+
+    let match = value.match(/^'((?:[^']|'')*)'$/);
+    if (match) {
+        value = match[1].replace(/''/g, '\'');
+
+        if (column['type'] === 'boolean' && (value === '0' || value === '1')) {
+            column['default'] = value === '1';
+        } else {
+            column['default'] = value;
+        }
+        return;
+    }
+
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        column['default'] = column['type'] === 'boolean' ? value !== '0' : Number(value);
+        return;
+    }
+
+    column['raw_default'] = value;
+};
+
+/**
+ * Translates a Sqlite column into a column description
+ * @param {Object} row The `PRAGMA table_info` row
+ * @param {boolean} autoIncrement Is this the AUTOINCREMENT column of the table
+ * @returns {TableColumnDescription}
+ */
+const describeColumn = function (row, autoIncrement) {
+    const columnType = (row['type'] || '').toLowerCase();
+    const column = { name: row['name'] };
+
+    if (autoIncrement) {
+        column['type'] = 'increments';
+        column['primary_key'] = true;
+        return column;
+    }
+
+    let match;
+    let type;
+
+    if ((match = columnType.match(/^varchar\((\d+)\)$/))) {
+        type = 'string';
+        column['length'] = Number(match[1]);
+    } else if ((match = columnType.match(/^char\((\d+)\)$/))) {
+        type = 'char';
+        column['length'] = Number(match[1]);
+    } else if ((match = columnType.match(/^(float|double|decimal)(?:\((\d+),\s*(\d+)\))?$/))) {
+        type = match[1];
+        if (match[2]) {
+            column['precision'] = Number(match[2]);
+            column['scale'] = Number(match[3]);
+        }
+    } else {
+        switch (columnType) {
+            case 'integer':
+            case 'tinyint':
+            case 'boolean':
+            case 'text':
+            case 'date':
+            case 'time':
+            case 'json':
+            case 'uuid':
+                type = columnType;
+                break;
+            case 'bigint':
+                type = 'bigInteger';
+                break;
+            case 'datetime':
+                type = 'dateTime';
+                break;
+            case 'blob':
+                type = 'binary';
+                break;
+            default:
+                type = ':' + row['type'];
+                break;
+        }
+    }
+
+    column['type'] = type;
+
+    if (row['notnull']) {
+        column['nullable'] = false;
+    }
+
+    applyDefault(column, row['dflt_value']);
+
+    return column;
+};
+
+class SqliteIntrospector {
+
+    /**
+     * Describes all of the tables in the current database
+     * @param {knex} knex
+     * @returns {Promise<Object<string, TableDescription>>}
+     */
+    static async getTableDescriptions(knex) {
+        const tables = {};
+
+        // noinspection JSUnresolvedFunction
+        let tableRows = await knex.select('name', 'sql')
+            .from('sqlite_master')
+            .where('type', 'table')
+            .andWhere('name', 'not like', 'sqlite_%')
+            .orderBy('name', 'asc');
+
+        for (const tableRow of tableRows) {
+            const tableName = tableRow['name'];
+            const table = { columns: [] };
+
+            const hasAutoIncrement = /\bautoincrement\b/i.test(tableRow['sql'] || '');
+
+            let columnRows = await knex.raw('PRAGMA table_info(' + wrapObjectName(tableName) + ')');
+            const primaryKey = columnRows
+                .filter(row => row['pk'] > 0)
+                .sort((a, b) => a['pk'] - b['pk'])
+                .map(row => row['name']);
+
+            for (const row of columnRows) {
+                const autoIncrement = hasAutoIncrement && primaryKey.length === 1 && row['pk'] > 0 &&
+                    /^integer$/i.test(row['type']);
+                table['columns'].push(describeColumn(row, autoIncrement));
+            }
+
+            if (primaryKey.length && !table['columns'].some(c => c['primary_key'])) {
+                table['primary_key'] = primaryKey;
+            }
+
+            let indexRows = await knex.raw('PRAGMA index_list(' + wrapObjectName(tableName) + ')');
+
+            for (const indexRow of indexRows) {
+                if (indexRow['origin'] === 'pk') continue;
+
+                let indexColumns = await knex.raw('PRAGMA index_info(' + wrapObjectName(indexRow['name']) + ')');
+
+                const index = {
+                    name: indexRow['name'],
+                    columns: indexColumns
+                        .sort((a, b) => a['seqno'] - b['seqno'])
+                        .map(row => row['name']),
+                };
+
+                if (indexRow['unique']) {
+                    index['unique'] = true;
+                }
+
+                table['indexes'] = table['indexes'] || [];
+                table['indexes'].push(index);
+            }
+
+            let foreignRows = await knex.raw('PRAGMA foreign_key_list(' + wrapObjectName(tableName) + ')');
+
+            for (const row of foreignRows.sort((a, b) => a['id'] - b['id'] || a['seq'] - b['seq'])) {
+                table['foreign_keys'] = table['foreign_keys'] || [];
+
+                let foreignKey = table['foreign_keys'][row['id']];
+                if (!foreignKey) {
+                    foreignKey = table['foreign_keys'][row['id']] = {
+                        columns: [],
+                        foreign_table: row['table'],
+                        foreign_columns: [],
+                        on_delete: row['on_delete'],
+                        on_update: row['on_update'],
+                    };
+                }
+
+                foreignKey['columns'].push(row['from']);
+                foreignKey['foreign_columns'].push(row['to']);
+            }
+
+            if (table['foreign_keys']) {
+                table['foreign_keys'] = table['foreign_keys'].filter(Boolean);
+            }
+
+            tables[tableName] = table;
+        }
+
+        return tables;
+    }
+}
+
+module.exports = SqliteIntrospector;
@@ -0,0 +1,257 @@
+"use strict";
+
+/**
+ * A query which may differ between dialects.
+ * Either a query (or a list of lines which are joined into a query) for all dialects,
+ *   or an object with a query per dialect (i.e. `mysql`, `postgresql`, `sqlite3`, `mssql`), and optionally a `default` one.
+ * @typedef {string|Array<string>|Object<string, string|Array<string>>} DialectQuery
+ */
+
+/**
+ * @typedef {{query: DialectQuery, depends_on: string|Array<string>?}} ViewDescription
+ */
+
+/**
+ * `body` is everything that comes after `FOR EACH ROW` on the dialect
+ *   (i.e. `BEGIN ... END` on MySql and Sqlite, or `EXECUTE FUNCTION ...()` on Postgres)
+ * @typedef {{table: string, timing: string, event: string, body: DialectQuery}} TriggerDescription
+ */
+
+/**
+ * `definition` is everything that comes after the name of the routine on the dialect
+ *   (i.e. `(IN user_id INT) BEGIN ... END` on MySql, or `(user_id int) RETURNS int LANGUAGE sql AS $$ ... $$` on Postgres)
+ * @typedef {{definition: DialectQuery}} RoutineDescription
+ */
+
+/**
+ * Picks the query for a dialect, and replaces the `{table_prefix}` placeholder in it
+ * @param {DialectQuery} query
+ * @param {string} dialect
+ * @param {string} tablePrefix
+ * @returns {string|null} null if there's no query for this dialect
+ */
+const getDialectQuery = function (query, dialect, tablePrefix) {
+    if (query && typeof query === 'object' && !Array.isArray(query)) {
+        query = query[dialect] !== undefined ? query[dialect] : query['default'];
+    }
+
+    if (Array.isArray(query)) {
+        query = query.join('\n');
+    }
+
+    if (typeof query !== 'string' || !query)
+        return null;
+
+    return query.replace(/{table_prefix}/g, tablePrefix);
+};
+
+/**
+ * Quotes an identifier for the dialect of the db
+ * @param {Object} db knex instance
+ * @param {string} name
+ * @returns {string}
+ */
+const quoteIdentifier = function (db, name) {
+    return db.raw('??', [name]).toQuery();
+};
+
+/**
+ * Quotes a name, qualified with the db schema if there is one
+ * @param {Object} db knex instance
+ * @param {string?} dbSchema
+ * @param {string} name
+ * @returns {string}
+ */
+const quoteQualified = function (db, dbSchema, name) {
+    return quoteIdentifier(db, dbSchema ? dbSchema + '.' + name : name);
+};
+
+/**
+ * Lists the views which a view depends on: the ones in its `depends_on`,
+ *   and the ones which its queries refer to as `{table_prefix}<VIEW_NAME>`
+ * @param {string} viewName
+ * @param {Object<string, ViewDescription>} views
+ * @returns {Array<string>}
+ */
+const getViewDependencies = function (viewName, views) {
+    const view = views[viewName];
+    const dependencies = new Set([].concat(view['depends_on'] || []));
+
+    let queries = view['query'];
+    if (queries && typeof queries === 'object' && !Array.isArray(queries)) {
+        queries = Object.keys(queries).map(key => queries[key]);
+    } else {
+        queries = [queries];
+    }
+
+    const text = queries.map(query => Array.isArray(query) ? query.join('\n') : String(query)).join('\n');
+
+    for (const otherName of Object.keys(views)) {
+        if (otherName !== viewName &&
+            new RegExp('\\{table_prefix\\}' + otherName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(?![\\w$])').test(text)) {
+            dependencies.add(otherName);
+        }
+    }
+
+    return Array.from(dependencies).filter(name => views[name] !== undefined);
+};
+
+/**
+ * Orders the views so that each view comes after the views it depends on
+ * @param {Object<string, ViewDescription>} views
+ * @returns {Array<string>} The view names
+ * @throws {string} 'circular-view-dependency'
+ */
+const sortViews = function (views) {
+    const sorted = [];
+    const state = {};
+
+    const visit = viewName => {
+        if (state[viewName] === 'done')
+            return;
+
+        if (state[viewName] === 'visiting')
+            throw 'circular-view-dependency';
+
+        state[viewName] = 'visiting';
+
+        for (const dependency of getViewDependencies(viewName, views)) {
+            visit(dependency);
+        }
+
+        state[viewName] = 'done';
+        sorted.push(viewName);
+    };
+
+    for (const viewName of Object.keys(views)) {
+        visit(viewName);
+    }
+
+    return sorted;
+};
+
+/**
+ * Builds the statements that create a view
+ * @param {Object} db knex instance
+ * @param {string} tablePrefix
+ * @param {string} viewName The name of the view (without the prefix)
+ * @param {ViewDescription} view
+ * @param {boolean} replace Replace the view if it exists
+ * @param {string?} [dbSchema] The db schema of the view
+ * @returns {Array<string>|null} null if the view has no query for the dialect
+ */
+const createViewStatements = function (db, tablePrefix, viewName, view, replace, dbSchema) {
+    const dialect = db.client.dialect;
+    const query = getDialectQuery(view['query'], dialect, tablePrefix);
+
+    if (query === null)
+        return null;
+
+    const name = quoteQualified(db, dbSchema, tablePrefix + viewName);
+
+    if (replace && (dialect === 'mysql' || dialect === 'postgresql'))
+        return ['CREATE OR REPLACE VIEW ' + name + ' AS ' + query];
+
+    const statements = replace ? [dropViewStatement(db, tablePrefix, viewName, dbSchema)] : [];
+    statements.push('CREATE VIEW ' + name + ' AS ' + query);
+    return statements;
+};
+
+/**
+ * Builds the statement that drops a view
+ * @param {Object} db knex instance
+ * @param {string} tablePrefix
+ * @param {string} viewName The name of the view (without the prefix)
+ * @param {string?} [dbSchema] The db schema of the view
+ * @returns {string}
+ */
+const dropViewStatement = function (db, tablePrefix, viewName, dbSchema) {
+    return 'DROP VIEW IF EXISTS ' + quoteQualified(db, dbSchema, tablePrefix + viewName);
+};
+
+/**
+ * Builds the statement that creates a trigger
+ * @param {Object} db knex instance
+ * @param {string} tablePrefix
+ * @param {string} triggerName The name of the trigger (without the prefix)
+ * @param {TriggerDescription} trigger
+ * @param {string?} [dbSchema] The db schema of the trigger's table
+ * @returns {string|null} null if the trigger has no body for the dialect
+ */
+const createTriggerStatement = function (db, tablePrefix, triggerName, trigger, dbSchema) {
+    const dialect = db.client.dialect;
+    const body = getDialectQuery(trigger['body'], dialect, tablePrefix);
+
+    if (body === null)
+        return null;
+
+    // A trigger always lives in the schema of its table: Postgres does not qualify its name, and Sqlite does not qualify the table
+    return 'CREATE TRIGGER ' + quoteQualified(db, dialect === 'postgresql' ? null : dbSchema, tablePrefix + triggerName) +
+        ' ' + trigger['timing'].toUpperCase() + ' ' + trigger['event'].toUpperCase() +
+        ' ON ' + quoteQualified(db, dialect === 'sqlite3' ? null : dbSchema, tablePrefix + trigger['table']) +
+        ' FOR EACH ROW ' + body;
+};
+
+/**
+ * Builds the statement that drops a trigger
+ * @param {Object} db knex instance
+ * @param {string} tablePrefix
+ * @param {string} triggerName The name of the trigger (without the prefix)
+ * @param {string?} tableName The table of the trigger (without the prefix), which is required on Postgres
+ * @param {string?} [dbSchema] The db schema of the trigger's table
+ * @returns {string}
+ */
+const dropTriggerStatement = function (db, tablePrefix, triggerName, tableName, dbSchema) {
+    const isPostgres = db.client.dialect === 'postgresql';
+    let sql = 'DROP TRIGGER IF EXISTS ' + quoteQualified(db, isPostgres ? null : dbSchema, tablePrefix + triggerName);
+
+    if (isPostgres) {
+        sql += ' ON ' + quoteQualified(db, dbSchema, tablePrefix + tableName);
+    }
+
+    return sql;
+};
+
+/**
+ * Builds the statement that creates a stored procedure or function
+ * @param {Object} db knex instance
+ * @param {string} tablePrefix
+ * @param {'procedure'|'function'} type
+ * @param {string} routineName The name of the routine (without the prefix)
+ * @param {RoutineDescription} routine
+ * @param {string?} [dbSchema] The db schema of the routine
+ * @returns {string|null} null if the routine has no definition for the dialect
+ */
+const createRoutineStatement = function (db, tablePrefix, type, routineName, routine, dbSchema) {
+    const definition = getDialectQuery(routine['definition'], db.client.dialect, tablePrefix);
+
+    if (definition === null)
+        return null;
+
+    return 'CREATE ' + type.toUpperCase() + ' ' + quoteQualified(db, dbSchema, tablePrefix + routineName) + ' ' + definition;
+};
+
+/**
+ * Builds the statement that drops a stored procedure or function
+ * @param {Object} db knex instance
+ * @param {string} tablePrefix
+ * @param {'procedure'|'function'} type
+ * @param {string} routineName The name of the routine (without the prefix)
+ * @param {string?} [dbSchema] The db schema of the routine
+ * @returns {string}
+ */
+const dropRoutineStatement = function (db, tablePrefix, type, routineName, dbSchema) {
+    return 'DROP ' + type.toUpperCase() + ' IF EXISTS ' + quoteQualified(db, dbSchema, tablePrefix + routineName);
+};
+
+module.exports = {
+    getDialectQuery: getDialectQuery,
+    getViewDependencies: getViewDependencies,
+    sortViews: sortViews,
+    createViewStatements: createViewStatements,
+    dropViewStatement: dropViewStatement,
+    createTriggerStatement: createTriggerStatement,
+    dropTriggerStatement: dropTriggerStatement,
+    createRoutineStatement: createRoutineStatement,
+    dropRoutineStatement: dropRoutineStatement,
+};
@@ -0,0 +1,222 @@
+"use strict";
+
+const Path = require('path');
+const Fs = require('fs');
+const promisify = require('util').promisify;
+const stripJsonComments = require('strip-json-comments');
+
+/**
+ * The maximum number of bindings in a single insert statement.
+ * Sqlite is limited to 999 by default, so rows are inserted in chunks that stay below it.
+ * @const
+ */
+const MAX_INSERT_BINDINGS = 500;
+
+/**
+ * Rows of a table, given inline or as a path (relative to the schema folder) to a JSON or a CSV file
+ * @typedef {Array<Object<string, *>>|string} RowsSource
+ */
+
+/**
+ * Parses CSV content, where the first line holds the column names.
+ * Fields may be quoted with `"` (and a `""` inside them is a literal quote).
+ * An empty unquoted field is read as null, and an empty quoted field as an empty string.
+ * @param {string} content
+ * @returns {Array<Object<string, string|null>>}
+ */
+const parseCsv = function (content) {
+    const records = [];
+    let record = [], field = '', quoted = false, inQuotes = false;
+
+    const endField = () => {
+        record.push(field === '' && !quoted ? null : field);
+        field = '';
+        quoted = false;
+    };
+
+    const endRecord = () => {
+        endField();
+        // Skip blank lines
+        if (record.length > 1 || record[0] !== null) {
+            records.push(record);
+        }
+        record = [];
+    };
+
+    content = content.replace(/^﻿/, '');
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || quoted || record.length) {
+        endRecord();
+    }
+
+    const header = records.shift() || [];
+
+    return records.map(values => {
+        const row = {};
+        header.forEach((name, i) => row[name] = values[i] === undefined ? null : values[i]);
+        return row;
+    });
+};
+
+/**
+ * Loads rows which are given inline, or from a JSON/CSV file
+ * @param {string} schemaPath The path to where the schema files reside
+ * @param {RowsSource} source
+ * @returns {Promise<Array<Object<string, *>>>}
+ */
+const loadRows = async function (schemaPath, source) {
+    if (typeof source !== 'string')
+        return source || [];
+
+    const content = await promisify(Fs.readFile)(Path.resolve(schemaPath, source), 'utf8');
+
+    if (/\.csv$/i.test(source))
+        return parseCsv(content);
+
+    const rows = JSON.parse(stripJsonComments(content));
+
+    if (!Array.isArray(rows))
+        throw new Error('The rows file ' + source + ' should contain an array of rows');
+
+    return rows;
+};
+
+/**
+ * Lists the columns of a set of rows
+ * @param {Array<Object<string, *>>} rows
+ * @returns {Array<string>}
+ */
+const getColumns = function (rows) {
+    const columns = new Set();
+
+    for (const row of rows) {
+        Object.keys(row).forEach(column => columns.add(column));
+    }
+
+    return Array.from(columns);
+};
+
+/**
+ * Builds the where clause that matches a row by its key columns
+ * @param {Object<string, *>} row
+ * @param {Array<string>} keyColumns
+ * @returns {Object<string, *>}
+ */
+const keyOf = function (row, keyColumns) {
+    const where = {};
+
+    for (const column of keyColumns) {
+        if (row[column] === undefined)
+            throw new Error('A row is missing the key column `' + column + '`: ' + JSON.stringify(row));
+
+        where[column] = row[column];
+    }
+
+    return where;
+};
+
+/**
+ * Inserts rows, in chunks
+ * @param {Object} db knex instance
+ * @param {string} tableName The full table name (with the prefix)
+ * @param {Array<Object<string, *>>} rows
+ * @returns {Promise<void>}
+ */
+const insertRows = async function (db, tableName, rows) {
+    const chunkSize = Math.max(1, Math.floor(MAX_INSERT_BINDINGS / Math.max(1, getColumns(rows).length)));
+
+    for (let i = 0; i < rows.length; i += chunkSize) {
+        await db.table(tableName).insert(rows.slice(i, i + chunkSize));
+    }
+};
+
+/**
+ * Inserts rows, or updates them where a row with the same key already exists.
+ * MySql, Postgres and Sqlite do this in a single statement per row, elsewhere it is an update and an insert if nothing was updated.
+ * @param {Object} db knex instance
+ * @param {string} tableName The full table name (with the prefix)
+ * @param {Array<Object<string, *>>} rows
+ * @param {Array<string>} keyColumns
+ * @returns {Promise<void>}
+ */
+const upsertRows = async function (db, tableName, rows, keyColumns) {
+    const dialect = db.client.dialect;
+
+    for (const row of rows) {
+        const where = keyOf(row, keyColumns);
+        const updateColumns = Object.keys(row).filter(column => !keyColumns.includes(column));
+        const insert = db.table(tableName).insert(row).toSQL();
+
+        if (dialect === 'mysql') {
+            // Updating a key column to itself makes this a valid statement when there's nothing else to update
+            const assignments = (updateColumns.length ? updateColumns : keyColumns.slice(0, 1))
+                .map(() => '?? = VALUES(??)');
+
+            await db.raw(insert.sql + ' ON DUPLICATE KEY UPDATE ' + assignments.join(', '),
+                insert.bindings.concat(...(updateColumns.length ? updateColumns : keyColumns.slice(0, 1))
+                    .map(column => [column, column])));
+        } else if (dialect === 'postgresql' || dialect === 'sqlite3') {
+            const conflict = ' ON CONFLICT (' + keyColumns.map(() => '??').join(', ') + ')';
+            const action = updateColumns.length
+                ? ' DO UPDATE SET ' + updateColumns.map(() => '?? = EXCLUDED.??').join(', ')
+                : ' DO NOTHING';
+
+            await db.raw(insert.sql + conflict + action,
+                insert.bindings.concat(keyColumns, ...updateColumns.map(column => [column, column])));
+        } else {
+            const count = updateColumns.length
+                ? await db.table(tableName).where(where).update(Object.assign({}, row))
+                : (await db.table(tableName).where(where).count({ count: '*' }))[0]['count'];
+
+            if (!Number(count)) {
+                await db.table(tableName).insert(row);
+            }
+        }
+    }
+};
+
+/**
+ * Deletes rows by their key
+ * @param {Object} db knex instance
+ * @param {string} tableName The full table name (with the prefix)
+ * @param {Array<Object<string, *>>} rows
+ * @param {Array<string>} keyColumns
+ * @returns {Promise<void>}
+ */
+const deleteRows = async function (db, tableName, rows, keyColumns) {
+    for (const row of rows) {
+        await db.table(tableName).where(keyOf(row, keyColumns)).del();
+    }
+};
+
+module.exports = {
+    parseCsv: parseCsv,
+    loadRows: loadRows,
+    insertRows: insertRows,
+    upsertRows: upsertRows,
+    deleteRows: deleteRows,
+};
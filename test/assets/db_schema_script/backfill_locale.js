@@ -0,0 +1,17 @@
+"use strict";
+
+// Moves the locale out of the settings JSON, into its own column (cut to its length in schema.json)
+module.exports = async function (db, tablePrefix, schema) {
+    const localeColumn = schema['schema']['user']['columns'].find(column => column['name'] === 'locale');
+    const users = await db.select('id', 'settings').from(tablePrefix + 'user');
+
+    for (const user of users) {
+        const settings = JSON.parse(user['settings'] || '{}');
+
+        if (settings['locale']) {
+            await db.table(tablePrefix + 'user')
+                .where('id', user['id'])
+                .update('locale', settings['locale'].substr(0, localeColumn['length']));
+        }
+    }
+};
@@ -0,0 +1,14 @@
+"use strict";
+
+// Lowercases the usernames, which can't be done portably in SQL for every collation
+module.exports = async function (db, tablePrefix) {
+    const users = await db.select('id', 'username').from(tablePrefix + 'user');
+
+    for (const user of users) {
+        if (user['username'] !== user['username'].toLowerCase()) {
+            await db.table(tablePrefix + 'user')
+                .where('id', user['id'])
+                .update('username', user['username'].toLowerCase());
+        }
+    }
+};
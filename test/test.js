@@ -1,4 +1,6 @@
 const Path = require('path');
+const Fs = require('fs');
+const Crypto = require('crypto');
 const {expect} = require('chai');
 const knex = require('knex');
 const mod = require('mock-knex');
@@ -10,6 +12,27 @@ const db = knex({
 
 const schemaInstaller = require('../index.js');
 
+/** Keeps the expected warnings out of the test output */
+const logger = { log: () => {} };
+
+/**
+ * Removes a temporary directory (Fs.rmSync is missing before Node.js 14.14)
+ * @param {string} path
+ */
+const removeDirectory = path => {
+    for (const name of Fs.readdirSync(path)) {
+        const child = Path.join(path, name);
+
+        if (Fs.lstatSync(child).isDirectory()) {
+            removeDirectory(child);
+        } else {
+            Fs.unlinkSync(child);
+        }
+    }
+
+    Fs.rmdirSync(path);
+};
+
 describe('Testing knex-schema-builder:', () => {
 
     const tracker = mod.getTracker();
@@ -129,12 +152,19 @@ describe('Testing knex-schema-builder:', () => {
 
             it('should generate schema_globals table', done => {
 
-                tracker.on('query', query => {
+                let versionStored = false;
+
+                tracker.on('query', query => { // Wait for the lock release, which is the last query
                     query.response([]);
 
-                    if (query.sql.startsWith('insert into `schema_globals`')) {
+                    if (query.sql.startsWith('insert into `schema_globals`') && query.bindings[0] !== 'db_migration_lock') {
                         expect(query.bindings[0]).to.equal('db_version');
                         expect(query.bindings[1]).to.equal(1);
+                        versionStored = true;
+                    }
+
+                    if (query.sql.startsWith('delete from `schema_globals`')) {
+                        expect(versionStored).to.be.true;
                         done();
                     }
                 });
@@ -148,19 +178,74 @@ describe('Testing knex-schema-builder:', () => {
 
             it('should create user table', done => {
 
-                tracker.once('query', query =>
-                    expect(query.sql.startsWith('create table `user`')).to.be.true);
-
-                tracker.on('query', (query, step) => { // Wait for schema globals updates.
+                tracker.on('query', (query, step) => { // Wait for schema globals updates, and the lock release.
                     query.response([]);
-                    if (step === 6)
+                    if (step === 7)
+                        expect(query.sql.startsWith('create table `user`')).to.be.true;
+                    if (step === 15) {
+                        expect(query.sql.startsWith('insert into `schema_migrations`')).to.be.true;
+                        expect(query.bindings[3]).to.equal('schema.json');
+                        expect(query.bindings[7]).to.equal('success');
+                    }
+                    if (step === 16) {
+                        expect(query.sql.startsWith('delete from `schema_globals`')).to.be.true;
                         done();
+                    }
                 });
 
                 const schemaPath = Path.join(__dirname, './assets/db_schema_install');
                 schemaInstaller.install(db, schemaPath);
             });
         });
+
+        describe('In case another process installed the db while waiting for the lock', () => {
+
+            it('should skip the install', () => {
+
+                tracker.on('query', query => {
+                    expect(query.sql.startsWith('create table `user`')).to.be.false;
+
+                    if (query.sql.startsWith('select `value` from `schema_globals`')) {
+                        query.response({ value: 1 });
+                    } else {
+                        query.response([]);
+                    }
+                });
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_install');
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger }).install()
+                    .then(version => expect(version).to.equal(1));
+            });
+        });
+
+        describe('In case of a dry run', () => {
+
+            it('should write the install SQL to the output stream', () => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([]),
+                        () => query.response([]),
+                    ][step - 1]());
+
+                let output = '';
+                const outputStream = { write: chunk => output += chunk };
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_install');
+
+                return schemaInstaller.install(db, schemaPath, { dryRun: true, outputStream: outputStream })
+                    .then(script => {
+                        expect(script[0].version).to.equal(1);
+                        expect(script[0].statements[0].startsWith('create table `user`')).to.be.true;
+                        expect(script[0].statements[1]).to.equal(
+                            'create unique index `ix_user_username` on `user` (`username`)');
+                        expect(script[0].statements[2].startsWith('create table `schema_globals`')).to.be.true;
+                        expect(script[0].statements[3]).to.equal(
+                            'insert into `schema_globals` (`key`, `value`) values (\'db_version\', 1)');
+                        expect(output.startsWith('-- Version 1\ncreate table `user`')).to.be.true;
+                    });
+            });
+        });
     })
 
 
@@ -172,8 +257,17 @@ describe('Testing knex-schema-builder:', () => {
 
                 tracker.on('query', (query, step) =>
                     [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => {
+                            expect(query.bindings[0]).to.equal('db_migration_lock');
+                            query.response([]);
+                        },
                         () => query.response([{TABLE_NAME: 'schema_globals'}]),
                         () => query.response({value: 1}),
+                        () => {
+                            expect(query.sql).to.equal('delete from `schema_globals` where `key` = ? and `value` = ?');
+                            query.response(1);
+                        },
                     ][step - 1]());
 
                 const schemaPath = Path.join(__dirname, './assets/db_schema_wrong_version');
@@ -191,8 +285,19 @@ describe('Testing knex-schema-builder:', () => {
 
                 tracker.on('query', (query, step) =>
                     [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => {
+                            expect(query.sql).to.equal('insert into `schema_globals` (`key`, `value`) values (?, ?)');
+                            expect(query.bindings[0]).to.equal('db_migration_lock');
+                            query.response([]);
+                        },
                         () => query.response([{TABLE_NAME: 'schema_globals'}]),
                         () => query.response({value: 2}),
+                        () => query.response([{TABLE_NAME: 'schema_migrations'}]),
+                        () => {
+                            expect(query.sql).to.equal('select * from `schema_migrations` where `table_prefix` = ? order by `id` asc');
+                            query.response([]);
+                        },
                         () => {
                             expect(query.sql).to.equal('create table `team` (`id` integer not null primary key autoincrement, `name` varchar(32))');
                             query.response([]);
@@ -201,6 +306,15 @@ describe('Testing knex-schema-builder:', () => {
                             expect(query.sql).to.equal('alter table `user` add column `team_id` bigint');
                             query.response([]);
                         },
+                        () => query.response([{TABLE_NAME: 'schema_migrations'}]),
+                        () => {
+                            expect(query.sql.startsWith('insert into `schema_migrations` (`action_count`, `checksum`, `error`, `file`, `finished_at`, `host`, `started_at`, `status`, `table_prefix`, `type`, `version`)')).to.be.true;
+                            expect(query.bindings[0]).to.equal(2);
+                            expect(query.bindings[3]).to.equal('upgrade.3.json');
+                            expect(query.bindings[7]).to.equal('success');
+                            expect(query.bindings[10]).to.equal(3);
+                            query.response([]);
+                        },
                         () => query.response([{TABLE_NAME: 'schema_globals'}]),
                         () => query.response({value: 2}),
                         () => {
@@ -208,6 +322,11 @@ describe('Testing knex-schema-builder:', () => {
                             expect(query.bindings[0]).to.equal(3);
                             query.response([]);
                         },
+                        () => {
+                            expect(query.sql).to.equal('delete from `schema_globals` where `key` = ? and `value` = ?');
+                            expect(query.bindings[0]).to.equal('db_migration_lock');
+                            query.response(1);
+                        },
                     ][step - 1]());
 
                 const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
@@ -217,6 +336,1991 @@ describe('Testing knex-schema-builder:', () => {
                     done();
                 });
             })
-        })
+        });
+
+        describe('In case the upgrade is transactional', () => {
+
+            it('should run the actions and the version update inside a transaction', done => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => {
+                            expect(query.sql).to.equal('insert into `schema_globals` (`key`, `value`) values (?, ?)');
+                            expect(query.bindings[0]).to.equal('db_migration_lock');
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 2}),
+                        () => query.response([{TABLE_NAME: 'schema_migrations'}]),
+                        () => {
+                            expect(query.sql).to.equal('select * from `schema_migrations` where `table_prefix` = ? order by `id` asc');
+                            query.response([]);
+                        },
+                        () => {
+                            expect(query.sql).to.equal('BEGIN;');
+                            query.response([]);
+                        },
+                        () => {
+                            expect(query.sql.startsWith('create table `team`')).to.be.true;
+                            query.response([]);
+                        },
+                        () => {
+                            expect(query.sql).to.equal('alter table `user` add column `team_id` bigint');
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 2}),
+                        () => {
+                            expect(query.sql).to.equal('update `schema_globals` set `value` = ? where `key` = ?');
+                            expect(query.bindings[0]).to.equal(3);
+                            query.response([]);
+                        },
+                        () => {
+                            expect(query.sql).to.equal('COMMIT;');
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_migrations'}]),
+                        () => {
+                            expect(query.sql.startsWith('insert into `schema_migrations` (`action_count`, `checksum`, `error`, `file`, `finished_at`, `host`, `started_at`, `status`, `table_prefix`, `type`, `version`)')).to.be.true;
+                            expect(query.bindings[0]).to.equal(2);
+                            expect(query.bindings[3]).to.equal('upgrade.3.json');
+                            expect(query.bindings[7]).to.equal('success');
+                            expect(query.bindings[10]).to.equal(3);
+                            query.response([]);
+                        },
+                        () => {
+                            expect(query.sql).to.equal('delete from `schema_globals` where `key` = ? and `value` = ?');
+                            expect(query.bindings[0]).to.equal('db_migration_lock');
+                            query.response(1);
+                        },
+                    ][step - 1]());
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+
+                schemaInstaller.upgrade(db, schemaPath, { transactional: true }, (err, version) => {
+                    expect(err).to.be.null;
+                    expect(version).to.equal(3);
+                    done();
+                });
+            })
+        });
+
+        describe('In case a transactional upgrade fails midway on MySql', () => {
+
+            const mysqlDb = knex({ client: 'mysql' });
+
+            before(done => {
+                mod.mock(mysqlDb);
+                done();
+            });
+
+            after(done => {
+                mod.unmock(mysqlDb);
+                done();
+            });
+
+            it('should record the progress after each action, and skip the applied actions when resumed', () => {
+
+                const globals = { db_version: 1 };
+                const queries = [];
+                let failOn = 'create table `team`';
+
+                tracker.on('query', query => {
+                    queries.push(query.sql);
+
+                    if (failOn && query.sql.startsWith(failOn)) {
+                        query.reject(new Error('Lost connection'));
+                    } else if (query.sql.startsWith('select * from information_schema.tables')) {
+                        query.response([{ TABLE_NAME: query.bindings[0] }]);
+                    } else if (query.sql.startsWith('select `value` from `schema_globals`')) {
+                        query.response(globals[query.bindings[0]] === undefined ? [] : [{ value: globals[query.bindings[0]] }]);
+                    } else if (query.sql.startsWith('insert into `schema_globals`')) {
+                        globals[query.bindings[0]] = query.bindings[1];
+                        query.response([]);
+                    } else if (query.sql.startsWith('update `schema_globals`')) {
+                        globals[query.bindings[1]] = query.bindings[0];
+                        query.response([]);
+                    } else if (query.sql.startsWith('delete from `schema_globals`')) {
+                        delete globals[query.bindings[0]];
+                        query.response([]);
+                    } else {
+                        query.response([]);
+                    }
+                });
+
+                const builder = new schemaInstaller({
+                    db: mysqlDb,
+                    schemaPath: Path.join(__dirname, './assets/db_schema_resume'),
+                    logger: logger,
+                });
+
+                return builder.upgrade({ transactional: true, lock: false })
+                    .then(() => {
+                        throw new Error('Expected the upgrade to fail');
+                    }, err => {
+                        expect(err.message).to.contain('Lost connection');
+                        expect(globals).to.deep.equal({ db_version: 1, db_upgrade_progress: '2:1' });
+
+                        failOn = null;
+                        queries.length = 0;
+
+                        return builder.upgrade({ transactional: true, lock: false });
+                    })
+                    .then(version => {
+                        expect(version).to.equal(2);
+                        expect(globals).to.deep.equal({ db_version: 2 });
+                        const creates = queries.filter(sql => sql.startsWith('create table'));
+                        expect(creates).to.have.length(1);
+                        expect(creates[0].startsWith('create table `team`')).to.be.true;
+                    });
+            });
+        });
+
+        describe('In case of a dry run', () => {
+
+            it('should return the upgrade SQL without executing it', () => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 2}),
+                    ][step - 1]());
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+
+                return schemaInstaller.upgrade(db, schemaPath, { dryRun: true })
+                    .then(script => {
+                        expect(script).to.deep.equal([{
+                            version: 3,
+                            statements: [
+                                'create table `team` (`id` integer not null primary key autoincrement, `name` varchar(32))',
+                                'alter table `user` add column `team_id` bigint',
+                                'update `schema_globals` set `value` = 3 where `key` = \'db_version\'',
+                            ],
+                        }]);
+                    });
+            })
+        });
+        describe('In case there is a target version', () => {
+
+            it('should stop the upgrade at the target version', () => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 1}),
+                    ][step - 1]());
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+
+                return schemaInstaller.upgrade(db, schemaPath, { dryRun: true, targetVersion: 2 })
+                    .then(script => {
+                        expect(script.map(step => step.version)).to.deep.equal([2]);
+                    });
+            })
+        });
+    });
+    describe('Testing upgrade scripts:', () => {
+
+        const respond = query => {
+            if (query.sql.startsWith('select `value`'))
+                return query.response({value: 1});
+            if (query.sql.startsWith('select `id`, `settings`'))
+                return query.response([{id: 1, settings: '{"locale":"he"}'}, {id: 2, settings: null},
+                    {id: 3, settings: '{"locale":"de-DE-1996"}'}]);
+            if (query.sql.startsWith('select `id`, `username`'))
+                return query.response([{id: 1, username: 'Alice'}, {id: 2, username: 'bob'}]);
+            query.response([]);
+        };
+
+        describe('In case there are script actions and upgrade.####.js files', () => {
+
+            it('should run them in sequence with the other actions', () => {
+
+                const queries = [];
+
+                tracker.on('query', query => {
+                    queries.push(query);
+                    respond(query);
+                });
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_script');
+
+                return schemaInstaller.upgrade(db, schemaPath, { lock: false })
+                    .then(version => {
+                        expect(version).to.equal(3);
+
+                        const isBookkeeping = sql => /schema_globals|schema_migrations|sqlite_master/.test(sql);
+
+                        expect(queries.filter(query => !isBookkeeping(query.sql))
+                            .map(query => query.sql + ' ' + JSON.stringify(query.bindings))).to.deep.equal([
+                            'alter table `user` add column `locale` varchar(8) []',
+                            'select `id`, `settings` from `user` []',
+                            'update `user` set `locale` = ? where `id` = ? ["he",1]',
+                            'update `user` set `locale` = ? where `id` = ? ["de-DE-19",3]',
+                            'create index `ix_user_locale` on `user` (`locale`) []',
+                            'select `id`, `username` from `user` []',
+                            'update `user` set `username` = ? where `id` = ? ["alice",1]',
+                        ]);
+
+                        expect(queries.filter(query => query.sql.startsWith('insert into `schema_migrations`'))
+                            .map(query => query.bindings[3])).to.deep.equal(['upgrade.2.json', 'upgrade.3.js']);
+                    });
+            });
+        });
+
+        describe('In case a script was loaded before', () => {
+
+            it('should load it afresh', () => {
+
+                const queries = [];
+
+                tracker.on('query', query => {
+                    queries.push(query.sql);
+                    respond(query);
+                });
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_script');
+                const scriptPath = require.resolve(Path.join(schemaPath, 'upgrade.3.js'));
+
+                require(scriptPath);
+                require.cache[scriptPath].exports = () => {
+                    throw new Error('The stale script should not run');
+                };
+
+                return schemaInstaller.upgrade(db, schemaPath, { lock: false })
+                    .then(version => {
+                        expect(version).to.equal(3);
+                        expect(queries).to.include('update `user` set `username` = ? where `id` = ?');
+                    });
+            });
+        });
+
+        describe('In case of a dry run', () => {
+
+            it('should leave the scripts out of the SQL', () => {
+
+                tracker.on('query', query => respond(query));
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_script');
+
+                return schemaInstaller.upgrade(db, schemaPath, { dryRun: true })
+                    .then(script => {
+                        expect(script[script.length - 2].statements[1]).to.equal(
+                            '-- backfill_locale.js (script) is not included in the dry run');
+                        expect(script[script.length - 1].statements[0]).to.equal(
+                            '-- upgrade.3.js (script) is not included in the dry run');
+                    });
+            });
+        });
+    });
+
+    describe('Testing custom actions:', () => {
+
+        before(() => {
+            schemaInstaller.registerAction('refreshMaterializedView', (action, context) =>
+                context.db.raw('REFRESH MATERIALIZED VIEW ' + (action['concurrently'] ? 'CONCURRENTLY ' : '') +
+                    context.tablePrefix + action['name']));
+        });
+
+        after(() => {
+            schemaInstaller.unregisterAction('refreshMaterializedView');
+        });
+
+        const respond = query => query.response(query.sql.startsWith('select `value`')
+            ? {value: 1}
+            : [{TABLE_NAME: 'schema_globals'}]);
+
+        describe('In case an upgrade file uses a registered action', () => {
+
+            it('should run its handler with the action options and the table prefix', () => {
+
+                tracker.on('query', respond);
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_custom_action');
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, tablePrefix: 'app_' }).upgrade({ dryRun: true })
+                    .then(script => {
+                        expect(script[0].statements.slice(0, 2)).to.deep.equal([
+                            'drop table if exists `app_old_user_stats`',
+                            'REFRESH MATERIALIZED VIEW CONCURRENTLY app_user_stats',
+                        ]);
+                    });
+            });
+        });
+
+        describe('In case a built-in action is overridden for a dialect', () => {
+
+            after(() => {
+                schemaInstaller.unregisterAction('dropTable', { dialect: ['sqlite3', 'mysql', 'postgresql'] });
+            });
+
+            it('should use the override on that dialect only', () => {
+
+                schemaInstaller.registerAction('dropTable', (action, context) =>
+                    context.db.raw('DROP TABLE IF EXISTS ?? -- sqlite', [context.tablePrefix + action['table']]),
+                    { dialect: 'sqlite3' });
+                schemaInstaller.registerAction('dropTable', () => {
+                    throw new Error('Should not be used on sqlite');
+                }, { dialect: ['mysql', 'postgresql'] });
+
+                tracker.on('query', respond);
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_custom_action');
+
+                return schemaInstaller.upgrade(db, schemaPath, { dryRun: true })
+                    .then(script => {
+                        expect(script[0].statements[0]).to.equal('DROP TABLE IF EXISTS `old_user_stats` -- sqlite');
+                    });
+            });
+
+            it('should bring back the built-in action when the overrides are unregistered', () => {
+                const registry = require('../actions/registry');
+
+                schemaInstaller.registerAction('dropTable', () => {}, { dialect: 'mssql' });
+                schemaInstaller.unregisterAction('dropTable', { dialect: 'mssql' });
+
+                expect(registry.getActionHandler('dropTable', 'mssql')).to.equal(require('../actions/builtin')['dropTable']);
+                expect(registry.listActions()).to.include('dropTable');
+            });
+        });
+    });
+
+    describe('Testing seed data:', () => {
+
+        const respond = query => query.response(query.sql.startsWith('select `value`') ? {value: 1} : []);
+
+        describe('In case schema.json has a seed section', () => {
+
+            it('should insert the rows after creating the tables', () => {
+
+                tracker.on('query', respond);
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_seed');
+
+                return schemaInstaller.install(db, schemaPath, { dryRun: true })
+                    .then(script => {
+                        expect(script[0].statements.slice(2, 4)).to.deep.equal([
+                            'insert into `user` (`country_code`, `id`, `username`) values (\'IL\', 1, \'admin\')',
+                            'insert into `country` (`code`, `name`) select \'IL\' as `code`, \'Israel\' as `name` ' +
+                            'union all select \'US\' as `code`, \'United States\' as `name` ' +
+                            'union all select \'XX\' as `code`, NULL as `name`',
+                        ]);
+                    });
+            });
+        });
+
+        describe('In case an upgrade file has row actions', () => {
+
+            it('should upsert, delete and insert the rows', () => {
+
+                tracker.on('query', respond);
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_seed');
+
+                return schemaInstaller.upgrade(db, schemaPath, { dryRun: true })
+                    .then(script => {
+                        expect(script[0].statements.slice(0, 3)).to.deep.equal([
+                            'insert into `country` (`code`, `name`) values (\'US\', \'United States of America\') ' +
+                            'ON CONFLICT (`code`) DO UPDATE SET `name` = EXCLUDED.`name`',
+                            'delete from `country` where `code` = \'XX\'',
+                            'insert into `country` (`code`, `name`) select \'FR\' as `code`, \'France\' as `name` ' +
+                            'union all select \'DE\' as `code`, \'Germany\' as `name`',
+                        ]);
+                    });
+            });
+
+            it('should reverse insertRows into deleteRows', () => {
+
+                expect(schemaInstaller.deriveDowngradeActions({}, [
+                    { action: 'insertRows', table: 'country', rows: 'new_countries.json', key: 'code' },
+                ])).to.deep.equal([
+                    { action: 'deleteRows', table: 'country', rows: 'new_countries.json', key: 'code' },
+                ]);
+            });
+        });
+
+        describe('When parsing CSV', () => {
+
+            it('should handle quotes, and tell empty values from nulls', () => {
+
+                expect(require('../seed/rows').parseCsv('code,name,note\r\nIL,"Israel, ""IL""",""\r\nUS,,x\r\n')).to.deep.equal([
+                    { code: 'IL', name: 'Israel, "IL"', note: '' },
+                    { code: 'US', name: null, note: 'x' },
+                ]);
+            });
+        });
+    });
+
+    describe('Testing checks, generated columns and comments:', () => {
+
+        describe('In case a table has checks and a generated column', () => {
+
+            it('should create them with the table', () => {
+
+                tracker.on('query', query => query.response([]));
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_constraints');
+
+                return schemaInstaller.install(db, schemaPath, { dryRun: true })
+                    .then(script => {
+                        expect(script[0].statements[0]).to.equal('create table `order_line` (' +
+                            '`id` integer not null primary key autoincrement, ' +
+                            '`quantity` integer CHECK (quantity > 0), ' +
+                            '`price` integer, ' +
+                            '`total` integer GENERATED ALWAYS AS (quantity * price) STORED, ' +
+                            'CONSTRAINT `ck_order_line_price` CHECK (price >= 0))');
+                    });
+            });
+        });
+
+        describe('In case a check constraint was changed', () => {
+
+            it('should drop it and add it again', () => {
+
+                const table = expression => ({
+                    order_line: {
+                        columns: [{ name: 'price', type: 'integer' }],
+                        checks: [{ name: 'ck_order_line_price', expression: expression }],
+                    },
+                });
+
+                expect(schemaInstaller.generateUpgradeActions(table('price >= 0'), table('price > 0'))).to.deep.equal([
+                    { action: 'dropCheck', table: 'order_line', name: 'ck_order_line_price' },
+                    { action: 'addCheck', table: 'order_line', name: 'ck_order_line_price', expression: 'price > 0' },
+                ]);
+            });
+        });
+
+        describe('In case a generated column has a default', () => {
+
+            it('should report it', () => {
+
+                expect(require('../validate/rules').checkSchemaTables({
+                    order_line: {
+                        columns: [{ name: 'total', type: 'integer', default: 0, generated: { expression: '1 + 1' } }],
+                    },
+                }, '$.schema')).to.deep.equal([{
+                    path: '$.schema.order_line.columns[0]',
+                    message: 'is a generated column, and can not have a default',
+                }]);
+            });
+        });
+    });
+
+    describe('Testing partial, expression and typed indexes:', () => {
+
+        describe('In case a table has a partial expression index', () => {
+
+            it('should create it after the simple indexes', () => {
+
+                tracker.on('query', query => query.response([]));
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_indexes');
+
+                return schemaInstaller.install(db, schemaPath, { dryRun: true })
+                    .then(script => {
+                        expect(script[0].statements.slice(1, 3)).to.deep.equal([
+                            'create index `account_deleted_index` on `account` (`deleted`)',
+                            'CREATE UNIQUE INDEX `ux_account_email` ON `account` (lower(email)) WHERE deleted = 0',
+                        ]);
+                    });
+            });
+        });
+
+        describe('In case an expression index was added', () => {
+
+            it('should create it with its options', () => {
+
+                const table = indexes => ({
+                    account: {
+                        columns: [{ name: 'email', type: 'string' }],
+                        indexes: indexes,
+                    },
+                });
+
+                expect(schemaInstaller.generateUpgradeActions(table([]), table([
+                    { name: 'ix_account_email', expressions: ['lower(email)'], where: 'email is not null' },
+                ]))).to.deep.equal([
+                    { action: 'createIndex', table: 'account', name: 'ix_account_email', expressions: ['lower(email)'], where: 'email is not null' },
+                ]);
+            });
+        });
+
+        describe('In case an index has a prefix length for a column it does not index', () => {
+
+            it('should report it', () => {
+
+                expect(require('../validate/rules').checkSchemaTables({
+                    account: {
+                        columns: [{ name: 'email', type: 'string' }, { name: 'name', type: 'string' }],
+                        indexes: [{ columns: ['email'], lengths: { name: 10 } }],
+                    },
+                }, '$.schema')).to.deep.equal([{
+                    path: '$.schema.account.indexes[0].lengths',
+                    message: 'refers to `name`, which is not a column of the index',
+                }]);
+            });
+        });
+    });
+
+    describe('Testing views, triggers and routines:', () => {
+
+        const respond = query => query.response(query.sql.startsWith('select `value`') ? {value: 1} : []);
+        const schemaPath = Path.join(__dirname, './assets/db_schema_objects');
+
+        describe('In case schema.json has views, triggers and functions', () => {
+
+            it('should create them after the tables, with the views in dependency order', () => {
+
+                tracker.on('query', respond);
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, tablePrefix: 'app_', logger: logger })
+                    .install({ dryRun: true })
+                    .then(script => {
+                        // The function has no definition for Sqlite, so it is skipped
+                        expect(script[0].statements.slice(2, 5)).to.deep.equal([
+                            'CREATE VIEW `app_active_users` AS SELECT * FROM app_user WHERE active = 1',
+                            'CREATE VIEW `app_active_user_names` AS SELECT username FROM app_active_users',
+                            'CREATE TRIGGER `app_user_audit` AFTER INSERT ON `app_user` FOR EACH ROW BEGIN\n' +
+                            '  INSERT INTO app_audit (user_id, action) VALUES (NEW.id, \'insert\');\nEND',
+                        ]);
+                    });
+            });
+        });
+
+        describe('In case an upgrade file replaces a view', () => {
+
+            it('should drop and recreate it on Sqlite', () => {
+
+                tracker.on('query', respond);
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, tablePrefix: 'app_', logger: logger })
+                    .upgrade({ dryRun: true })
+                    .then(script => {
+                        expect(script[0].statements.slice(0, 2)).to.deep.equal([
+                            'DROP VIEW IF EXISTS `app_active_users`',
+                            'CREATE VIEW `app_active_users` AS SELECT * FROM app_user WHERE active = 1',
+                        ]);
+                    });
+            });
+
+            it('should reverse the create actions into drop actions', () => {
+
+                expect(schemaInstaller.deriveDowngradeActions({}, [
+                    { action: 'createRoutine', function: 'user_audit' },
+                    { action: 'createTrigger', trigger: 'user_audit' },
+                ])).to.deep.equal([
+                    { action: 'dropTrigger', trigger: 'user_audit' },
+                    { action: 'dropRoutine', function: 'user_audit' },
+                ]);
+            });
+        });
+
+        describe('In case the views depend on each other in a circle', () => {
+
+            it('should report it', () => {
+
+                expect(require('../validate/rules').checkSchemaObjects({}, {
+                    views: {
+                        a: { query: 'SELECT * FROM {table_prefix}b' },
+                        b: { query: 'SELECT * FROM x', depends_on: 'a' },
+                    },
+                })).to.deep.equal([{ path: '$.views', message: 'have a circular dependency' }]);
+            });
+        });
+    });
+
+    describe('Testing downgrade:', () => {
+
+        describe('In case there are downgrade and upgrade files', () => {
+
+            it('should run downgrade.3.json,\n\t reverse upgrade.2.json, \n\t and update schema_globals and schema_migrations after each step', done => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => {
+                            expect(query.sql).to.equal('insert into `schema_globals` (`key`, `value`) values (?, ?)');
+                            expect(query.bindings[0]).to.equal('db_migration_lock');
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 3}),
+                        () => {
+                            expect(query.sql).to.equal('drop index `ix_team_name`');
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_migrations'}]),
+                        () => {
+                            expect(query.sql.startsWith('insert into `schema_migrations`')).to.be.true;
+                            expect(query.bindings[3]).to.equal('downgrade.3.json');
+                            expect(query.bindings[9]).to.equal('downgrade');
+                            expect(query.bindings[10]).to.equal(3);
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 3}),
+                        () => {
+                            expect(query.sql).to.equal('update `schema_globals` set `value` = ? where `key` = ?');
+                            expect(query.bindings[0]).to.equal(2);
+                            query.response([]);
+                        },
+                        () => {
+                            expect(query.sql).to.equal('drop table if exists `team`');
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_migrations'}]),
+                        () => {
+                            expect(query.bindings[3]).to.equal('upgrade.2.json');
+                            expect(query.bindings[10]).to.equal(2);
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 2}),
+                        () => {
+                            expect(query.sql).to.equal('update `schema_globals` set `value` = ? where `key` = ?');
+                            expect(query.bindings[0]).to.equal(1);
+                            query.response([]);
+                        },
+                        () => {
+                            expect(query.sql).to.equal('delete from `schema_globals` where `key` = ? and `value` = ?');
+                            expect(query.bindings[0]).to.equal('db_migration_lock');
+                            query.response(1);
+                        },
+                    ][step - 1]());
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_downgrade');
+
+                schemaInstaller.downgrade(db, schemaPath, 1, (err, version) => {
+                    expect(err).to.be.null;
+                    expect(version).to.equal(1);
+                    done();
+                });
+            })
+        });
+
+        describe('When deriving downgrade actions', () => {
+
+            it('should reverse the upgrade actions in reverse order', () => {
+
+                const actions = schemaInstaller.deriveDowngradeActions({}, [
+                    { action: 'createTable', table: 'team' },
+                    { action: 'addColumn', table: 'user', column: 'team_id', ignore_errors: true },
+                    { action: 'renameColumn', table: 'user', from: 'name', to: 'full_name' },
+                ]);
+
+                expect(actions).to.deep.equal([
+                    { action: 'renameColumn', table: 'user', from: 'full_name', to: 'name' },
+                    { action: 'dropColumn', table: 'user', column: 'team_id', ignore_errors: true },
+                    { action: 'dropTable', table: 'team' },
+                ]);
+            });
+
+            it('should fail on irreversible actions', () => {
+
+                expect(() => schemaInstaller.deriveDowngradeActions({}, [
+                    { action: 'execute', query: 'DELETE FROM user' },
+                ])).to.throw('irreversible-action');
+            });
+        });
+    });
+    describe('Testing introspect:', () => {
+
+        describe('In case of a sqlite database', () => {
+
+            it('should describe the tables in the schema.json format', () => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => {
+                            expect(query.sql).to.equal(
+                                'select `name`, `sql` from `sqlite_master` where `type` = ? and `name` not like ? order by `name` asc');
+                            query.response([
+                                {name: 'schema_globals', sql: 'CREATE TABLE `schema_globals` (`key` varchar(64) not null, `value` varchar(255), primary key (`key`))'},
+                                {name: 'user', sql: 'CREATE TABLE `user` (`id` integer not null primary key autoincrement, `username` varchar(32), `is_active` boolean not null default \'1\', `team_id` bigint)'},
+                            ]);
+                        },
+                        () => query.response([
+                            {cid: 0, name: 'key', type: 'varchar(64)', notnull: 1, dflt_value: null, pk: 1},
+                            {cid: 1, name: 'value', type: 'varchar(255)', notnull: 0, dflt_value: null, pk: 0},
+                        ]),
+                        () => query.response([{seq: 0, name: 'sqlite_autoindex_schema_globals_1', unique: 1, origin: 'pk'}]),
+                        () => query.response([]),
+                        () => {
+                            expect(query.sql).to.equal('PRAGMA table_info(`user`)');
+                            query.response([
+                                {cid: 0, name: 'id', type: 'integer', notnull: 1, dflt_value: null, pk: 1},
+                                {cid: 1, name: 'username', type: 'varchar(32)', notnull: 0, dflt_value: null, pk: 0},
+                                {cid: 2, name: 'is_active', type: 'boolean', notnull: 1, dflt_value: '\'1\'', pk: 0},
+                                {cid: 3, name: 'team_id', type: 'bigint', notnull: 0, dflt_value: null, pk: 0},
+                            ]);
+                        },
+                        () => query.response([{seq: 0, name: 'ix_user_username', unique: 1, origin: 'c'}]),
+                        () => {
+                            expect(query.sql).to.equal('PRAGMA index_info(`ix_user_username`)');
+                            query.response([{seqno: 0, cid: 1, name: 'username'}]);
+                        },
+                        () => query.response([
+                            {id: 0, seq: 0, table: 'team', from: 'team_id', to: 'id', on_update: 'NO ACTION', on_delete: 'CASCADE'},
+                        ]),
+                    ][step - 1]());
+
+                return schemaInstaller.introspect(db)
+                    .then(tables => {
+                        expect(tables).to.deep.equal({
+                            user: {
+                                columns: [
+                                    {name: 'id', type: 'increments', primary_key: true},
+                                    {name: 'username', type: 'string', length: 32},
+                                    {name: 'is_active', type: 'boolean', nullable: false, default: true},
+                                    {name: 'team_id', type: 'bigInteger'},
+                                ],
+                                indexes: [
+                                    {name: 'ix_user_username', columns: ['username'], unique: true},
+                                ],
+                                foreign_keys: [
+                                    {
+                                        columns: ['team_id'],
+                                        foreign_table: 'team',
+                                        foreign_columns: ['id'],
+                                        on_delete: 'CASCADE',
+                                        on_update: 'NO ACTION',
+                                    },
+                                ],
+                            },
+                        });
+                    });
+            });
+        });
+    });
+    describe('Testing diff:', () => {
+
+        describe('In case the database drifted from schema.json', () => {
+
+            it('should list the differences', () => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([
+                            {name: 'user', sql: 'CREATE TABLE `user` (`id` integer not null primary key autoincrement, `username` varchar(32), `is_active` boolean not null default \'0\', `nickname` varchar(255))'},
+                        ]),
+                        () => query.response([
+                            {cid: 0, name: 'id', type: 'integer', notnull: 1, dflt_value: null, pk: 1},
+                            {cid: 1, name: 'username', type: 'varchar(32)', notnull: 0, dflt_value: null, pk: 0},
+                            {cid: 2, name: 'is_active', type: 'boolean', notnull: 1, dflt_value: '\'0\'', pk: 0},
+                            {cid: 3, name: 'nickname', type: 'varchar(255)', notnull: 0, dflt_value: null, pk: 0},
+                        ]),
+                        () => query.response([]),
+                        () => query.response([]),
+                    ][step - 1]());
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_install');
+
+                return schemaInstaller.diff(db, schemaPath)
+                    .then(differences => {
+                        expect(differences.map(d => [d.type, d.column || d.index])).to.deep.equal([
+                            ['missing-column', 'password'],
+                            ['default-mismatch', 'is_active'],
+                            ['extra-column', 'nickname'],
+                            ['missing-index', 'ix_user_username'],
+                        ]);
+                        expect(differences[1].expected).to.equal(true);
+                        expect(differences[1].actual).to.equal(false);
+                    });
+            });
+        });
+    });
+    describe('Testing upgrade generation:', () => {
+
+        describe('In case a table and a column were added', () => {
+
+            it('should propose createTable before addColumn, in the next version', () => {
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+                const previousSchemaPath = Path.join(__dirname, './assets/db_schema_install/schema.json');
+
+                return schemaInstaller.generateUpgrade(schemaPath, previousSchemaPath, { dryRun: true })
+                    .then(upgrade => {
+                        expect(upgrade.version).to.equal(4);
+                        expect(upgrade.file).to.equal(Path.join(schemaPath, 'upgrade.4.json'));
+                        expect(upgrade.actions).to.deep.equal([
+                            { action: 'createTable', table: 'team' },
+                            { action: 'addColumn', table: 'user', column: 'team_id' },
+                        ]);
+                    });
+            });
+        });
+
+        describe('In case a column with a foreign key was removed', () => {
+
+            it('should drop the foreign key and index before the column', () => {
+
+                const previous = {
+                    user: {
+                        columns: [
+                            { name: 'id', type: 'increments', primary_key: true },
+                            { name: 'team_id', type: 'integer' },
+                            { name: 'email', type: 'string', length: 64 },
+                        ],
+                        indexes: [{ name: 'ix_user_team', columns: 'team_id' }],
+                        foreign_keys: [{ columns: 'team_id', foreign_table: 'team', foreign_columns: 'id' }],
+                    },
+                };
+
+                const next = {
+                    user: {
+                        columns: [
+                            { name: 'id', type: 'increments', primary_key: true },
+                            { name: 'email', type: 'string', length: 128, nullable: false },
+                        ],
+                    },
+                };
+
+                expect(schemaInstaller.generateUpgradeActions(previous, next)).to.deep.equal([
+                    { action: 'dropForeign', table: 'user', column: 'team_id' },
+                    { action: 'dropIndex', table: 'user', name: 'ix_user_team' },
+                    { action: 'alterColumn', table: 'user', column: 'email' },
+                    { action: 'dropColumn', table: 'user', column: 'team_id' },
+                ]);
+            });
+        });
+    });
+
+    describe('Testing validate:', () => {
+
+        describe('In case the schema files are valid', () => {
+
+            it('should return no problems', () => {
+                const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+
+                return schemaInstaller.validate(schemaPath)
+                    .then(problems => expect(problems).to.deep.equal([]));
+            });
+        });
+
+        describe('In case the columns have any of the knex column types', () => {
+
+            it('should accept them', () => {
+                const types = ['real', 'bit', 'serial', 'year', 'tinytext', 'mediumtext', 'longtext', 'varbinary',
+                    'blob', 'longblob', 'set', 'bool', 'bigincrements', 'unsigned biginteger', ':geometry'];
+                const tables = { item: { columns: types.map((type, i) => ({ name: 'column' + i, type: type })) } };
+
+                expect(require('../validate/rules').validateSchemaFiles({
+                    schema: { file: 'schema.json', json: { schema: tables } },
+                    tables: tables,
+                    version: { file: 'version.json', json: { version: 1 } },
+                    upgrades: [],
+                    downgrades: [],
+                })).to.deep.equal([]);
+            });
+        });
+
+        describe('In case the schema files refer to files in sub folders', () => {
+
+            it('should find them relative to the schema folder', () => {
+                const schemaPath = Path.join(__dirname, './assets/db_schema_seed');
+
+                return schemaInstaller.validate(schemaPath)
+                    .then(problems => expect(problems).to.deep.equal([]));
+            });
+
+            it('should report the ones which do not exist', () => {
+                const tables = { country: { columns: [{ name: 'code', type: 'string' }] } };
+
+                expect(require('../validate/rules').validateSchemaFiles({
+                    schema: { file: 'schema.json', json: { schema: tables, seed: { country: 'data/missing.csv' } } },
+                    tables: tables,
+                    version: { file: 'version.json', json: { version: 1 } },
+                    upgrades: [],
+                    downgrades: [],
+                    schemaPath: Path.join(__dirname, './assets/db_schema_seed'),
+                }).map(p => p.file + ' ' + p.path + ' ' + p.message)).to.deep.equal([
+                    'schema.json $.seed.country refers to the file `data/missing.csv`, which is not in the schema folder',
+                ]);
+            });
+        });
+
+        describe('In case an applied upgrade file refers to a table which was dropped since', () => {
+
+            it('should only report it while the upgrade file is pending', () => {
+                const tables = { user: { columns: [{ name: 'id', type: 'bigIncrements', primary_key: true }] } };
+                const files = currentVersion => ({
+                    schema: { file: 'schema.json', json: { schema: tables } },
+                    tables: tables,
+                    version: { file: 'version.json', json: { version: 3 } },
+                    upgrades: [
+                        { file: 'upgrade.2.json', version: 2, json: [{ action: 'createTable', table: 'team' }] },
+                        { file: 'upgrade.3.json', version: 3, json: [{ action: 'dropTable', table: 'team' }] },
+                    ],
+                    downgrades: [],
+                    currentVersion: currentVersion,
+                });
+                const validateSchemaFiles = require('../validate/rules').validateSchemaFiles;
+
+                expect(validateSchemaFiles(files(null)).map(p => p.file + ' ' + p.path)).to.deep.equal([
+                    'upgrade.2.json $[0].table',
+                ]);
+                expect(validateSchemaFiles(files(1)).map(p => p.file + ' ' + p.path)).to.deep.equal([
+                    'upgrade.2.json $[0].table',
+                ]);
+                expect(validateSchemaFiles(files(2))).to.deep.equal([]);
+            });
+        });
+
+        describe('In case the schema files have mistakes', () => {
+
+            it('should report all of the problems with their file and path', () => {
+                const schemaPath = Path.join(__dirname, './assets/db_schema_invalid');
+
+                return schemaInstaller.validate(schemaPath)
+                    .then(problems => {
+                        expect(problems.map(p => p.file + ' ' + p.path + ' ' + p.message)).to.deep.equal([
+                            'schema.json $.schema.user.columns[1].nulable is an unknown property',
+                            'schema.json $.schema.user.columns[2].type has an invalid value "number"',
+                            'schema.json $.schema.user.indexes[0].columns refers to the unknown column `email` of `user`',
+                            'schema.json $.schema.user.foreign_keys[0].foreign_table refers to the unknown table `team`',
+                            'upgrade.2.json $[0] is missing the required property `action`',
+                            'upgrade.2.json $[0].acton is an unknown property',
+                            'upgrade.2.json $[1].column refers to the column `email` of `user`, which is not in schema.json',
+                            'upgrade.4.json $[0].table refers to the table `team`, which is not in schema.json',
+                            'upgrade.3.json $ is missing, the upgrade files should be contiguous up to version 4',
+                        ]);
+                    });
+            });
+
+            it('should fail the install before running anything', () => {
+                tracker.on('query', () => {
+                    throw new Error('No queries were expected');
+                });
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_invalid');
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger }).install()
+                    .then(() => {
+                        throw new Error('Expected the install to fail');
+                    }, err => expect(err).to.equal('invalid-schema'));
+            });
+        });
+    });
+
+    describe('Testing the migration lock:', () => {
+
+        describe('In case another process holds the lock', () => {
+
+            it('should fail with lock-timeout', () => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.reject(new Error('UNIQUE constraint failed: schema_globals.key')),
+                        () => query.response({value: JSON.stringify({owner: 'other', heartbeat: Date.now()})}),
+                    ][step - 1]());
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger }).upgrade({ lockTimeout: 0 })
+                    .then(() => {
+                        throw new Error('Expected the upgrade to fail');
+                    }, err => expect(err).to.equal('lock-timeout'));
+            });
+        });
+
+        describe('In case the lock is stale', () => {
+
+            it('should take it over', () => {
+
+                const staleValue = JSON.stringify({owner: 'crashed', heartbeat: Date.now() - 60 * 60 * 1000});
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.reject(new Error('UNIQUE constraint failed: schema_globals.key')),
+                        () => query.response({value: staleValue}),
+                        () => {
+                            expect(query.sql).to.equal('delete from `schema_globals` where `key` = ? and `value` = ?');
+                            expect(query.bindings[1]).to.equal(staleValue);
+                            query.response(1);
+                        },
+                        () => {
+                            expect(query.sql.startsWith('insert into `schema_globals`')).to.be.true;
+                            query.response([]);
+                        },
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 3}),
+                        () => query.response([]),
+                        () => {
+                            expect(query.sql).to.equal('delete from `schema_globals` where `key` = ? and `value` = ?');
+                            expect(query.bindings[1]).to.not.equal(staleValue);
+                            query.response(1);
+                        },
+                    ][step - 1]());
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger }).upgrade()
+                    .then(version => expect(version).to.equal(3));
+            });
+        });
+
+        describe('When forcing an unlock', () => {
+
+            it('should remove the lock row', () => {
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => {
+                            expect(query.sql).to.equal('delete from `schema_globals` where `key` = ?');
+                            expect(query.bindings[0]).to.equal('db_migration_lock');
+                            query.response(1);
+                        },
+                    ][step - 1]());
+
+                return new schemaInstaller({ db: db, logger: logger }).forceUnlock()
+                    .then(removed => expect(removed).to.be.true);
+            });
+        });
+    });
+
+    describe('Testing the migration history:', () => {
+
+        describe('In case an upgrade step fails', () => {
+
+            it('should record it as failed', () => {
+
+                let record;
+
+                tracker.on('query', (query, step) =>
+                    [
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response([]),
+                        () => query.response([{TABLE_NAME: 'schema_globals'}]),
+                        () => query.response({value: 2}),
+                        () => query.response([]),
+                        () => query.reject(new Error('table `team` already exists')),
+                        () => query.response([{TABLE_NAME: 'schema_migrations'}]),
+                        () => {
+                            record = query.bindings;
+                            query.response([]);
+                        },
+                        () => {
+                            expect(query.sql).to.equal('delete from `schema_globals` where `key` = ? and `value` = ?');
+                            query.response(1);
+                        },
+                    ][step - 1]());
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger }).upgrade()
+                    .then(() => {
+                        throw new Error('Expected the upgrade to fail');
+                    }, err => {
+                        expect(err.message).to.contain('already exists');
+                        expect(record[2]).to.contain('already exists');
+                        expect(record[3]).to.equal('upgrade.3.json');
+                        expect(record[7]).to.equal('failed');
+                        expect(record[10]).to.equal(3);
+                    });
+            });
+        });
+
+        describe('In case an applied upgrade file was changed', () => {
+
+            const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+            const checksum = Crypto.createHash('sha256')
+                .update(Fs.readFileSync(Path.join(schemaPath, 'upgrade.2.json')))
+                .digest('hex');
+
+            const row = (id, type, version, checksum) => ({
+                id: id, table_prefix: '', version: version, type: type, file: type + '.' + version + '.json',
+                checksum: checksum, status: 'success', started_at: 1000, finished_at: 2000, host: 'ci',
+                action_count: 2, error: null,
+            });
+
+            it('should list it in the history, and warn about it', () => {
+
+                tracker.on('query', query => query.response(query.sql.startsWith('select *')
+                    ? [row(1, 'upgrade', 2, checksum), row(2, 'upgrade', 3, 'edited')]
+                    : [{TABLE_NAME: 'schema_migrations'}]));
+
+                const builder = new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger });
+
+                return builder.getMigrationHistory()
+                    .then(history => {
+                        expect(history.map(record => record.version)).to.deep.equal([2, 3]);
+                        expect(history[0].finishedAt.getTime()).to.equal(2000);
+                        expect(history[0].actionCount).to.equal(2);
+
+                        return builder.verifyMigrationChecksums();
+                    })
+                    .then(mismatches => {
+                        expect(mismatches).to.have.length(1);
+                        expect(mismatches[0].file).to.equal('upgrade.3.json');
+                        expect(mismatches[0].appliedChecksum).to.equal('edited');
+                    });
+            });
+
+            it('should not warn about it after it was downgraded', () => {
+
+                tracker.on('query', query => query.response(query.sql.startsWith('select *')
+                    ? [row(1, 'upgrade', 2, checksum), row(2, 'upgrade', 3, 'edited'), row(3, 'downgrade', 3, 'any')]
+                    : [{TABLE_NAME: 'schema_migrations'}]));
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger }).verifyMigrationChecksums()
+                    .then(mismatches => expect(mismatches).to.deep.equal([]));
+            });
+        });
+
+        describe('In case a backup directory is given to the upgrade', () => {
+
+            const schemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+            const mysqlDb = knex({ client: 'mysql' });
+
+            let tempDirectory;
+
+            before(done => {
+                mod.mock(mysqlDb);
+                done();
+            });
+
+            after(done => {
+                mod.unmock(mysqlDb);
+                done();
+            });
+
+            beforeEach(done => {
+                tempDirectory = Fs.mkdtempSync(Path.join(require('os').tmpdir(), 'knex-schema-builder-'));
+                done();
+            });
+
+            afterEach(done => {
+                removeDirectory(tempDirectory);
+                done();
+            });
+
+            const respond = (queries, failOn) => query => {
+                queries.push(query.sql);
+
+                if (failOn && query.sql.startsWith(failOn)) {
+                    query.reject(new Error('failed'));
+                } else if (query.sql.startsWith('select * from sqlite_master')) {
+                    query.response([{ name: 'schema_globals' }]);
+                } else if (query.sql.startsWith('select `value` from `schema_globals`')) {
+                    query.response([{ value: 2 }]);
+                } else {
+                    query.response([]);
+                }
+            };
+
+            it('should back up before the first step, and record the backup with it', () => {
+
+                const queries = [];
+                tracker.on('query', respond(queries));
+
+                const backupDirectory = Path.join(tempDirectory, 'backups', 'app');
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger })
+                    .upgrade({ backupDirectory: backupDirectory, lock: false })
+                    .then(() => {
+                        const files = Fs.readdirSync(backupDirectory);
+                        const file = Path.join(backupDirectory, files[0]);
+
+                        expect(files).to.have.length(1);
+                        expect(files[0]).to.match(/^backup-v2-\d{8}T\d{6}Z\.sql$/);
+                        expect(Fs.readFileSync(file, 'utf8')).to.contain('BEGIN TRANSACTION;');
+
+                        expect(queries.findIndex(sql => sql.startsWith('PRAGMA foreign_keys')))
+                            .to.be.below(queries.findIndex(sql => sql.startsWith('create table `team`')));
+                        expect(queries).to.include('alter table `schema_migrations` add column `backup_file` varchar(1024)');
+                        expect(queries.filter(sql => sql.startsWith('insert into `schema_migrations` (`action_count`, `backup_file`')))
+                            .to.have.length(1);
+                    });
+            });
+
+            it('should abort the upgrade if the backup fails', () => {
+
+                const queries = [];
+                tracker.on('query', respond(queries, 'PRAGMA foreign_keys'));
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger })
+                    .upgrade({ backupDirectory: tempDirectory, lock: false })
+                    .then(() => {
+                        throw new Error('Expected the upgrade to fail');
+                    }, () => {
+                        expect(Fs.readdirSync(tempDirectory)).to.have.length(0);
+                        expect(queries.filter(sql => sql.startsWith('create table `team`'))).to.have.length(0);
+                    });
+            });
+
+            it('should back up the structure of a MySql db', () => {
+
+                tracker.on('query', query => {
+                    if (query.sql.startsWith('SHOW CREATE')) {
+                        query.response([[{ 'Create Table': 'CREATE TABLE ' + query.sql.split(' ').pop() + ' (`id` INT)' }]]);
+                    } else if (query.sql.includes('`TABLES`')) {
+                        query.response([{ name: 'user' }]);
+                    } else if (query.sql.startsWith('select `value` from `schema_globals`')) {
+                        query.response([{ value: 2 }]);
+                    } else if (query.sql.startsWith('select * from information_schema.tables')) {
+                        query.response([{ TABLE_NAME: 'schema_globals' }]);
+                    } else {
+                        query.response([]);
+                    }
+                });
+
+                // mock-knex can not stream, so the data is left out
+                return new schemaInstaller({ db: mysqlDb, schemaPath: schemaPath, logger: logger })
+                    .upgrade({ backupDirectory: tempDirectory, backupOptions: { tableData: false }, lock: false })
+                    .then(version => {
+                        const files = Fs.readdirSync(tempDirectory);
+
+                        expect(version).to.equal(3);
+                        expect(files).to.have.length(1);
+                        expect(Fs.readFileSync(Path.join(tempDirectory, files[0]), 'utf8'))
+                            .to.contain('CREATE TABLE IF NOT EXISTS `user` (`id` INT) $$');
+                    });
+            });
+        });
+    });
+
+    describe('Testing db schemas:', () => {
+
+        const pgDb = knex({ client: 'pg' });
+        const schemaPath = Path.join(__dirname, './assets/db_schema_namespaces');
+
+        before(done => {
+            mod.mock(pgDb);
+            done();
+        });
+
+        after(done => {
+            mod.unmock(pgDb);
+            done();
+        });
+
+        describe('In case a table has its own db schema', () => {
+
+            it('should create the schemas, and refer to the foreign table in its schema', () => {
+
+                tracker.on('query', query => query.response({ rows: [] }));
+
+                const builder = new schemaInstaller({ db: pgDb, schemaPath: schemaPath, dbSchema: 'billing' });
+
+                return builder.install({ dryRun: true, createDbSchemas: true })
+                    .then(script => {
+                        const statements = script[0].statements;
+                        expect(statements.slice(0, 3)).to.deep.equal([
+                            'CREATE SCHEMA IF NOT EXISTS "billing"',
+                            'CREATE SCHEMA IF NOT EXISTS "audit"',
+                            'create table "billing"."invoice" ("id" serial primary key, "number" varchar(32))',
+                        ]);
+                        expect(statements).to.include('create table "audit"."invoice_log" ' +
+                            '("id" serial primary key, "invoice_id" integer, "note" text)');
+                        expect(statements).to.include('alter table "audit"."invoice_log" add constraint ' +
+                            '"invoice_log_invoice_id_foreign" foreign key ("invoice_id") references "billing"."invoice" ("id")');
+                        expect(statements[statements.length - 1]).to.equal(
+                            'insert into "billing"."schema_globals" ("key", "value") values (\'db_version\', 2)');
+                    });
+            });
+        });
+
+        describe('In case an upgrade runs on tables in different db schemas', () => {
+
+            it('should target each table in its schema', () => {
+
+                tracker.on('query', query => query.response(query.sql.startsWith('select "value"')
+                    ? [{ value: '1' }]
+                    : { rows: [{}] }));
+
+                const builder = new schemaInstaller({ db: pgDb, schemaPath: schemaPath, dbSchema: 'billing' });
+
+                return builder.upgrade({ dryRun: true })
+                    .then(script => {
+                        expect(script[0].statements).to.deep.equal([
+                            'alter table "audit"."invoice_log" add column "note" text',
+                            'insert into "billing"."invoice" ("id", "number") values (1, \'A-1\')',
+                            'update "billing"."schema_globals" set "value" = 2 where "key" = \'db_version\'',
+                        ]);
+                    });
+            });
+        });
+    });
+
+    describe('Testing the Postgres backup:', () => {
+
+        const pgDb = knex({ client: 'pg' });
+
+        before(done => {
+            mod.mock(pgDb);
+            done();
+        });
+
+        after(done => {
+            mod.unmock(pgDb);
+            done();
+        });
+
+        describe('In case the data is dumped as COPY', () => {
+
+            it('should escape the values, and restore the sequences after the data', () => {
+
+                tracker.on('query', query => {
+                    let rows = [];
+
+                    if (query.sql.startsWith('SELECT c.relname AS name')) {
+                        rows = [{ name: 'user' }];
+                    } else if (query.sql.startsWith('SELECT a.attname AS name')) {
+                        rows = [{ name: 'id' }, { name: 'name' }];
+                    } else if (query.sql.startsWith('FETCH')) {
+                        rows = [{ id: '1', name: 'tab\there' }, { id: '2', name: null }];
+                    } else if (query.sql.includes('pg_sequences')) {
+                        rows = [{ name: 'user_id_seq', start_value: '1', last_value: '2' }];
+                    }
+
+                    query.response({ rows: rows });
+                });
+
+                let output = '';
+                const outputStream = { write: text => (output += text, true) };
+
+                return schemaInstaller.postgresBackup.generateBackup(pgDb, outputStream, {
+                    tableData: true, dataFormat: 'copy', schema: 'public',
+                }).then(() => {
+                    expect(output.split('\n').slice(3)).to.deep.equal([
+                        'COPY "public"."user" ("id", "name") FROM stdin;',
+                        '1\ttab\\there',
+                        '2\t\\N',
+                        '\\.',
+                        'SELECT pg_catalog.setval(\'"public"."user_id_seq"\', 2, true);',
+                        '',
+                    ]);
+                });
+            });
+        });
+    });
+
+    describe('Testing the MySql backup:', () => {
+
+        const mysqlDb = knex({ client: 'mysql' });
+
+        before(done => {
+            mod.mock(mysqlDb);
+            done();
+        });
+
+        after(done => {
+            mod.unmock(mysqlDb);
+            done();
+        });
+
+        describe('In case the structure and the routines are exported', () => {
+
+            it('should write the routines, then the tables and then the views, and report the progress', () => {
+
+                tracker.on('query', query => {
+                    if (query.sql.startsWith('SHOW CREATE')) {
+                        const name = query.sql.split(' ').pop();
+                        query.response([[{
+                            'Create Procedure': 'CREATE PROCEDURE ' + name + '() BEGIN END',
+                            'Create Function': 'CREATE FUNCTION ' + name + '() RETURNS INT RETURN 1',
+                            'Create Table': 'CREATE TABLE ' + name + ' (`id` INT)',
+                            'Create View': 'CREATE VIEW ' + name + ' AS SELECT 1',
+                        }]]);
+                    } else if (query.sql.includes('`ROUTINES`')) {
+                        query.response([{ name: query.bindings[0] === 'FUNCTION' ? 'get_count' : 'cleanup' }]);
+                    } else if (query.sql.includes('`TABLES`')) {
+                        query.response([{ name: 'user' }, { name: 'active_user' }]);
+                    } else if (query.sql.includes('`VIEWS`')) {
+                        query.response(query.bindings[0] === 'active_user' ? [{ TABLE_NAME: 'active_user' }] : []);
+                    } else {
+                        query.response([]);
+                    }
+                });
+
+                let script = '';
+                const outputStream = { write: text => (script += text, true) };
+                const progress = [];
+
+                return schemaInstaller.mysqlBackup.generateBackup(mysqlDb, outputStream, {
+                    routines: true,
+                    tableStructure: true,
+                    onProgress: item => progress.push(item.step + ':' + item.name + ':' + item.index + '/' + item.total),
+                }).then(() => {
+                    expect(script.split('\r\n').filter(line => /^(CREATE|DROP)/.test(line))).to.deep.equal([
+                        'DROP PROCEDURE IF EXISTS `cleanup` $$',
+                        'CREATE PROCEDURE `cleanup`() BEGIN END $$',
+                        'DROP FUNCTION IF EXISTS `get_count` $$',
+                        'CREATE FUNCTION `get_count`() RETURNS INT RETURN 1 $$',
+                        'CREATE TABLE IF NOT EXISTS `user` (`id` INT) $$',
+                        'CREATE OR REPLACE VIEW `active_user` AS SELECT 1 $$',
+                    ]);
+                    expect(progress).to.deep.equal([
+                        'routines:cleanup:1/2', 'routines:get_count:2/2', 'structure:user:1/1', 'views:active_user:1/1',
+                    ]);
+                });
+            });
+        });
+
+        describe('In case rows are batched', () => {
+
+            it('should write them in a single statement, in the requested insert mode', () => {
+
+                const rows = [{ id: 1, name: 'a' }, { id: 2, name: 'b' }];
+
+                expect(schemaInstaller.mysqlBackup.getInsertSql(mysqlDb, 'user', rows, 'ignore')).to.equal(
+                    'insert ignore into `user` (`id`, `name`) values (1, \'a\'), (2, \'b\')');
+                expect(schemaInstaller.mysqlBackup.getInsertSql(mysqlDb, 'user', rows, 'update')).to.equal(
+                    'insert into `user` (`id`, `name`) values (1, \'a\'), (2, \'b\')' +
+                    ' on duplicate key update `id` = values(`id`), `name` = values(`name`)');
+            });
+        });
+
+        describe('In case the data is exported to an output which has to drain', () => {
+
+            // mock-knex can not stream, so the rows of `select *` are streamed here
+            const streamingDb = {
+                raw: mysqlDb.raw.bind(mysqlDb),
+                insert: mysqlDb.insert.bind(mysqlDb),
+                select: function () {
+                    const query = mysqlDb.select.apply(mysqlDb, arguments);
+
+                    if (arguments[0] === '*') {
+                        query.stream = handler => {
+                            const stream = new (require('stream').PassThrough)({ objectMode: true });
+                            handler(stream);
+                            [{ id: 1 }, { id: 2 }, { id: 3 }].forEach(row => stream.write(row));
+                            stream.end();
+                            return Promise.resolve();
+                        };
+                    }
+
+                    return query;
+                },
+            };
+
+            beforeEach(() => {
+                tracker.on('query', query => query.response(query.sql.includes('`TABLES`') ? [{ name: 'user' }] : []));
+            });
+
+            it('should write all of the rows in order', () => {
+                const outputStream = new (require('stream').PassThrough)({ highWaterMark: 1 });
+                let script = '';
+                outputStream.on('data', chunk => script += chunk);
+
+                return schemaInstaller.mysqlBackup.exportTableData(streamingDb, outputStream, { batchSize: 2 })
+                    .then(counts => {
+                        expect(counts).to.deep.equal([{ name: 'user', rows: 3 }]);
+                        expect(script).to.equal(
+                            'insert into `user` (`id`) values (1), (2) $$\r\ninsert into `user` (`id`) values (3) $$\r\n');
+                    });
+            });
+
+            it('should fail when the output errors', () => {
+                const outputStream = new (require('stream').Writable)({
+                    highWaterMark: 1,
+                    write: (chunk, encoding, callback) => setImmediate(() => callback(new Error('disk full'))),
+                });
+                outputStream.on('error', () => {});
+
+                return schemaInstaller.mysqlBackup.exportTableData(streamingDb, outputStream, { batchSize: 1 })
+                    .then(() => expect.fail('should have failed'), err => expect(err.message).to.equal('disk full'));
+            });
+        });
+
+        describe('In case tables are included and excluded by patterns', () => {
+
+            it('should export the data of the included tables which are not excluded', () => {
+
+                const options = { includeTables: ['user*', 'order'], excludeTables: ['*_log'] };
+
+                expect(['user', 'user_role', 'user_log', 'order', 'orders'].filter(
+                    table => schemaInstaller.mysqlBackup.isTableDataIncluded(table, options)))
+                    .to.deep.equal(['user', 'user_role', 'order']);
+            });
+        });
+    });
+
+    describe('Testing the backup masking:', () => {
+
+        const masking = require('../backup/masking');
+
+        describe('In case a row is masked', () => {
+
+            it('should mask equal values equally, keep the format and the nulls', () => {
+
+                const tableMasks = masking.getTableMasks(Object.assign(masking.getSchemaMasks({
+                    user: { columns: [{ name: 'email', type: 'string', pii: 'email' }, { name: 'id', type: 'increments' }] },
+                }, 'app_'), {
+                    'app_user.phone': 'format',
+                    'app_user.name': 'null',
+                    'app_user.country': { value: 'US' },
+                    'app_user.code': (value, row) => row.id + '-x',
+                    'app_order.email': 'null',
+                }), 'app_user');
+
+                const row = { id: 7, email: 'dan@gmail.com', phone: '+1 (555) 010-Ab', name: null, country: 'IL', code: 'a' };
+                const masked = masking.maskRow(row, tableMasks, 'salt');
+
+                expect(masked).to.not.equal(row);
+                expect(masked.email).to.match(/^user_[0-9a-f]{12}@example\.com$/);
+                expect(masking.maskRow(row, tableMasks, 'salt').email).to.equal(masked.email);
+                expect(masking.maskRow(row, tableMasks, 'pepper').email).to.not.equal(masked.email);
+                expect(masked.phone).to.match(/^\+\d \(\d{3}\) \d{3}-[A-Z][a-z]$/);
+                expect(masked).to.include({ id: 7, name: null, country: 'US', code: '7-x' });
+            });
+        });
+
+        describe('In case a rule is unknown', () => {
+
+            it('should fail before exporting anything', () => {
+                expect(() => masking.getTableMasks({ 'user.email': 'scramble' }, 'user'))
+                    .to.throw('Unknown mask rule for user.email: scramble');
+            });
+        });
+    });
+
+    describe('Testing the MySql restore:', () => {
+
+        const mysqlDb = knex({ client: 'mysql' });
+
+        before(done => {
+            mod.mock(mysqlDb);
+            done();
+        });
+
+        after(done => {
+            mod.unmock(mysqlDb);
+            done();
+        });
+
+        describe('In case the script changes the delimiter', () => {
+
+            it('should run each statement, and go on after a failure when asked to', () => {
+
+                const queries = [];
+
+                tracker.on('query', query => {
+                    queries.push(query.sql);
+
+                    if (query.sql.startsWith('INSERT INTO `missing`')) {
+                        query.reject(new Error('Table does not exist'));
+                    } else {
+                        query.response([]);
+                    }
+                });
+
+                const progress = [];
+                const inputStream = new (require('stream').PassThrough)();
+                [
+                    '-- backup\r\nDELIMITER $$\r\nSET FOREIGN_KEY_CHECKS=0 $',
+                    '$\r\nINSERT INTO `user` VALUES (1, \'a$$b\', \'it\'\'s\') $$\r\n',
+                    'INSERT INTO `missing` VALUES (1) $$\r\nCREATE TRIGGER `t` BEGIN SET @a = 1; /* $$ */ END $$\r\n',
+                ].forEach(text => inputStream.write(Buffer.from(text)));
+                inputStream.end();
+
+                return schemaInstaller.mysqlBackup.restoreBackup(mysqlDb, inputStream, {
+                    continueOnError: true,
+                    onProgress: item => progress.push(item.statements + '/' + item.errors),
+                }).then(result => {
+                    expect(queries).to.deep.equal([
+                        'SET FOREIGN_KEY_CHECKS=0',
+                        'INSERT INTO `user` VALUES (1, \'a$$b\', \'it\'\'s\')',
+                        'INSERT INTO `missing` VALUES (1)',
+                        'CREATE TRIGGER `t` BEGIN SET @a = 1; /* $$ */ END',
+                    ]);
+                    expect(progress).to.deep.equal(['1/0', '2/0', '3/1', '4/1']);
+                    expect(result.errors.length).to.equal(1);
+                });
+            });
+        });
+    });
+
+    describe('Testing the Sqlite backup:', () => {
+
+        describe('In case tables refer to each other', () => {
+
+            it('should create the referenced tables first, inside of a transaction', () => {
+
+                tracker.on('query', query => {
+                    let rows = [];
+
+                    if (query.sql === 'PRAGMA foreign_keys') {
+                        rows = [{ foreign_keys: 1 }];
+                    } else if (query.sql.startsWith('select `type`') && query.bindings[0] === 'table') {
+                        rows = [
+                            { type: 'table', name: 'post', tbl_name: 'post', sql: 'CREATE TABLE "post" ("user_id" integer references "user"("id"))' },
+                            { type: 'table', name: 'user', tbl_name: 'user', sql: 'CREATE TABLE "user" ("id" integer primary key)' },
+                        ];
+                    } else if (query.sql === 'PRAGMA foreign_key_list("post")') {
+                        rows = [{ table: 'user' }];
+                    }
+
+                    query.response(rows);
+                });
+
+                let output = '';
+                const outputStream = { write: text => (output += text, true) };
+
+                return schemaInstaller.sqliteBackup.generateBackup(db, outputStream, {
+                    tableStructure: true,
+                }).then(() => {
+                    expect(output.split('\n')).to.deep.equal([
+                        'PRAGMA foreign_keys=OFF;',
+                        'BEGIN TRANSACTION;',
+                        'CREATE TABLE IF NOT EXISTS "user" ("id" integer primary key);',
+                        'CREATE TABLE IF NOT EXISTS "post" ("user_id" integer references "user"("id"));',
+                        'COMMIT;',
+                        'PRAGMA foreign_keys=ON;',
+                        '',
+                    ]);
+                });
+            });
+        });
+    });
+
+    describe('Testing the backup output:', () => {
+
+        describe('In case the output is compressed', () => {
+
+            it('should describe the compressed output, the tables and the schema version in the manifest', () => {
+
+                tracker.on('query', query => {
+                    let rows = [];
+
+                    if (query.sql.startsWith('select `value` from `schema_globals`')) {
+                        rows = [{ value: '12' }];
+                    } else if (query.sql.startsWith('select `type`') && query.bindings[0] === 'table') {
+                        rows = [{ type: 'table', name: 'user', tbl_name: 'user', sql: 'CREATE TABLE "user" ("id" integer)' }];
+                    } else if (query.sql.startsWith('select * from `user`')) {
+                        rows = [{ id: 1 }, { id: 2 }];
+                    }
+
+                    query.response(rows);
+                });
+
+                const chunks = [];
+                const outputStream = { write: chunk => (chunks.push(chunk), true) };
+                const progress = [];
+
+                return schemaInstaller.sqliteBackup.generateBackup(db, outputStream, {
+                    tableStructure: true, tableData: true, compression: 'gzip',
+                    onProgress: item => progress.push(item),
+                }).then(manifest => {
+                    const output = Buffer.concat(chunks);
+
+                    expect(require('zlib').gunzipSync(output).toString()).to.contain(
+                        'insert into `user` (`id`) values (2);');
+                    expect(manifest).to.include({
+                        dialect: 'sqlite3',
+                        schemaVersion: 12,
+                        compression: 'gzip',
+                        bytes: output.length,
+                        sha256: Crypto.createHash('sha256').update(output).digest('hex'),
+                    });
+                    expect(manifest.tables).to.deep.equal([{ name: 'user', rows: 2 }]);
+                    expect(progress).to.deep.equal([
+                        { step: 'structure', name: 'user', index: 1, total: 1 },
+                        { step: 'data', name: 'user', index: 1, total: 1, rows: 2 },
+                    ]);
+                });
+            });
+        });
+
+        describe('In case the output stream closes while it is full', () => {
+
+            it('should fail the write instead of waiting for it to drain', () => {
+
+                const outputStream = new (require('events').EventEmitter)();
+                outputStream.write = () => false;
+
+                const promise = require('../backup/output').write(outputStream, 'text');
+                outputStream.emit('close');
+
+                return promise.then(() => {
+                    throw new Error('Expected the write to fail');
+                }, err => {
+                    expect(err.message).to.contain('closed');
+                    expect(outputStream.listenerCount('drain')).to.equal(0);
+                    expect(outputStream.listenerCount('error')).to.equal(0);
+                });
+            });
+        });
+    });
+
+    describe('Testing the command line:', () => {
+
+        const cli = require('../bin/knex-schema-builder.js');
+        const upgradeSchemaPath = Path.join(__dirname, './assets/db_schema_upgrade');
+        const installSchemaPath = Path.join(__dirname, './assets/db_schema_install');
+
+        let tempDirectory;
+
+        beforeEach(done => {
+            tempDirectory = Fs.mkdtempSync(Path.join(require('os').tmpdir(), 'knex-schema-builder-'));
+            done();
+        });
+
+        afterEach(done => {
+            removeDirectory(tempDirectory);
+            done();
+        });
+
+        // Runs a command line on the mocked db, and collects what it prints
+        const run = argv => {
+            const output = [];
+            const log = console.log, error = console.error, write = process.stdout.write;
+
+            console.log = console.error = text => output.push(String(text));
+            process.stdout.write = text => output.push(String(text));
+
+            const restore = () => {
+                console.log = log;
+                console.error = error;
+                process.stdout.write = write;
+            };
+
+            return cli.main(argv, db).then(code => {
+                restore();
+                return { code: code, output: output.join('\n') };
+            }, err => {
+                restore();
+                throw err;
+            });
+        };
+
+        // Answers as a db which is installed at version 2
+        const respondInstalled = query => {
+            if (query.sql.startsWith('select * from sqlite_master')) {
+                query.response([{ name: query.bindings[0] }]);
+            } else if (query.sql.startsWith('select `value` from `schema_globals`')) {
+                query.response(query.bindings[0] === 'db_version' ? [{ value: 2 }] : []);
+            } else {
+                query.response([]);
+            }
+        };
+
+        describe('When parsing the arguments', () => {
+
+            it('should tell the flags from the options and the positional arguments', () => {
+                expect(cli.parseArgs(['upgrade', '--transactional', '--to', '3', '--schema-path=db', 'extra'])).to.deep.equal({
+                    _: ['upgrade', 'extra'],
+                    'transactional': true,
+                    'to': '3',
+                    'schema-path': 'db',
+                });
+            });
+
+            it('should not take the argument after --copy as its value', () => {
+                expect(cli.parseArgs(['backup', '--copy', '--output', 'backup.sql'])).to.deep.equal({
+                    _: ['backup'],
+                    'copy': true,
+                    'output': 'backup.sql',
+                });
+            });
+        });
+
+        describe('When running status', () => {
+
+            it('should exit with 3 when an upgrade is pending', () => {
+
+                tracker.on('query', respondInstalled);
+
+                return run(['status', '--schema-path', upgradeSchemaPath])
+                    .then(result => {
+                        expect(result.code).to.equal(3);
+                        expect(result.output).to.contain('Current version: 2');
+                        expect(result.output).to.contain('Upgrade is needed');
+                    });
+            });
+        });
+
+        describe('When running install', () => {
+
+            it('should install the schema', () => {
+
+                const queries = [];
+
+                tracker.on('query', query => {
+                    queries.push(query.sql);
+                    query.response([]);
+                });
+
+                return run(['install', '--schema-path', installSchemaPath])
+                    .then(result => {
+                        expect(result.code).to.equal(0);
+                        expect(result.output).to.contain('Installed version 1');
+                        expect(queries.filter(sql => sql.startsWith('create table `user`'))).to.have.length(1);
+                    });
+            });
+
+            it('should not take the argument after --create-db-schemas as its value', () => {
+
+                tracker.on('query', query => query.response([]));
+
+                return run(['install', '--create-db-schemas', '--schema-path', installSchemaPath])
+                    .then(result => {
+                        expect(result.code).to.equal(0);
+                        expect(result.output).to.contain('Installed version 1');
+                    });
+            });
+        });
+
+        describe('When running upgrade', () => {
+
+            it('should upgrade to the requested version', () => {
+
+                tracker.on('query', respondInstalled);
+
+                return run(['upgrade', '--to', '3', '--schema-path', upgradeSchemaPath])
+                    .then(result => {
+                        expect(result.code).to.equal(0);
+                        expect(result.output).to.contain('Upgraded to version 3');
+                    });
+            });
+
+            it('should exit with 2 when the target version is not a number', () => {
+
+                tracker.on('query', respondInstalled);
+
+                return run(['upgrade', '--to', 'latest', '--schema-path', upgradeSchemaPath])
+                    .then(result => {
+                        expect(result.code).to.equal(2);
+                        expect(result.output).to.equal('--to must be a whole number');
+                    });
+            });
+        });
+
+        describe('When running set-version', () => {
+
+            it('should store the version', () => {
+
+                const queries = [];
+
+                tracker.on('query', query => {
+                    queries.push(query);
+                    respondInstalled(query);
+                });
+
+                return run(['set-version', '5'])
+                    .then(result => {
+                        expect(result.code).to.equal(0);
+                        expect(result.output).to.contain('Version set to 5');
+                        expect(queries.filter(query => query.sql.startsWith('update `schema_globals`'))
+                            .map(query => query.bindings)).to.deep.equal([[5, 'db_version']]);
+                    });
+            });
+        });
+
+        describe('When running dry-run on an empty db', () => {
+
+            it('should write the install script, without writing to the db', () => {
+
+                const queries = [];
+
+                tracker.on('query', query => {
+                    queries.push(query.sql);
+                    query.response([]);
+                });
+
+                const file = Path.join(tempDirectory, 'install.sql');
+
+                return run(['dry-run', '--schema-path', installSchemaPath, '--output', file])
+                    .then(result => {
+                        expect(result.code).to.equal(0);
+                        expect(Fs.readFileSync(file, 'utf8')).to.contain('create table `user`');
+                        expect(queries.every(sql => sql.startsWith('select'))).to.be.true;
+                    });
+            });
+        });
+
+        describe('When running backup', () => {
+
+            it('should dump the db to the output file', () => {
+
+                tracker.on('query', query => query.response(query.sql.startsWith('select `type`') && query.bindings[0] === 'table'
+                    ? [{ type: 'table', name: 'user', tbl_name: 'user', sql: 'CREATE TABLE "user" ("id" integer)' }]
+                    : []));
+
+                const file = Path.join(tempDirectory, 'backup.sql');
+
+                return run(['backup', '--no-data', '--output', file])
+                    .then(result => {
+                        expect(result.code).to.equal(0);
+                        expect(Fs.readFileSync(file, 'utf8')).to.contain('CREATE TABLE IF NOT EXISTS "user" ("id" integer);');
+                    });
+            });
+        });
+
+        describe('When running generate-upgrade', () => {
+
+            it('should print the actions in dry-run mode', () => {
+                return run(['generate-upgrade', '--schema-path', upgradeSchemaPath,
+                    '--from', Path.join(installSchemaPath, 'schema.json'), '--dry-run'])
+                    .then(result => {
+                        expect(result.code).to.equal(0);
+                        expect(result.output).to.contain('"action": "createTable"');
+                        expect(result.output).to.contain('"table": "team"');
+                    });
+            });
+
+            it('should exit with 2 when the previous schema is missing', () => {
+                return run(['generate-upgrade', '--schema-path', upgradeSchemaPath])
+                    .then(result => {
+                        expect(result.code).to.equal(2);
+                        expect(result.output).to.equal('Either --from or --from-git is required');
+                    });
+            });
+        });
+    });
+
+    describe('Testing instances:', () => {
+
+        describe('In case two instances have different table prefixes', () => {
+
+            it('should keep the prefixes apart', () => {
+
+                tracker.on('query', query => query.response([]));
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_install');
+                const tenantA = new schemaInstaller({ db: db, schemaPath: schemaPath, tablePrefix: 'a_' });
+                const tenantB = tenantA.withConfig({ tablePrefix: 'b_' });
+
+                return Promise.all([
+                    tenantA.install({ dryRun: true }),
+                    tenantB.install({ dryRun: true }),
+                ]).then(([scriptA, scriptB]) => {
+                    expect(scriptA[0].statements[0].startsWith('create table `a_user`')).to.be.true;
+                    expect(scriptA[0].statements[3]).to.equal(
+                        'insert into `schema_globals` (`key`, `value`) values (\'a_db_version\', 1)');
+                    expect(scriptB[0].statements[0].startsWith('create table `b_user`')).to.be.true;
+                    expect(scriptB[0].statements[3]).to.equal(
+                        'insert into `schema_globals` (`key`, `value`) values (\'b_db_version\', 1)');
+                    expect(schemaInstaller.defaultInstance.tablePrefix).to.equal('');
+                });
+            });
+        });
+
+        describe('In case there is a custom logger', () => {
+
+            it('should log to it instead of the console', () => {
+
+                const messages = [];
+                const logger = { log: message => messages.push(message) };
+
+                const schemaPath = Path.join(__dirname, './assets/db_schema_invalid');
+
+                return new schemaInstaller({ db: db, schemaPath: schemaPath, logger: logger }).install()
+                    .then(() => {
+                        throw new Error('Expected the install to fail');
+                    }, err => {
+                        expect(err).to.equal('invalid-schema');
+                        expect(messages[0]).to.equal('schema.json: $.schema.user.columns[1].nulable is an unknown property');
+                        expect(messages[messages.length - 1]).to.equal(
+                            'The schema files are invalid. Please correct them and try again.');
+                    });
+            });
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,176 @@
+"use strict";
+
+/**
+ * A single problem found in a value
+ * @typedef {{path: string, message: string}} JsonSchemaProblem
+ */
+
+/**
+ * Describes the JSON type of a value, the way JSON Schema names it
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = function (value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+/**
+ * Appends a property name or an array index to a JSON path
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+const joinPath = function (path, key) {
+    if (typeof key === 'number')
+        return path + '[' + key + ']';
+
+    if (/^[A-Za-z_$][\w$]*$/.test(key))
+        return path + '.' + key;
+
+    return path + '[' + JSON.stringify(key) + ']';
+};
+
+/**
+ * Resolves a local `$ref` (i.e. `#/definitions/table`)
+ * @param {Object} rootSchema
+ * @param {string} ref
+ * @returns {Object}
+ */
+const resolveRef = function (rootSchema, ref) {
+    if (!ref.startsWith('#'))
+        throw new Error('Only local $ref is supported, got `' + ref + '`');
+
+    let schema = rootSchema;
+
+    for (const part of ref.substr(1).split('/').filter(Boolean)) {
+        schema = schema[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+
+        if (schema === undefined)
+            throw new Error('Can not resolve $ref `' + ref + '`');
+    }
+
+    return schema;
+};
+
+/**
+ * Validates a value against a JSON Schema.
+ * This supports the subset of draft-07 which is used by the published schema of this package:
+ *   $ref (local), type, enum, const, pattern, minLength, minimum, maxItems, items, properties,
+ *   required, additionalProperties, allOf, anyOf, if/then/else.
+ * @param {Object} schema The (sub)schema to validate against
+ * @param {Object} rootSchema The root schema, for resolving `$ref`s
+ * @param {*} value
+ * @param {string} [path='$'] The JSON path of the value
+ * @returns {Array<JsonSchemaProblem>}
+ */
+const validateJson = function (schema, rootSchema, value, path) {
+    path = path || '$';
+
+    const problems = [];
+
+    if (schema['$ref']) {
+        problems.push(...validateJson(resolveRef(rootSchema, schema['$ref']), rootSchema, value, path));
+    }
+
+    const type = typeOf(value);
+
+    if (schema['type'] !== undefined) {
+        const types = Array.isArray(schema['type']) ? schema['type'] : [schema['type']];
+        const matches = types.includes(type) || (type === 'integer' && types.includes('number'));
+
+        if (!matches) {
+            problems.push({ path: path, message: 'should be ' + types.join(' or ') + ', got ' + type });
+            return problems;
+        }
+    }
+
+    if (schema['enum'] !== undefined && !schema['enum'].some(item => JSON.stringify(item) === JSON.stringify(value))) {
+        problems.push({
+            path: path,
+            message: 'should be one of ' + schema['enum'].map(item => JSON.stringify(item)).join(', ') +
+                ', got ' + JSON.stringify(value),
+        });
+    }
+
+    if (schema['const'] !== undefined && JSON.stringify(schema['const']) !== JSON.stringify(value)) {
+        problems.push({ path: path, message: 'should be ' + JSON.stringify(schema['const']) });
+    }
+
+    if (type === 'string') {
+        if (schema['minLength'] !== undefined && value.length < schema['minLength']) {
+            problems.push({ path: path, message: 'should not be shorter than ' + schema['minLength'] + ' characters' });
+        }
+
+        if (schema['pattern'] !== undefined && !new RegExp(schema['pattern']).test(value)) {
+            problems.push({ path: path, message: 'has an invalid value ' + JSON.stringify(value) });
+        }
+    }
+
+    if ((type === 'number' || type === 'integer') && schema['minimum'] !== undefined && value < schema['minimum']) {
+        problems.push({ path: path, message: 'should be at least ' + schema['minimum'] });
+    }
+
+    if (type === 'array') {
+        if (schema['maxItems'] !== undefined && value.length > schema['maxItems']) {
+            problems.push({ path: path, message: 'should not have more than ' + schema['maxItems'] + ' items' });
+        }
+
+        if (schema['items'] !== undefined) {
+            value.forEach((item, i) =>
+                problems.push(...validateJson(schema['items'], rootSchema, item, joinPath(path, i))));
+        }
+    }
+
+    if (type === 'object') {
+        for (const key of schema['required'] || []) {
+            if (value[key] === undefined) {
+                problems.push({ path: path, message: 'is missing the required property `' + key + '`' });
+            }
+        }
+
+        const properties = schema['properties'] || {};
+
+        for (const key of Object.keys(value)) {
+            if (properties[key] !== undefined) {
+                problems.push(...validateJson(properties[key], rootSchema, value[key], joinPath(path, key)));
+            } else if (schema['additionalProperties'] === false) {
+                problems.push({ path: joinPath(path, key), message: 'is an unknown property' });
+            } else if (typeof schema['additionalProperties'] === 'object') {
+                problems.push(...validateJson(schema['additionalProperties'], rootSchema, value[key], joinPath(path, key)));
+            }
+        }
+    }
+
+    for (const subSchema of schema['allOf'] || []) {
+        problems.push(...validateJson(subSchema, rootSchema, value, path));
+    }
+
+    if (schema['anyOf'] !== undefined) {
+        const branches = schema['anyOf'].map(subSchema => validateJson(subSchema, rootSchema, value, path));
+
+        if (!branches.some(branch => branch.length === 0)) {
+            // Report the branch which came closest
+            problems.push(...branches.reduce((a, b) => b.length < a.length ? b : a));
+        }
+    }
+
+    if (schema['if'] !== undefined) {
+        const branch = validateJson(schema['if'], rootSchema, value, path).length === 0
+            ? schema['then']
+            : schema['else'];
+
+        if (branch !== undefined) {
+            problems.push(...validateJson(branch, rootSchema, value, path));
+        }
+    }
+
+    return problems;
+};
+
+module.exports = {
+    validateJson: validateJson,
+    joinPath: joinPath,
+};
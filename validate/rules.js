@@ -0,0 +1,502 @@
+"use strict";
+
+const Fs = require('fs');
+const Path = require('path');
+const { validateJson, joinPath } = require('./json-schema');
+const { toArray } = require('../introspect/diff');
+
+/**
+ * The published JSON Schema for the schema files
+ * @const
+ */
+const JSON_SCHEMA = require('./knex-schema-builder.schema.json');
+
+/**
+ * A single problem found in the schema files.
+ * `path` is the JSON path inside the file (i.e. `$.schema.user.columns[2].nulable`),
+ *   and `error` is set when the file could not be read or parsed.
+ * @typedef {{file: string, path: string, message: string, error: Error?}} ValidationProblem
+ */
+
+/**
+ * A parsed schema file
+ * @typedef {{file: string, json: *}} SchemaFile
+ */
+
+/**
+ * Actions which take their table description from schema.json
+ * @const
+ */
+const SCHEMA_TABLE_ACTIONS = ['createTable', 'createTableIndexes', 'createTableForeignKeys', 'addColumn', 'alterColumn'];
+
+/**
+ * Actions which take their column description from schema.json
+ * @const
+ */
+const SCHEMA_COLUMN_ACTIONS = ['addColumn', 'alterColumn'];
+
+/**
+ * Actions which take rows, inline or from a file
+ * @const
+ */
+const ROW_ACTIONS = ['insertRows', 'upsertRows', 'deleteRows'];
+
+/**
+ * Tells if a value is a plain object (i.e. not an array)
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isObject = function (value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Returns the value if it is an array, or an empty array otherwise.
+ * The semantic rules run on files that may also be structurally invalid, so they don't trust the structure.
+ * @param {*} value
+ * @returns {Array}
+ */
+const asArray = function (value) {
+    return Array.isArray(value) ? value : [];
+};
+
+/**
+ * Lists the names of the columns that a table will have
+ * @param {TableDescription} table
+ * @returns {Array<string>}
+ */
+const getColumnNames = function (table) {
+    const names = asArray(table['columns'])
+        .filter(column => isObject(column))
+        .map(column => column['name']);
+
+    if (table['timestamps']) {
+        names.push('created_at', 'updated_at');
+    }
+
+    return names;
+};
+
+/**
+ * Checks that the columns referred to by a key exist in the table
+ * @param {Array<string>} columnNames The columns of the table
+ * @param {string|Array<string>} columns The referred columns
+ * @param {string} path The JSON path of the referred columns
+ * @param {string} tableName
+ * @returns {Array<{path: string, message: string}>}
+ */
+const checkColumnsExist = function (columnNames, columns, path, tableName) {
+    return toArray(columns)
+        .filter(column => !columnNames.includes(column))
+        .map(column => ({ path: path, message: 'refers to the unknown column `' + column + '` of `' + tableName + '`' }));
+};
+
+/**
+ * Actions which take their description from the views, triggers, procedures or functions of schema.json,
+ *   with the option which holds the name
+ * @const
+ */
+const SCHEMA_OBJECT_ACTIONS = {
+    'createView': { section: 'views', option: 'view' },
+    'replaceView': { section: 'views', option: 'view' },
+    'createTrigger': { section: 'triggers', option: 'trigger' },
+    'createRoutine': { section: 'procedures', option: 'procedure', alternative: { section: 'functions', option: 'function' } },
+};
+
+/**
+ * Checks that a file referred to by the schema files exists, relative to the schema folder (as it is loaded)
+ * @param {string?} schemaPath The schema folder, or nothing to skip the check
+ * @param {*} file The referred file
+ * @param {string} path The JSON path of the reference
+ * @returns {Array<{path: string, message: string}>}
+ */
+const checkFileExists = function (schemaPath, file, path) {
+    if (!schemaPath || typeof file !== 'string')
+        return [];
+
+    try {
+        if (Fs.statSync(Path.resolve(schemaPath, file)).isFile())
+            return [];
+    } catch (ignored) {
+        // Reported below
+    }
+
+    return [{ path: path, message: 'refers to the file `' + file + '`, which is not in the schema folder' }];
+};
+
+/**
+ * Checks the references between the tables of schema.json, the generated columns, and the names of the check constraints
+ * @param {Object<string, TableDescription>} tables
+ * @param {string} tablesPath The JSON path of the tables
+ * @returns {Array<{path: string, message: string}>}
+ */
+const checkSchemaTables = function (tables, tablesPath) {
+    const problems = [];
+    const checkNames = {};
+
+    for (const tableName of Object.keys(tables)) {
+        const table = tables[tableName];
+        if (!isObject(table)) continue;
+
+        const tablePath = joinPath(tablesPath, tableName);
+        const columnNames = getColumnNames(table);
+
+        columnNames.forEach((name, i) => {
+            if (columnNames.indexOf(name) !== i) {
+                problems.push({ path: joinPath(tablePath, 'columns'), message: 'has a duplicate column `' + name + '`' });
+            }
+        });
+
+        asArray(table['columns']).forEach((column, i) => {
+            if (!isObject(column) || !column['generated']) return;
+
+            if (column['default'] !== undefined || column['raw_default'] !== undefined) {
+                problems.push({
+                    path: joinPath(joinPath(tablePath, 'columns'), i),
+                    message: 'is a generated column, and can not have a default',
+                });
+            }
+        });
+
+        asArray(table['checks']).forEach((check, i) => {
+            if (!isObject(check) || typeof check['name'] !== 'string') return;
+
+            // MySql requires the names of the check constraints to be unique in the whole database
+            if (checkNames[check['name']] !== undefined) {
+                problems.push({
+                    path: joinPath(joinPath(joinPath(tablePath, 'checks'), i), 'name'),
+                    message: 'is already the name of a check constraint of `' + checkNames[check['name']] + '`',
+                });
+            } else {
+                checkNames[check['name']] = tableName;
+            }
+        });
+
+        if (table['primary_key'] !== undefined) {
+            problems.push(...checkColumnsExist(columnNames, table['primary_key'],
+                joinPath(tablePath, 'primary_key'), tableName));
+        }
+
+        asArray(table['indexes']).forEach((index, i) => {
+            if (!isObject(index)) return;
+
+            const indexPath = joinPath(joinPath(tablePath, 'indexes'), i);
+
+            problems.push(...checkColumnsExist(columnNames, index['columns'],
+                joinPath(indexPath, 'columns'), tableName));
+
+            if (isObject(index['lengths'])) {
+                problems.push(...Object.keys(index['lengths'])
+                    .filter(column => !toArray(index['columns']).includes(column))
+                    .map(column => ({ path: joinPath(indexPath, 'lengths'), message: 'refers to `' + column + '`, which is not a column of the index' })));
+            }
+        });
+
+        asArray(table['foreign_keys']).forEach((foreignKey, i) => {
+            if (!isObject(foreignKey)) return;
+
+            const foreignKeyPath = joinPath(joinPath(tablePath, 'foreign_keys'), i);
+            const foreignTable = tables[foreignKey['foreign_table']];
+
+            problems.push(...checkColumnsExist(columnNames, foreignKey['columns'],
+                joinPath(foreignKeyPath, 'columns'), tableName));
+
+            if (!isObject(foreignTable)) {
+                // A foreign key with an explicit db schema may refer to a table which is managed elsewhere
+                if (foreignKey['foreign_db_schema'] !== undefined) return;
+
+                problems.push({
+                    path: joinPath(foreignKeyPath, 'foreign_table'),
+                    message: 'refers to the unknown table `' + foreignKey['foreign_table'] + '`',
+                });
+            } else {
+                problems.push(...checkColumnsExist(getColumnNames(foreignTable), foreignKey['foreign_columns'],
+                    joinPath(foreignKeyPath, 'foreign_columns'), foreignKey['foreign_table']));
+            }
+        });
+    }
+
+    return problems;
+};
+
+/**
+ * Checks that the triggers of schema.json are on tables which are in it,
+ *   and that the views depend on views which are in it, without circular dependencies
+ * @param {Object<string, TableDescription>} tables
+ * @param {SchemaObjects} objects
+ * @returns {Array<{path: string, message: string}>}
+ */
+const checkSchemaObjects = function (tables, objects) {
+    const problems = [];
+    const views = isObject(objects.views) ? objects.views : {};
+    const triggers = isObject(objects.triggers) ? objects.triggers : {};
+
+    for (const triggerName of Object.keys(triggers)) {
+        const trigger = triggers[triggerName];
+        if (!isObject(trigger) || typeof trigger['table'] !== 'string') continue;
+
+        if (!isObject(tables[trigger['table']])) {
+            problems.push({
+                path: joinPath(joinPath('$.triggers', triggerName), 'table'),
+                message: 'refers to the unknown table `' + trigger['table'] + '`',
+            });
+        }
+    }
+
+    const validViews = {};
+
+    for (const viewName of Object.keys(views)) {
+        const view = views[viewName];
+        if (!isObject(view)) continue;
+
+        validViews[viewName] = view;
+
+        toArray(view['depends_on'] || [])
+            .filter(dependency => !isObject(views[dependency]))
+            .forEach(dependency => problems.push({
+                path: joinPath(joinPath('$.views', viewName), 'depends_on'),
+                message: 'refers to the unknown view `' + dependency + '`',
+            }));
+    }
+
+    try {
+        require('../objects/statements').sortViews(validViews);
+    } catch (err) {
+        if (err !== 'circular-view-dependency') throw err;
+        problems.push({ path: '$.views', message: 'have a circular dependency' });
+    }
+
+    return problems;
+};
+
+/**
+ * Checks that the seed rows of schema.json are for tables which are in it, and have only columns of these tables,
+ *   and that the seed files are in the schema folder
+ * @param {Object<string, TableDescription>} tables
+ * @param {Object<string, RowsSource>} seed
+ * @param {string?} schemaPath The schema folder
+ * @returns {Array<{path: string, message: string}>}
+ */
+const checkSeed = function (tables, seed, schemaPath) {
+    const problems = [];
+
+    for (const tableName of Object.keys(seed)) {
+        const tablePath = joinPath('$.seed', tableName);
+        const table = tables[tableName];
+
+        if (!isObject(table)) {
+            problems.push({ path: tablePath, message: 'is for the table `' + tableName + '`, which is not in schema.json' });
+            continue;
+        }
+
+        if (typeof seed[tableName] === 'string') {
+            problems.push(...checkFileExists(schemaPath, seed[tableName], tablePath));
+            continue;
+        }
+
+        const columnNames = getColumnNames(table);
+
+        asArray(seed[tableName]).forEach((row, i) => {
+            if (!isObject(row)) return;
+
+            problems.push(...checkColumnsExist(columnNames, Object.keys(row), joinPath(tablePath, i), tableName));
+        });
+    }
+
+    return problems;
+};
+
+/**
+ * Checks that the actions of an upgrade/downgrade file are known, refer to tables and columns which exist in schema.json,
+ *   and to script and row files which exist in the schema folder.
+ * Actions with `ignore_errors` are not checked, as a failure there is tolerated at runtime.
+ * @param {Object<string, TableDescription>|null} tables The tables of schema.json, or null to skip the references into schema.json
+ * @param {Array<Object>} actions
+ * @param {{schemaPath: string?, actionNames: Array<string>?, objects: SchemaObjects?}} [options]
+ *   `schemaPath` is the schema folder, for checking the files of the `script` actions and the row actions,
+ *   `actionNames` are the registered actions, and `objects` are the views, triggers and routines of schema.json
+ * @returns {Array<{path: string, message: string}>}
+ */
+const checkActions = function (tables, actions, options) {
+    const problems = [];
+    const { schemaPath, actionNames, objects } = options || {};
+
+    asArray(actions).forEach((action, i) => {
+        if (!isObject(action) || action['ignore_errors'])
+            return;
+
+        const actionPath = joinPath('$', i);
+
+        if (actionNames && typeof action['action'] === 'string' && !actionNames.includes(action['action'])) {
+            problems.push({
+                path: joinPath(actionPath, 'action'),
+                message: 'is an unknown action `' + action['action'] + '`',
+            });
+            return;
+        }
+
+        if (action['action'] === 'script') {
+            problems.push(...checkFileExists(schemaPath, action['file'], joinPath(actionPath, 'file')));
+        }
+
+        if (ROW_ACTIONS.includes(action['action'])) {
+            problems.push(...checkFileExists(schemaPath, action['rows'], joinPath(actionPath, 'rows')));
+        }
+
+        if (objects && SCHEMA_OBJECT_ACTIONS[action['action']]) {
+            let reference = SCHEMA_OBJECT_ACTIONS[action['action']];
+            if (action[reference.option] === undefined && reference.alternative) {
+                reference = reference.alternative;
+            }
+
+            const section = isObject(objects[reference.section]) ? objects[reference.section] : {};
+
+            if (typeof action[reference.option] === 'string' && !isObject(section[action[reference.option]])) {
+                problems.push({
+                    path: joinPath(actionPath, reference.option),
+                    message: 'refers to the ' + reference.option + ' `' + action[reference.option] +
+                        '`, which is not in schema.json',
+                });
+            }
+        }
+
+        if (!tables || !SCHEMA_TABLE_ACTIONS.includes(action['action']))
+            return;
+
+        const table = tables[action['table']];
+
+        if (!isObject(table)) {
+            problems.push({
+                path: joinPath(actionPath, 'table'),
+                message: 'refers to the table `' + action['table'] + '`, which is not in schema.json',
+            });
+            return;
+        }
+
+        if (SCHEMA_COLUMN_ACTIONS.includes(action['action']) &&
+            !asArray(table['columns']).some(column => isObject(column) && column['name'] === action['column'])) {
+            problems.push({
+                path: joinPath(actionPath, 'column'),
+                message: 'refers to the column `' + action['column'] + '` of `' + action['table'] +
+                    '`, which is not in schema.json',
+            });
+        }
+    });
+
+    return problems;
+};
+
+/**
+ * Checks that the upgrade files form a contiguous chain that ends at the version in version.json,
+ *   and that there's a single file (.json or .js) for each version
+ * @param {number} latestVersion
+ * @param {Array<{file: string, version: number}>} upgrades
+ * @param {Array<{file: string, version: number}>} downgrades
+ * @returns {Array<ValidationProblem>}
+ */
+const checkVersions = function (latestVersion, upgrades, downgrades) {
+    const problems = [];
+
+    const checkFiles = files => files.forEach((file, i) => {
+        if (file.version > latestVersion) {
+            problems.push({
+                file: file.file, path: '$',
+                message: 'is for version ' + file.version + ', which is above the version in version.json (' + latestVersion + ')',
+            });
+        }
+
+        const other = files.find((item, j) => j < i && item.version === file.version);
+
+        if (other) {
+            problems.push({
+                file: file.file, path: '$',
+                message: 'is for the same version as `' + other.file + '`, only one of them can be used',
+            });
+        }
+    });
+
+    checkFiles(upgrades);
+    checkFiles(downgrades);
+
+    const upgradeVersions = upgrades.map(upgrade => upgrade.version);
+
+    if (upgradeVersions.length) {
+        for (let version = Math.min(...upgradeVersions) + 1; version <= latestVersion; version++) {
+            if (!upgradeVersions.includes(version)) {
+                problems.push({
+                    file: 'upgrade.' + version + '.json', path: '$',
+                    message: 'is missing, the upgrade files should be contiguous up to version ' + latestVersion,
+                });
+            }
+        }
+    }
+
+    return problems;
+};
+
+/**
+ * Validates the schema files against the published JSON Schema, and against the semantic rules
+ *   (references between tables, views and triggers, seed rows, references from upgrade files into schema.json, and contiguous versions).
+ * The upgrade/downgrade scripts (.js) only take part in the version checks.
+ * The upgrade files up to `currentVersion` (the version of the db) were already applied, when schema.json may have had
+ *   tables which were dropped since, so their references into schema.json are not checked.
+ * @param {{schema: SchemaFile, tables: Object<string, TableDescription>, objects: SchemaObjects?, version: SchemaFile, upgrades: Array<SchemaFile & {version: number}>, downgrades: Array<SchemaFile & {version: number}>, upgradeScripts: Array<{file: string, version: number}>?, downgradeScripts: Array<{file: string, version: number}>?, schemaPath: string?, actionNames: Array<string>?, currentVersion: number?}} files
+ * @returns {Array<ValidationProblem>}
+ */
+const validateSchemaFiles = function (files) {
+    const problems = [];
+    const inFile = file => problem => problems.push(Object.assign({ file: file }, problem));
+
+    validateJson(JSON_SCHEMA.definitions['schemaFile'], JSON_SCHEMA, files.schema.json)
+        .forEach(inFile(files.schema.file));
+
+    const tables = isObject(files.tables) ? files.tables : {};
+
+    checkSchemaTables(tables, files.tables === files.schema.json ? '$' : '$.schema')
+        .forEach(inFile(files.schema.file));
+
+    if (files.objects) {
+        checkSchemaObjects(tables, files.objects)
+            .forEach(inFile(files.schema.file));
+    }
+
+    if (files.tables !== files.schema.json && isObject(files.schema.json) && isObject(files.schema.json['seed'])) {
+        checkSeed(tables, files.schema.json['seed'], files.schemaPath)
+            .forEach(inFile(files.schema.file));
+    }
+
+    validateJson(JSON_SCHEMA.definitions['versionFile'], JSON_SCHEMA, files.version.json)
+        .forEach(inFile(files.version.file));
+
+    for (const upgrade of files.upgrades.concat(files.downgrades)) {
+        const isApplied = files.currentVersion != null && files.upgrades.includes(upgrade) &&
+            upgrade.version <= files.currentVersion;
+
+        validateJson(JSON_SCHEMA.definitions['upgradeFile'], JSON_SCHEMA, upgrade.json)
+            .forEach(inFile(upgrade.file));
+        checkActions(isApplied ? null : tables, upgrade.json, {
+            schemaPath: files.schemaPath,
+            actionNames: files.actionNames,
+            objects: isApplied ? undefined : files.objects,
+        }).forEach(inFile(upgrade.file));
+    }
+
+    if (Number.isInteger(isObject(files.version.json) && files.version.json['version'])) {
+        const byVersion = (a, b) => a.version - b.version;
+
+        problems.push(...checkVersions(files.version.json['version'],
+            files.upgrades.concat(files.upgradeScripts || []).sort(byVersion),
+            files.downgrades.concat(files.downgradeScripts || []).sort(byVersion)));
+    }
+
+    return problems;
+};
+
+module.exports = {
+    JSON_SCHEMA: JSON_SCHEMA,
+    validateSchemaFiles: validateSchemaFiles,
+    checkSchemaTables: checkSchemaTables,
+    checkActions: checkActions,
+    checkSeed: checkSeed,
+    checkSchemaObjects: checkSchemaObjects,
+};